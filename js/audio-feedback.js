@@ -1,8 +1,26 @@
 /**
  * Audio Feedback System for Physiotherapy Exercises
  * Uses Web Speech API for text-to-speech feedback
+ *
+ * Everything said goes through one queue. Each utterance has a priority, a
+ * key (a newer utterance replaces a queued one with the same key), a time
+ * after which it is stale and dropped, and the verbosity level it belongs
+ * to. Coaching for the exercise in progress is dropped when it ends, so
+ * nothing is said about a session that is over
  */
 
+// Utterance priorities - a high one cuts off anything lower being said
+const PRIORITIES = { low: 0, normal: 1, high: 2 };
+
+// How long an utterance may wait to be said, per priority (ms)
+const DEFAULT_TTL = { low: 3000, normal: 6000, high: 10000 };
+
+// Verbosity levels, least talkative first - an utterance is said at its
+// level and above, and 'silent' keeps only the beeps
+const VERBOSITY_LEVELS = ['silent', 'minimal', 'coach', 'detailed'];
+const DEFAULT_VERBOSITY = 'coach';
+const VERBOSITY_STORAGE_KEY = 'physioai.verbosity';
+
 class AudioFeedback {
     constructor() {
         // Check if speech synthesis is available
@@ -17,21 +35,49 @@ class AudioFeedback {
         // Voice selection (will be set after voices load)
         this.selectedVoice = null;
         
-        // Track last feedback to avoid repetition
-        this.lastFeedback = '';
+        this.verbosity = AudioFeedback.savedVerbosity();
+        
+        // Utterance queue (see above), the one being said and delayed cues
+        this.queue = [];
+        this.current = null;
+        this.timers = new Set();
+        
+        // Track when each text was last said to avoid repetition
+        this.spokenTimes = new Map();
         this.lastFeedbackTime = 0;
         this.minFeedbackInterval = 3000; // Minimum 3 seconds between same feedback
         this.lastErrorTime = 0;
         this.errorCooldown = 5000; // 5 seconds between error announcements
+        this.sameErrorInterval = 8000; // and 8 before the same one again
+        
+        // Coaching back into view once out of view for a moment, then every 6 seconds
+        this.outOfFrameSince = 0;
+        this.outOfFrameDelay = 1000;
+        this.outOfFrameInterval = 6000;
+        
+        // What was said, so voice commands can tell the app's voice from the user's
+        this.spokenLog = []; // [{ text, endedAt }], endedAt null while queued or speaking
+        this.speechEndedAt = 0;
+        
+        // Spoken prompts for the current exercise (see setSpokenPrompts)
+        this.phaseRoles = {};
+        this.prompts = {};
+        this.errorMessages = {};
+        this.holdTime = 0; // ms, 0 when the exercise has no hold
+        
+        // Hold countdown - last whole second announced, and whether it is over
+        this.holdSecondsLeft = 0;
+        this.holdReleased = false;
         
         // Track phase announcements
         this.lastPhase = '';
         this.currentPhase = '';
         this.repAnnounced = false;
         
-        // Initialize voices
+        // Initialize voices, again for the new language when it changes
         if (this.speechAvailable) {
             this.initializeVoices();
+            window.i18n.onChange(() => this.initializeVoices());
         }
         
         // Audio cues using Web Audio API for beeps
@@ -57,18 +103,23 @@ class AudioFeedback {
         const loadVoices = () => {
             const voices = window.speechSynthesis.getVoices();
             
-            // Prefer English voices
-            const englishVoices = voices.filter(voice => voice.lang.startsWith('en'));
+            // Prefer voices for the current language, e.g. "es" for "es-ES"
+            const speechLang = window.i18n.getSpeechLang();
+            const exactVoices = voices.filter(voice => voice.lang.replace('_', '-') === speechLang);
+            const languageVoices = exactVoices.length > 0
+                ? exactVoices
+                : voices.filter(voice => voice.lang.startsWith(speechLang.split('-')[0]));
             
             // Try to find a female voice (often clearer for exercise instructions)
-            const femaleVoice = englishVoices.find(voice => 
+            const femaleVoice = languageVoices.find(voice => 
                 voice.name.toLowerCase().includes('female') || 
                 voice.name.toLowerCase().includes('samantha') ||
                 voice.name.toLowerCase().includes('victoria') ||
                 voice.name.toLowerCase().includes('karen')
             );
             
-            this.selectedVoice = femaleVoice || englishVoices[0] || voices[0];
+            // Without a matching voice the browser picks one from utterance.lang
+            this.selectedVoice = femaleVoice || languageVoices[0] || null;
             console.log('Selected voice:', this.selectedVoice?.name);
         };
         
@@ -82,44 +133,206 @@ class AudioFeedback {
     }
     
     /**
-     * Speak text using speech synthesis
+     * Queue text to speak. Options:
+     *   key          - replaces a queued utterance with the same key (default: the text)
+     *   level        - least verbosity it is spoken at (default 'minimal')
+     *   ttl          - dropped when not started within this long (ms)
+     *   repeatAfter  - the same text is not said again sooner (ms)
+     *   exerciseOnly - coaching for the exercise in progress, dropped when it ends
+     *   when()       - checked again just before speaking, false drops it
+     * Returns whether it was queued
      */
-    speak(text, priority = 'normal') {
-        if (!this.enabled || !this.speechAvailable) return;
+    speak(text, priority = 'normal', options = {}) {
+        if (!this.enabled || !this.speechAvailable || !text) return false;
+        
+        const level = options.level || 'minimal';
+        if (!this.allows(level)) return false;
         
-        // Check if same feedback was recently spoken
         const now = Date.now();
-        if (text === this.lastFeedback && (now - this.lastFeedbackTime) < this.minFeedbackInterval) {
-            return;
-        }
+        const entry = {
+            text: text,
+            key: options.key || text,
+            priority: PRIORITIES[priority] !== undefined ? PRIORITIES[priority] : PRIORITIES.normal,
+            level: level,
+            expires: now + (options.ttl || DEFAULT_TTL[priority] || DEFAULT_TTL.normal),
+            repeatAfter: options.repeatAfter !== undefined ? options.repeatAfter : this.minFeedbackInterval,
+            exerciseOnly: !!options.exerciseOnly,
+            when: options.when || null
+        };
+        if (this.isTooSoon(entry, now)) return false;
         
-        // Cancel current speech for high priority messages
-        if (priority === 'high') {
+        this.queue = this.queue.filter(queued => queued.key !== entry.key);
+        this.queue.push(entry);
+        
+        // High priority cuts off anything less important being said
+        if (this.current && entry.priority === PRIORITIES.high && this.current.priority < entry.priority) {
+            this.current = null;
             window.speechSynthesis.cancel();
         }
         
-        const utterance = new SpeechSynthesisUtterance(text);
+        this.speakNext();
+        return true;
+    }
+    
+    /**
+     * Whether the same text was said too recently to say again
+     */
+    isTooSoon(entry, now) {
+        const spokenAt = this.spokenTimes.get(entry.text);
+        return spokenAt !== undefined && now - spokenAt < entry.repeatAfter;
+    }
+    
+    /**
+     * Once nothing is being said, say the most important queued utterance
+     * that is still worth saying
+     */
+    speakNext() {
+        const synth = window.speechSynthesis;
+        if (this.current && (synth.speaking || synth.pending)) return;
+        this.current = null;
+        
+        const now = Date.now();
+        this.queue = this.queue.filter(entry => entry.expires > now);
+        
+        // Most important first, then oldest
+        this.queue.sort((a, b) => b.priority - a.priority);
+        while (this.queue.length > 0) {
+            const entry = this.queue.shift();
+            if (this.isTooSoon(entry, now) || (entry.when && !entry.when())) continue;
+            
+            this.utter(entry);
+            return;
+        }
+    }
+    
+    utter(entry) {
+        const utterance = new SpeechSynthesisUtterance(entry.text);
         
         // Set voice properties
         if (this.selectedVoice) {
             utterance.voice = this.selectedVoice;
         }
+        utterance.lang = window.i18n.getSpeechLang();
         utterance.volume = this.volume;
         utterance.rate = this.rate;
         utterance.pitch = this.pitch;
         
-        // Speak
+        const logEntry = { text: entry.text, endedAt: null };
+        utterance.onend = utterance.onerror = () => {
+            logEntry.endedAt = Date.now();
+            this.speechEndedAt = logEntry.endedAt;
+            if (this.current === entry) {
+                this.current = null;
+                this.speakNext();
+            }
+        };
+        this.spokenLog.push(logEntry);
+        
+        this.current = entry;
+        this.lastFeedbackTime = Date.now();
+        this.spokenTimes.set(entry.text, this.lastFeedbackTime);
         window.speechSynthesis.speak(utterance);
+    }
+    
+    /**
+     * Run a cue after a delay, unless the queue is cleared first
+     * (exerciseOnly cues also when the exercise ends)
+     */
+    later(delay, callback, exerciseOnly = false) {
+        const timer = { exerciseOnly: exerciseOnly };
+        timer.id = setTimeout(() => {
+            this.timers.delete(timer);
+            callback();
+        }, delay);
+        this.timers.add(timer);
+    }
+    
+    /**
+     * Drop queued and delayed utterances (all, or just the exercise's
+     * coaching) and cut off the current one if it is among them
+     */
+    clearQueue(exerciseOnly = false) {
+        const dropped = (item) => !exerciseOnly || item.exerciseOnly;
+        
+        this.timers.forEach(timer => {
+            if (dropped(timer)) {
+                clearTimeout(timer.id);
+                this.timers.delete(timer);
+            }
+        });
+        this.queue = this.queue.filter(entry => !dropped(entry));
+        
+        if (this.current && dropped(this.current)) {
+            this.current = null;
+            window.speechSynthesis.cancel();
+            this.speakNext();
+        }
+    }
+    
+    /**
+     * The exercise ended or paused - its coaching is no longer relevant
+     */
+    endExercise() {
+        this.clearQueue(true);
+    }
+    
+    /**
+     * Stop talking altogether
+     */
+    stop() {
+        this.clearQueue();
+    }
+    
+    /**
+     * How much to say: silent (beeps only), minimal, coach or detailed
+     */
+    setVerbosity(level) {
+        if (!VERBOSITY_LEVELS.includes(level)) return;
         
-        // Update tracking
-        this.lastFeedback = text;
-        this.lastFeedbackTime = now;
+        this.verbosity = level;
+        localStorage.setItem(VERBOSITY_STORAGE_KEY, level);
+        
+        this.queue = this.queue.filter(entry => this.allows(entry.level));
+        if (this.current && !this.allows(this.current.level)) {
+            this.current = null;
+            window.speechSynthesis.cancel();
+            this.speakNext();
+        }
+    }
+    
+    /**
+     * The verbosity chosen last time, or the default
+     */
+    static savedVerbosity() {
+        const saved = localStorage.getItem(VERBOSITY_STORAGE_KEY);
+        return VERBOSITY_LEVELS.includes(saved) ? saved : DEFAULT_VERBOSITY;
+    }
+    
+    /**
+     * Whether an utterance of a verbosity level is said at the current one
+     */
+    allows(level) {
+        return VERBOSITY_LEVELS.indexOf(this.verbosity) >= VERBOSITY_LEVELS.indexOf(level);
     }
     
     /**
-     * Play a beep sound
+     * What the app is saying or said within the last windowMs:
+     * { speaking, endedAt (of the last utterance), utterances: [{ text, endedAt }] }
      */
-    playBeep(frequency = 440, duration = 200, volume = 0.3) {
+    getRecentSpeech(windowMs = 10000) {
+        const since = Date.now() - windowMs;
+        this.spokenLog = this.spokenLog.filter(entry => entry.endedAt === null || entry.endedAt >= since);
+        return {
+            speaking: this.speechAvailable && window.speechSynthesis.speaking,
+            endedAt: this.speechEndedAt,
+            utterances: this.spokenLog.filter(entry => entry.endedAt !== null)
+        };
+    }
+    
+    /**
+     * Play a beep sound, optionally delay ms from now
+     */
+    playBeep(frequency = 440, duration = 200, volume = 0.3, delay = 0) {
         if (!this.audioContext || !this.enabled) return;
         
         const oscillator = this.audioContext.createOscillator();
@@ -131,11 +344,12 @@ class AudioFeedback {
         oscillator.frequency.value = frequency;
         oscillator.type = 'sine';
         
-        gainNode.gain.setValueAtTime(volume, this.audioContext.currentTime);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + duration / 1000);
+        const start = this.audioContext.currentTime + delay / 1000;
+        gainNode.gain.setValueAtTime(volume, start);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, start + duration / 1000);
         
-        oscillator.start(this.audioContext.currentTime);
-        oscillator.stop(this.audioContext.currentTime + duration / 1000);
+        oscillator.start(start);
+        oscillator.stop(start + duration / 1000);
     }
     
     /**
@@ -144,104 +358,190 @@ class AudioFeedback {
     announcePhase(phase, angles = null, holdDuration = 0, holdComplete = false) {
         if (!this.enabled) return;
         
+        // Work with phase roles (rest, out, target, back) so any exercise fits
+        const role = this.phaseRoles[phase] || phase;
+        
+        // Count the hold down from the analyzer's hold timer
+        if (role === 'target' && this.lastPhase === 'target') {
+            this.countHold(holdDuration, holdComplete);
+            return;
+        }
+        
         // Only announce phase changes
-        if (phase === this.lastPhase) return;
+        if (role === this.lastPhase) return;
         
         // Check if enough time has passed since last announcement
         const now = Date.now();
         const timeSinceLastFeedback = now - this.lastFeedbackTime;
         
-        switch(phase) {
-            case 'resting':
-                if (this.lastPhase === 'lowering') {
+        switch(role) {
+            case 'rest':
+                if (this.lastPhase === 'back') {
                     // After 2 seconds, prompt for next movement
-                    setTimeout(() => {
-                        if (this.enabled && this.currentPhase === 'resting') {
-                            this.speak('Raise your arms again', 'normal');
+                    this.later(2000, () => {
+                        if (this.currentPhase === 'rest') {
+                            this.speak(this.prompts.again, 'normal', { level: 'coach', key: 'phase', ttl: 2000, exerciseOnly: true, when: () => this.currentPhase === 'rest' });
                             this.playBeep(440, 100); // A4 ready beep
                         }
-                    }, 2000);
+                    }, true);
                 } else if (this.lastPhase === '') {
                     // Starting position
-                    this.speak('Ready to begin. Raise your arms slowly.', 'normal');
+                    this.speak(this.prompts.ready, 'normal', { level: 'coach', key: 'phase', exerciseOnly: true, when: () => this.currentPhase === 'rest' });
                 }
                 break;
                 
-            case 'raising':
-                // Only announce if coming from resting, not from other phases
-                if (this.lastPhase === 'resting' && timeSinceLastFeedback > 3000) {
+            case 'out':
+                // Only announce if coming from rest, not from other phases
+                if (this.lastPhase === 'rest' && timeSinceLastFeedback > 3000) {
                     // Don't speak every time, just beep
-                    // this.speak('Raise arms', 'normal');
                     this.playBeep(523, 150); // C5 note
                 }
                 break;
                 
-            case 'holding':
-                // Simple hold instruction
-                if (this.lastPhase === 'raising') {
-                    // Just reached holding position
-                    this.speak('Hold for 3 seconds', 'high');
+            case 'target':
+                // Just reached the target position
+                if (this.lastPhase === 'out') {
                     this.playBeep(659, 150); // E5 note
                     
-                    // After 3 seconds, tell to lower
-                    setTimeout(() => {
-                        if (this.enabled && this.currentPhase === 'holding') {
-                            this.speak('Down your hands slowly', 'high');
-                            this.playBeep(392, 200);
-                        }
-                    }, 3000);
+                    // Hold instruction, for exercises with a hold - the
+                    // countdown and release follow in countHold()
+                    this.holdSecondsLeft = Math.ceil(this.holdTime / 1000);
+                    this.holdReleased = false;
+                    if (this.prompts.hold && this.holdTime > 0) {
+                        this.speak(this.prompts.hold.replace('{seconds}', this.holdSecondsLeft), 'high', { level: 'coach', key: 'hold', ttl: 1500, exerciseOnly: true });
+                    }
                 }
                 break;
                 
-            case 'lowering':
-                // Just beep when lowering starts
-                if (this.lastPhase === 'holding') {
+            case 'back':
+                // Just beep when returning starts - anything about the hold is stale now
+                if (this.lastPhase === 'target') {
+                    this.queue = this.queue.filter(entry => entry.key !== 'hold');
                     this.playBeep(392, 100);
                 }
                 break;
         }
         
-        this.lastPhase = phase;
-        this.currentPhase = phase;
+        this.lastPhase = role;
+        this.currentPhase = role;
+    }
+    
+    /**
+     * Tick each second of the hold, count the last seconds aloud (every
+     * second when detailed) and call the release once the hold is complete
+     */
+    countHold(holdDuration, holdComplete) {
+        if (this.holdTime <= 0 || this.holdReleased) return;
+        
+        if (holdComplete) {
+            this.holdReleased = true;
+            this.playBeep(392, 200);
+            this.speak(this.prompts.release, 'high', { level: 'minimal', key: 'hold', ttl: 1500, exerciseOnly: true });
+            return;
+        }
+        
+        const secondsLeft = Math.ceil((this.holdTime - holdDuration) / 1000);
+        if (secondsLeft < this.holdSecondsLeft && secondsLeft > 0) {
+            this.holdSecondsLeft = secondsLeft;
+            this.playBeep(587, 80, 0.2);
+            this.speak(`${secondsLeft}`, 'normal', {
+                level: secondsLeft <= 3 ? 'coach' : 'detailed',
+                key: 'hold',
+                ttl: 900,
+                repeatAfter: 0,
+                exerciseOnly: true
+            });
+        }
     }
     
     /**
-     * Announce rep completion
+     * Announce rep completion (the caller ends the set at the target)
      */
-    announceRep(repCount) {
+    announceRep(repCount, targetReps = null) {
         if (!this.enabled) return;
         
         // Beep for rep completion (quiet)
         this.playBeep(880, 100, 0.2); // A5 note, short beep, quieter
-        setTimeout(() => this.playBeep(880, 100, 0.2), 150); // Double beep
+        this.playBeep(880, 100, 0.2, 150); // Double beep
         
-        // Announce rep number - only at 2, 5, and 10
-        if (repCount === 2 || repCount === 5 || repCount === 10) {
-            setTimeout(() => {
-                this.speak(`${repCount}`, 'high');
-            }, 300);
+        // Outlives the exercise, which ends with the set
+        if (targetReps && repCount >= targetReps) {
+            this.later(300, () => {
+                this.speak(window.i18n.t('rep.setComplete', { count: repCount }), 'high', { key: 'rep' });
+            });
+            return;
         }
         
-        // Encouragement only at milestones (with longer delays)
-        if (repCount === 5) {
-            setTimeout(() => {
-                this.speak('Great job!', 'normal');
-            }, 2000);
-        } else if (repCount === 10) {
-            setTimeout(() => {
-                this.speak('Exercise finished! Well done!', 'high');
-                // Auto-stop exercise after 10 reps
-                setTimeout(() => {
-                    if (window.stopExerciseTracking) {
-                        window.stopExerciseTracking();
-                    }
-                }, 2000);
-            }, 2000);
+        // Announce rep number - every rep when detailed, otherwise every 5
+        // reps and the last two before the target
+        const remaining = targetReps ? targetReps - repCount : Infinity;
+        const milestone = repCount % 5 === 0 || remaining <= 2;
+        this.later(300, () => {
+            this.speak(`${repCount}`, 'high', { level: milestone ? 'coach' : 'detailed', key: 'rep', ttl: 2500, exerciseOnly: true });
+        }, true);
+        
+        // Encouragement at halfway (with a longer delay)
+        if (repCount === Math.ceil((targetReps || 10) / 2)) {
+            this.later(2000, () => {
+                this.speak(window.i18n.t('rep.halfway'), 'normal', { level: 'coach', ttl: 4000, exerciseOnly: true });
+            }, true);
         }
     }
     
     /**
-     * Provide error correction feedback
+     * Announce a rest period and what comes next
+     */
+    announceRest(seconds, nextLabel) {
+        if (!this.enabled) return;
+        
+        this.playBeep(523, 150);
+        this.later(1500, () => {
+            this.speak(window.i18n.t('rest.start', { seconds, next: nextLabel }), 'normal', { key: 'rest' });
+        });
+    }
+    
+    /**
+     * Rest countdown cues - spoken at 10 seconds, beeps for the last 3
+     */
+    announceRestCountdown(secondsLeft) {
+        if (!this.enabled) return;
+        
+        if (secondsLeft === 10) {
+            this.speak(window.i18n.t('rest.tenSeconds'), 'normal', { level: 'coach', key: 'rest', ttl: 3000 });
+        } else if (secondsLeft <= 3) {
+            this.playBeep(440, 150);
+        }
+    }
+    
+    /**
+     * Announce the start of a set after a rest
+     */
+    announceSetStart(setNumber, totalSets) {
+        if (!this.enabled) return;
+        
+        this.playBeep(880, 250);
+        const set = window.i18n.t('set.start', { set: setNumber, total: totalSets });
+        const begin = this.allows('coach') ? this.prompts.begin || '' : '';
+        this.speak(`${set} ${begin}`.trim(), 'high', { key: 'start' });
+    }
+    
+    /**
+     * Announce the end of a workout program
+     */
+    announceProgramComplete(programName) {
+        if (!this.enabled) return;
+        
+        this.playBeep(523, 150);
+        this.playBeep(659, 150, 0.3, 150);
+        this.playBeep(784, 300, 0.3, 300);
+        this.later(600, () => {
+            this.speak(window.i18n.t('program.complete', { name: programName }), 'high');
+        });
+    }
+    
+    /**
+     * Provide error correction feedback - spoken when coaching, the warning
+     * beep at any verbosity
      */
     announceError(errors) {
         if (!this.enabled || errors.size === 0) return;
@@ -253,23 +553,18 @@ class AudioFeedback {
             return;
         }
         
-        // Priority order for error feedback (removed shoulder shrug messages)
-        const errorMessages = {
-            'arm_too_high_left': 'Lower your left arm slightly',
-            'arm_too_high_right': 'Lower your right arm slightly',
-            'asymmetric_movement': 'Keep both arms at the same height',
-            'elbow_bent_left': 'Straighten your left arm',
-            'elbow_bent_right': 'Straighten your right arm',
-            'too_fast_raising': 'Slower movement please',
-            'insufficient_height': 'Raise arms higher to shoulder level'
-        };
-        
         // Find the first error that has a message
-        for (const [errorKey, message] of Object.entries(errorMessages)) {
+        for (const [errorKey, message] of Object.entries(this.errorMessages)) {
             if (errors.has(errorKey)) {
                 // Don't repeat the same error message too frequently
-                if (this.lastFeedback !== message || now - this.lastFeedbackTime > 8000) {
-                    this.speak(message, 'high');
+                const spoken = this.speak(message, 'high', {
+                    level: 'coach',
+                    key: 'error',
+                    ttl: 2000,
+                    repeatAfter: this.sameErrorInterval,
+                    exerciseOnly: true
+                });
+                if (spoken || !this.allows('coach')) {
                     // Play warning beep
                     this.playBeep(300, 200, 0.2); // Lower frequency for warning
                     this.lastErrorTime = now;
@@ -279,6 +574,46 @@ class AudioFeedback {
         }
     }
     
+    /**
+     * Coach the patient back into view or through the camera setup (hint
+     * text), or stop once that is sorted (null). Brief dropouts are not
+     * worth mentioning
+     */
+    announceOutOfFrame(hint) {
+        if (!hint) {
+            this.outOfFrameSince = 0;
+            this.queue = this.queue.filter(entry => entry.key !== 'visibility');
+            return;
+        }
+        
+        const now = Date.now();
+        if (!this.outOfFrameSince) {
+            this.outOfFrameSince = now;
+        }
+        if (!this.enabled || now - this.outOfFrameSince < this.outOfFrameDelay) return;
+        
+        this.speak(hint, 'high', {
+            key: 'visibility',
+            ttl: 2000,
+            repeatAfter: this.outOfFrameInterval,
+            exerciseOnly: true
+        });
+    }
+    
+    /**
+     * Set spoken prompts for the current exercise
+     * Expects { phases: { rest, out, target, back }, prompts: {...}, errors: {...}, holdTime }
+     */
+    setSpokenPrompts({ phases = {}, prompts = {}, errors = {}, holdTime = 0 }) {
+        this.phaseRoles = {};
+        Object.entries(phases).forEach(([role, phase]) => {
+            this.phaseRoles[phase] = role;
+        });
+        this.prompts = prompts;
+        this.errorMessages = errors;
+        this.holdTime = holdTime;
+    }
+    
     /**
      * Provide positive reinforcement
      */
@@ -287,33 +622,30 @@ class AudioFeedback {
         
         const now = Date.now();
         
-        // Provide encouragement every 20 seconds if form is good (less frequent)
-        if (formScore >= 90 && now - this.lastFeedbackTime > 20000) {
-            const encouragements = [
-                'Perfect form!',
-                'Excellent technique!',
-                'You\'re doing great!',
-                'Keep it up!',
-                'Very good!',
-                'Great control!'
-            ];
+        // Provide encouragement after 20 seconds of quiet if form is good
+        // (10 when detailed)
+        const quiet = this.verbosity === 'detailed' ? 10000 : 20000;
+        if (formScore >= 90 && now - this.lastFeedbackTime > quiet) {
+            const encouragements = window.i18n.list('encouragements');
             
             const randomEncouragement = encouragements[Math.floor(Math.random() * encouragements.length)];
-            this.speak(randomEncouragement, 'normal');
+            this.speak(randomEncouragement, 'low', { level: 'coach', key: 'encouragement', exerciseOnly: true });
         }
     }
     
     /**
-     * Announce exercise start
+     * Announce exercise start - the instructions only when coaching
      */
     announceExerciseStart(exerciseName) {
         if (!this.enabled) return;
         
-        this.speak(`Starting ${exerciseName}. Stand with arms at your sides.`, 'high');
+        const start = window.i18n.t('exercise.start', { name: exerciseName });
+        const instructions = this.allows('coach') ? this.prompts.start || '' : '';
+        this.speak(`${start} ${instructions}`.trim(), 'high', { key: 'start' });
         
-        setTimeout(() => {
-            this.speak('Raise and lower your arms slowly. Let\'s begin!', 'normal');
-        }, 3000);
+        this.later(3000, () => {
+            this.speak(this.prompts.begin, 'normal', { level: 'coach', key: 'phase', exerciseOnly: true });
+        }, true);
     }
     
     /**
@@ -324,16 +656,45 @@ class AudioFeedback {
         
         // Success sound
         this.playBeep(523, 150); // C5
-        setTimeout(() => this.playBeep(659, 150), 150); // E5
-        setTimeout(() => this.playBeep(784, 200), 300); // G5
+        this.playBeep(659, 150, 0.3, 150); // E5
+        this.playBeep(784, 200, 0.3, 300); // G5
         
-        setTimeout(() => {
-            const scoreComment = avgFormScore >= 90 ? 'Excellent form!' : 
-                               avgFormScore >= 75 ? 'Good form!' : 
-                               'Keep practicing!';
+        this.later(500, () => {
+            const scoreComment = avgFormScore >= 90 ? window.i18n.t('exercise.excellentForm') : 
+                               avgFormScore >= 75 ? window.i18n.t('exercise.goodForm') : 
+                               window.i18n.t('exercise.keepPracticing');
             
-            this.speak(`Exercise complete! You did ${repCount} reps. ${scoreComment}`, 'high');
-        }, 500);
+            this.speak(window.i18n.t('exercise.complete', { count: repCount, comment: scoreComment }), 'high');
+        });
+    }
+    
+    /**
+     * Announce the start of range of motion calibration
+     */
+    announceCalibrationStart() {
+        if (!this.enabled) return;
+        
+        this.playBeep(523, 150);
+        this.speak(`${window.i18n.t('calibration.start')} ${this.prompts.calibrate || ''}`.trim(), 'high', { key: 'calibration' });
+    }
+    
+    /**
+     * Announce measured range of motion
+     */
+    announceCalibrationComplete(range) {
+        if (!this.enabled) return;
+        
+        this.playBeep(659, 150);
+        this.playBeep(784, 200, 0.3, 150);
+        
+        if (!range) {
+            this.speak(window.i18n.t('calibration.noMovement'), 'high', { key: 'calibration' });
+        } else if (range.left && range.right) {
+            this.speak(window.i18n.t('calibration.completeSides', { left: range.left, right: range.right }), 'high', { key: 'calibration' });
+        } else {
+            const value = range.left || range.right || range.both;
+            this.speak(window.i18n.t('calibration.complete', { value }), 'high', { key: 'calibration' });
+        }
     }
     
     /**
@@ -343,7 +704,9 @@ class AudioFeedback {
         this.enabled = !this.enabled;
         
         if (this.enabled) {
-            this.speak('Audio feedback enabled', 'high');
+            this.speak(window.i18n.t('audio.enabled'), 'high');
+        } else {
+            this.stop();
         }
         
         return this.enabled;
@@ -360,12 +723,16 @@ class AudioFeedback {
      * Reset for new session
      */
     reset() {
+        this.stop();
         this.lastPhase = '';
-        this.lastFeedback = '';
+        this.spokenTimes.clear();
         this.lastFeedbackTime = 0;
         this.lastErrorTime = 0;
+        this.outOfFrameSince = 0;
         this.repAnnounced = false;
         this.currentPhase = '';
+        this.holdSecondsLeft = 0;
+        this.holdReleased = false;
     }
 }
 
@@ -0,0 +1,198 @@
+/**
+ * Camera Setup
+ * Checks before a live session that the patient can be tracked well: whole
+ * body in view, a usable distance from the camera, centered, the camera
+ * level and the room lit. Fed one pose frame at a time, it passes once every
+ * check has held for a moment:
+ *
+ *   const setup = new CameraSetup();
+ *   setup.update(landmarks, { width: 1280, height: 960, brightness: 120 });
+ *   // -> { checks: { framing: true, distance: false, ... }, hint: 'tooFar', passed: false, progress: 0 }
+ */
+
+// Joints that must be in view for full-body framing
+const SETUP_BODY_LANDMARKS = [
+    'NOSE', 'LEFT_SHOULDER', 'RIGHT_SHOULDER', 'LEFT_HIP', 'RIGHT_HIP',
+    'LEFT_KNEE', 'RIGHT_KNEE', 'LEFT_ANKLE', 'RIGHT_ANKLE'
+];
+
+// Visibility needed, and the border kept clear at the frame edges (fraction of the frame)
+const SETUP_MIN_VISIBILITY = 0.5;
+const SETUP_EDGE_MARGIN = 0.03;
+
+// Shoulder width range in pixels of a 1280 px wide frame - other widths scale
+const SETUP_REFERENCE_WIDTH = 1280;
+const SETUP_SHOULDER_PX = { min: 90, max: 230 };
+
+// Body center may be this far off the frame center (fraction of the width)
+const SETUP_CENTER_TOLERANCE = 0.12;
+
+// Camera roll allowed, judged from the shoulder and hip lines and the body axis (°)
+const SETUP_MAX_TILT = 8;
+
+// Mean frame luminance range (0-255), re-measured every SETUP_BRIGHTNESS_INTERVAL ms
+const SETUP_BRIGHTNESS = { min: 60, max: 225 };
+const SETUP_BRIGHTNESS_INTERVAL = 500;
+
+// Every check must hold this long (ms) for the setup to pass
+const SETUP_HOLD = 1500;
+
+// Checks in the order their hints are given
+const SETUP_CHECKS = ['lighting', 'framing', 'distance', 'centering', 'tilt'];
+
+class CameraSetup {
+    constructor() {
+        // Where the body should stand, as fractions of the frame - for the guide drawing
+        this.guide = {
+            left: 0.5 - SETUP_CENTER_TOLERANCE - 0.13,
+            right: 0.5 + SETUP_CENTER_TOLERANCE + 0.13,
+            top: SETUP_EDGE_MARGIN,
+            bottom: 1 - SETUP_EDGE_MARGIN
+        };
+        
+        // Small canvas the frame is shrunk onto to measure its brightness
+        this.sampleCanvas = null;
+        
+        this.reset();
+    }
+    
+    /**
+     * Check one frame - landmarks (null when no body was found) and
+     * frame: { width, height, brightness } in pixels and 0-255 (null if
+     * unknown). Returns { checks, hint, passed, progress (0-1 of the hold) }
+     */
+    update(landmarks, frame, timestamp = Date.now()) {
+        const checks = { lighting: true, framing: false, distance: false, centering: false, tilt: false };
+        const hints = {};
+        
+        if (frame.brightness !== null && frame.brightness !== undefined) {
+            checks.lighting = frame.brightness >= SETUP_BRIGHTNESS.min && frame.brightness <= SETUP_BRIGHTNESS.max;
+            hints.lighting = frame.brightness < SETUP_BRIGHTNESS.min ? 'tooDark' : 'tooBright';
+        }
+        
+        if (landmarks) {
+            const point = (name) => landmarks[POSE_LANDMARKS[name]];
+            const middle = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+            const leftShoulder = point('LEFT_SHOULDER');
+            const rightShoulder = point('RIGHT_SHOULDER');
+            const shoulders = middle(leftShoulder, rightShoulder);
+            const hips = middle(point('LEFT_HIP'), point('RIGHT_HIP'));
+            const ankles = middle(point('LEFT_ANKLE'), point('RIGHT_ANKLE'));
+            
+            checks.framing = SETUP_BODY_LANDMARKS.every(name => isInFrame(point(name)));
+            hints.framing = 'wholeBody';
+            
+            // Pixel distance between the shoulders, as in a reference-width frame
+            const shoulderWidth = Math.hypot(
+                (leftShoulder.x - rightShoulder.x) * frame.width,
+                (leftShoulder.y - rightShoulder.y) * frame.height
+            ) * SETUP_REFERENCE_WIDTH / frame.width;
+            checks.distance = shoulderWidth >= SETUP_SHOULDER_PX.min && shoulderWidth <= SETUP_SHOULDER_PX.max;
+            hints.distance = shoulderWidth < SETUP_SHOULDER_PX.min ? 'tooFar' : 'tooClose';
+            
+            // A patient on the left of the picture stands to their own right
+            const center = (shoulders.x + hips.x) / 2;
+            checks.centering = Math.abs(center - 0.5) <= SETUP_CENTER_TOLERANCE;
+            hints.centering = center < 0.5 ? 'stepLeft' : 'stepRight';
+            
+            const tilt = this.measureTilt(landmarks, frame, shoulders, ankles);
+            checks.tilt = Math.abs(tilt) <= SETUP_MAX_TILT;
+            hints.tilt = 'levelCamera';
+        }
+        
+        const failed = SETUP_CHECKS.find(check => !checks[check]);
+        if (failed) {
+            this.passingSince = 0;
+        } else if (!this.passingSince) {
+            this.passingSince = timestamp;
+        }
+        
+        const progress = this.passingSince ? Math.min(1, (timestamp - this.passingSince) / SETUP_HOLD) : 0;
+        if (progress >= 1) {
+            this.passed = true;
+        }
+        
+        const hint = !landmarks ? 'noBody' : failed ? hints[failed] : this.passed ? null : 'hold';
+        return { checks: checks, hint: hint, passed: this.passed, progress: progress };
+    }
+    
+    /**
+     * Camera roll in degrees (clockwise positive) - the mean lean of the
+     * shoulder and hip lines from horizontal and of the body axis from vertical
+     */
+    measureTilt(landmarks, frame, shoulders, ankles) {
+        const point = (name) => landmarks[POSE_LANDMARKS[name]];
+        const degrees = (radians) => radians * 180 / Math.PI;
+        
+        // Lines run across the picture from the patient's right side to their left
+        const line = (right, left) => degrees(Math.atan2(
+            (left.y - right.y) * frame.height,
+            (left.x - right.x) * frame.width
+        ));
+        const axis = degrees(Math.atan2(
+            -(ankles.x - shoulders.x) * frame.width,
+            (ankles.y - shoulders.y) * frame.height
+        ));
+        
+        return (line(point('RIGHT_SHOULDER'), point('LEFT_SHOULDER')) + line(point('RIGHT_HIP'), point('LEFT_HIP')) + axis) / 3;
+    }
+    
+    /**
+     * Mean luminance (0-255) of an image, measured at most every
+     * SETUP_BRIGHTNESS_INTERVAL ms - the last measurement in between
+     */
+    measureBrightness(image, timestamp = Date.now()) {
+        if (timestamp - this.brightnessTime < SETUP_BRIGHTNESS_INTERVAL) {
+            return this.brightness;
+        }
+        this.brightnessTime = timestamp;
+        
+        if (!this.sampleCanvas) {
+            this.sampleCanvas = document.createElement('canvas');
+            this.sampleCanvas.width = 32;
+            this.sampleCanvas.height = 24;
+        }
+        const context = this.sampleCanvas.getContext('2d', { willReadFrequently: true });
+        
+        try {
+            context.drawImage(image, 0, 0, this.sampleCanvas.width, this.sampleCanvas.height);
+            const pixels = context.getImageData(0, 0, this.sampleCanvas.width, this.sampleCanvas.height).data;
+            let total = 0;
+            for (let i = 0; i < pixels.length; i += 4) {
+                total += 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+            }
+            this.brightness = total / (pixels.length / 4);
+        } catch (e) {
+            // Frame not readable (e.g. not loaded yet) - lighting goes unchecked
+            this.brightness = null;
+        }
+        return this.brightness;
+    }
+    
+    /**
+     * Localized text for a hint from update()
+     */
+    describe(hint) {
+        return hint ? window.i18n.t(`setup.${hint}`) : window.i18n.t('setup.ready');
+    }
+    
+    reset() {
+        this.passed = false;
+        this.passingSince = 0;
+        this.brightness = null;
+        this.brightnessTime = -Infinity;
+    }
+}
+
+/**
+ * Whether a landmark is visible and clear of the frame edges
+ */
+function isInFrame(landmark) {
+    return Boolean(landmark) &&
+        (landmark.visibility === undefined || landmark.visibility >= SETUP_MIN_VISIBILITY) &&
+        landmark.x >= SETUP_EDGE_MARGIN && landmark.x <= 1 - SETUP_EDGE_MARGIN &&
+        landmark.y >= SETUP_EDGE_MARGIN && landmark.y <= 1 - SETUP_EDGE_MARGIN;
+}
+
+// Export for use in main.js
+window.CameraSetup = CameraSetup;
@@ -0,0 +1,155 @@
+/**
+ * Camera Source
+ * Opens a chosen camera at a chosen resolution and frame rate and hands
+ * each new video frame to a callback - the device-aware stand-in for
+ * MediaPipe's Camera helper, which only knows the front camera
+ */
+
+// Resolution and frame rate presets - ids are what the selects and settings store
+const CAMERA_RESOLUTIONS = {
+    '640x480': { width: 640, height: 480, label: '640 × 480' },
+    '1280x720': { width: 1280, height: 720, label: '1280 × 720 (HD)' },
+    '1280x960': { width: 1280, height: 960, label: '1280 × 960' },
+    '1920x1080': { width: 1920, height: 1080, label: '1920 × 1080 (Full HD)' }
+};
+const CAMERA_FRAME_RATES = [15, 24, 30, 60];
+
+const CAMERA_STORAGE_KEY = 'physioai.camera';
+const DEFAULT_CAMERA_SETTINGS = { deviceId: '', resolution: '1280x960', frameRate: 30, mirror: true };
+
+class CameraSource {
+    /**
+     * settings: { deviceId ('' for the default front camera), resolution,
+     * frameRate, mirror } - mirror only affects how main.js draws the view
+     */
+    constructor(videoElement, settings, onFrame) {
+        this.video = videoElement;
+        this.settings = settings;
+        this.onFrame = onFrame;
+        this.stream = null;
+        this.running = false;
+    }
+    
+    async start() {
+        const resolution = CAMERA_RESOLUTIONS[this.settings.resolution] || CAMERA_RESOLUTIONS[DEFAULT_CAMERA_SETTINGS.resolution];
+        const video = {
+            width: { ideal: resolution.width },
+            height: { ideal: resolution.height },
+            frameRate: { ideal: this.settings.frameRate }
+        };
+        const open = (device) => navigator.mediaDevices.getUserMedia({ video: { ...video, ...device }, audio: false });
+        
+        if (this.settings.deviceId) {
+            try {
+                this.stream = await open({ deviceId: { exact: this.settings.deviceId } });
+            } catch (error) {
+                // The chosen camera was unplugged - use the front one instead
+                if (error.name !== 'NotFoundError' && error.name !== 'OverconstrainedError') throw error;
+                console.warn('Chosen camera not available, using the default:', error);
+                this.stream = await open({ facingMode: 'user' });
+            }
+        } else {
+            this.stream = await open({ facingMode: 'user' });
+        }
+        
+        this.video.srcObject = this.stream;
+        this.video.muted = true;
+        this.video.playsInline = true;
+        await this.video.play();
+        
+        this.running = true;
+        this.nextFrame();
+    }
+    
+    /**
+     * Wait for the next video frame, then pass it on - one at a time, so a
+     * slow pose model skips frames instead of queueing them
+     */
+    nextFrame() {
+        if (!this.running) return;
+        
+        const handle = async () => {
+            if (!this.running) return;
+            try {
+                await this.onFrame();
+            } catch (error) {
+                // One failed frame must not end the loop
+                console.error('Frame handler failed:', error);
+            }
+            this.nextFrame();
+        };
+        if (this.video.requestVideoFrameCallback) {
+            this.video.requestVideoFrameCallback(handle);
+        } else {
+            requestAnimationFrame(handle);
+        }
+    }
+    
+    stop() {
+        this.running = false;
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        this.video.srcObject = null;
+    }
+    
+    /**
+     * What the camera actually delivers: { deviceId, width, height, frameRate }
+     */
+    getActualSettings() {
+        const track = this.stream ? this.stream.getVideoTracks()[0] : null;
+        return track ? track.getSettings() : {};
+    }
+    
+    /**
+     * Video inputs as [{ deviceId, label }] - labels stay empty until
+     * camera access has been granted once
+     */
+    static async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || window.i18n.t('camera.numbered', { number: index + 1 })
+            }));
+    }
+    
+    /**
+     * Camera settings chosen last time, or the defaults
+     */
+    static loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CAMERA_STORAGE_KEY));
+            return { ...DEFAULT_CAMERA_SETTINGS, ...saved };
+        } catch (e) {
+            console.warn('Could not load camera settings:', e);
+            return { ...DEFAULT_CAMERA_SETTINGS };
+        }
+    }
+    
+    static saveSettings(settings) {
+        localStorage.setItem(CAMERA_STORAGE_KEY, JSON.stringify(settings));
+    }
+    
+    /**
+     * Largest rectangle of the source's aspect ratio that fits the target,
+     * centered - bars fill the rest: { x, y, width, height }
+     */
+    static fitRect(sourceWidth, sourceHeight, targetWidth, targetHeight) {
+        if (!sourceWidth || !sourceHeight) {
+            return { x: 0, y: 0, width: targetWidth, height: targetHeight };
+        }
+        const scale = Math.min(targetWidth / sourceWidth, targetHeight / sourceHeight);
+        const width = sourceWidth * scale;
+        const height = sourceHeight * scale;
+        return { x: (targetWidth - width) / 2, y: (targetHeight - height) / 2, width: width, height: height };
+    }
+}
+
+// Export for use in main.js
+window.CameraSource = CameraSource;
+window.CAMERA_RESOLUTIONS = CAMERA_RESOLUTIONS;
+window.CAMERA_FRAME_RATES = CAMERA_FRAME_RATES;
@@ -0,0 +1,110 @@
+/**
+ * Lightweight SVG Charts
+ * Dependency-free line charts used by the history view and printable reports.
+ * Charts are returned as SVG markup so they work both in the page and in
+ * standalone report documents.
+ */
+
+const CHART_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6'];
+
+/**
+ * Escape text for use inside SVG/HTML markup
+ */
+function escapeChartText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a line chart
+ *
+ * labels: x axis labels, one per point
+ * series: [{ name, values: [number|null], color? }] - null leaves a gap
+ * options: { width, height, yMin, yMax, unit }
+ */
+function lineChart(labels, series, options = {}) {
+    const width = options.width || 640;
+    const height = options.height || 220;
+    const unit = options.unit || '';
+    const padding = { top: 16, right: 16, bottom: 32, left: 44 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    
+    const allValues = series.flatMap(s => s.values).filter(v => v !== null && v !== undefined);
+    if (allValues.length === 0) {
+        return `<svg viewBox="0 0 ${width} ${height}" width="100%" xmlns="http://www.w3.org/2000/svg">` +
+            `<text x="${width / 2}" y="${height / 2}" text-anchor="middle" font-size="12" fill="#6b7280">No data</text></svg>`;
+    }
+    
+    // Y range with a little headroom, unless fixed by the caller
+    let yMin = options.yMin !== undefined ? options.yMin : Math.min(...allValues);
+    let yMax = options.yMax !== undefined ? options.yMax : Math.max(...allValues);
+    if (yMax === yMin) {
+        yMin -= 5;
+        yMax += 5;
+    }
+    
+    const x = (index) => padding.left + (labels.length > 1 ? (index / (labels.length - 1)) * plotWidth : plotWidth / 2);
+    const y = (value) => padding.top + plotHeight - ((value - yMin) / (yMax - yMin)) * plotHeight;
+    
+    const parts = [`<svg viewBox="0 0 ${width} ${height}" width="100%" xmlns="http://www.w3.org/2000/svg" font-family="sans-serif">`];
+    
+    // Horizontal grid lines with y labels
+    const ticks = 4;
+    for (let i = 0; i <= ticks; i++) {
+        const value = yMin + ((yMax - yMin) * i) / ticks;
+        const ty = y(value);
+        parts.push(`<line x1="${padding.left}" y1="${ty}" x2="${width - padding.right}" y2="${ty}" stroke="#e5e7eb" />`);
+        parts.push(`<text x="${padding.left - 6}" y="${ty + 4}" text-anchor="end" font-size="10" fill="#6b7280">${Math.round(value)}${unit}</text>`);
+    }
+    
+    // X labels - thinned out so they don't overlap
+    const labelStep = Math.max(1, Math.ceil(labels.length / 8));
+    labels.forEach((label, index) => {
+        if (index % labelStep === 0 || index === labels.length - 1) {
+            parts.push(`<text x="${x(index)}" y="${height - 10}" text-anchor="middle" font-size="10" fill="#6b7280">${escapeChartText(label)}</text>`);
+        }
+    });
+    
+    // One polyline per series, broken at missing values
+    series.forEach((s, seriesIndex) => {
+        const color = s.color || CHART_COLORS[seriesIndex % CHART_COLORS.length];
+        let segment = [];
+        const flush = () => {
+            if (segment.length > 1) {
+                parts.push(`<polyline points="${segment.join(' ')}" fill="none" stroke="${color}" stroke-width="2" />`);
+            }
+            segment = [];
+        };
+        
+        s.values.forEach((value, index) => {
+            if (value === null || value === undefined) {
+                flush();
+                return;
+            }
+            segment.push(`${x(index)},${y(value)}`);
+            parts.push(`<circle cx="${x(index)}" cy="${y(value)}" r="3" fill="${color}">` +
+                `<title>${escapeChartText(`${s.name} - ${labels[index]}: ${Math.round(value)}${unit}`)}</title></circle>`);
+        });
+        flush();
+    });
+    
+    // Legend when there is more than one series
+    if (series.length > 1) {
+        series.forEach((s, seriesIndex) => {
+            const color = s.color || CHART_COLORS[seriesIndex % CHART_COLORS.length];
+            const lx = padding.left + 8 + seriesIndex * 90;
+            parts.push(`<rect x="${lx}" y="4" width="10" height="10" fill="${color}" />`);
+            parts.push(`<text x="${lx + 14}" y="13" font-size="10" fill="#374151">${escapeChartText(s.name)}</text>`);
+        });
+    }
+    
+    parts.push('</svg>');
+    return parts.join('');
+}
+
+// Export for use in the history view and reports
+window.Charts = { lineChart, escape: escapeChartText };
@@ -0,0 +1,313 @@
+/**
+ * Exercise Analyzer Interface and Registry
+ * Common contract shared by all movement analyzers, plus a registry that
+ * maps the `analyzer` id declared on each EXERCISES entry to its class
+ */
+
+// MediaPipe Pose Landmark Indices
+const POSE_LANDMARKS = {
+    NOSE: 0,
+    LEFT_EYE_INNER: 1,
+    LEFT_EYE: 2,
+    LEFT_EYE_OUTER: 3,
+    RIGHT_EYE_INNER: 4,
+    RIGHT_EYE: 5,
+    RIGHT_EYE_OUTER: 6,
+    LEFT_EAR: 7,
+    RIGHT_EAR: 8,
+    MOUTH_LEFT: 9,
+    MOUTH_RIGHT: 10,
+    LEFT_SHOULDER: 11,
+    RIGHT_SHOULDER: 12,
+    LEFT_ELBOW: 13,
+    RIGHT_ELBOW: 14,
+    LEFT_WRIST: 15,
+    RIGHT_WRIST: 16,
+    LEFT_PINKY: 17,
+    RIGHT_PINKY: 18,
+    LEFT_INDEX: 19,
+    RIGHT_INDEX: 20,
+    LEFT_THUMB: 21,
+    RIGHT_THUMB: 22,
+    LEFT_HIP: 23,
+    RIGHT_HIP: 24,
+    LEFT_KNEE: 25,
+    RIGHT_KNEE: 26,
+    LEFT_ANKLE: 27,
+    RIGHT_ANKLE: 28,
+    LEFT_HEEL: 29,
+    RIGHT_HEEL: 30,
+    LEFT_FOOT_INDEX: 31,
+    RIGHT_FOOT_INDEX: 32
+};
+
+// A required landmark counts as seen from this MediaPipe visibility up and
+// inside the frame. Once one is lost, analysis resumes only after all of them
+// have been seen at REACQUIRE_VISIBILITY for REACQUIRE_FRAMES frames in a row
+const MIN_VISIBILITY = 0.5;
+const REACQUIRE_VISIBILITY = 0.65;
+const REACQUIRE_FRAMES = 5;
+
+// Body part named in "out of frame" coaching, by landmark name
+const LANDMARK_PARTS = [
+    [/NOSE|EYE|EAR|MOUTH/, 'head'],
+    [/SHOULDER/, 'shoulders'],
+    [/ELBOW/, 'arms'],
+    [/WRIST|PINKY|INDEX|THUMB/, 'hands'],
+    [/HIP/, 'hips'],
+    [/KNEE/, 'knees'],
+    [/ANKLE|HEEL|FOOT/, 'feet']
+];
+
+/**
+ * Base class for exercise analyzers
+ *
+ * analyze(landmarks, timestamp, worldLandmarks) is called once per pose
+ * frame - world landmarks are the model's metric 3D positions, null when
+ * it gave none - and returns either null (frame could not be analyzed) or
+ * a result object of this shape:
+ *
+ *   {
+ *     phase: 'resting',      // exercise-specific movement phase id
+ *     angles: {},            // named joint angles in degrees
+ *     errors: [],            // form error ids detected this frame
+ *     repCount: 0,           // completed reps since the last reset()
+ *     repsBySide: {},        // rep counts per tracked side, e.g. { left, right }
+ *     completedReps: [],     // reps completed on this frame (timings, peaks, errors, score)
+ *     formScore: 100,        // 0-100 form quality for this frame
+ *     feedback: '',          // short on-screen coaching message
+ *     holdDuration: 0,       // ms spent in the target position (0 if none)
+ *     holdComplete: false,   // true once the required hold has been met
+ *     visibility: { ok: true, missing: [], hint: null }  // see checkVisibility()
+ *   }
+ *
+ * While the required landmarks are not reliably visible the frame is left
+ * out of phase, rep and score logic: phase, reps and score stay as they
+ * were, angles are null and feedback coaches the patient back into view
+ */
+class ExerciseAnalyzer {
+    constructor(exercise = null, options = {}) {
+        this.exercise = exercise;
+        
+        // Session settings chosen by the user (e.g. { side: 'left' })
+        this.options = options;
+        
+        // Phase ids main.js needs to know about for generic UI handling
+        this.restPhase = 'resting';
+        this.targetPhase = 'holding';
+        
+        // Target seconds per phase role - raise (out), hold (target) and
+        // lower (back) - empty when the exercise is not timed
+        this.tempo = {};
+        
+        // Required time in the target phase (ms), 0 when there is no hold
+        this.holdTime = 0;
+        
+        this.repCount = 0;
+        this.formScore = 100;
+        
+        // Start out waiting for the required landmarks to be seen reliably
+        this.visibilityLost = true;
+        this.visibleFrames = 0;
+        this.visibilityHint = null;
+    }
+    
+    /**
+     * Analyze one frame of landmarks - must be implemented by subclasses
+     */
+    analyze(landmarks, timestamp, worldLandmarks) {
+        throw new Error(`${this.constructor.name} does not implement analyze()`);
+    }
+    
+    /**
+     * Reset analyzer for new session
+     */
+    reset() {
+        this.repCount = 0;
+        this.formScore = 100;
+        this.visibilityLost = true;
+        this.visibleFrames = 0;
+        this.visibilityHint = null;
+    }
+    
+    /**
+     * POSE_LANDMARKS names that must be visible for a frame to be analyzed
+     */
+    getRequiredLandmarks() {
+        return [];
+    }
+    
+    /**
+     * Whether this frame's required landmarks can be trusted:
+     * { ok, missing (landmark names), hint } where hint says how to get
+     * back into view - { action: 'stepBack' | 'moveCenter' | 'faceCamera' | 'uncover', part }
+     * - and is kept while the landmarks are being reacquired
+     */
+    checkVisibility(landmarks) {
+        const threshold = this.visibilityLost ? REACQUIRE_VISIBILITY : MIN_VISIBILITY;
+        const missing = this.getRequiredLandmarks().filter(name => !isLandmarkSeen(landmarks[POSE_LANDMARKS[name]], threshold));
+        
+        if (missing.length > 0) {
+            this.visibilityLost = true;
+            this.visibleFrames = 0;
+            // Only coach when the joints are really gone, not just short of the reacquire bar
+            const gone = missing.filter(name => !isLandmarkSeen(landmarks[POSE_LANDMARKS[name]], MIN_VISIBILITY));
+            if (gone.length > 0 || !this.visibilityHint) {
+                this.visibilityHint = describeMissing(landmarks, gone.length > 0 ? gone : missing);
+            }
+            return { ok: false, missing: missing, hint: this.visibilityHint };
+        }
+        
+        if (this.visibilityLost && ++this.visibleFrames < REACQUIRE_FRAMES) {
+            return { ok: false, missing: [], hint: this.visibilityHint };
+        }
+        
+        this.visibilityLost = false;
+        this.visibilityHint = null;
+        return { ok: true, missing: [], hint: null };
+    }
+    
+    /**
+     * Coaching text for a visibility hint, e.g. "Step back until I can see your hands"
+     */
+    describeVisibility(hint) {
+        if (!hint) return '';
+        return window.i18n.t(`visibility.${hint.action}`, { part: window.i18n.t(`visibility.parts.${hint.part}`) });
+    }
+    
+    /**
+     * Human readable label for a movement phase
+     */
+    getPhaseLabel(phase) {
+        return phase;
+    }
+    
+    /**
+     * On-screen text for each error id, for summaries and reports
+     */
+    getErrorLabels() {
+        return {};
+    }
+    
+    /**
+     * Spoken prompts for AudioFeedback.setSpokenPrompts()
+     */
+    getSpokenPrompts() {
+        return {
+            phases: { rest: this.restPhase, target: this.targetPhase },
+            prompts: {},
+            errors: {},
+            holdTime: this.holdTime
+        };
+    }
+    
+    /**
+     * Short angle readout shown next to the phase label
+     */
+    formatAngles(angles) {
+        return '';
+    }
+    
+    /**
+     * Parse a tempo prescription such as "3-2-3" (raise-hold-lower seconds)
+     * Returns null when the text is not a tempo
+     */
+    static parseTempo(text) {
+        const match = /^\s*(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)\s*$/.exec(text || '');
+        if (!match) return null;
+        
+        return {
+            raise: parseFloat(match[1]),
+            hold: parseFloat(match[2]),
+            lower: parseFloat(match[3])
+        };
+    }
+    
+    /**
+     * Tempo as "raise-hold-lower" text, e.g. "3-2-3"
+     */
+    static formatTempo(tempo) {
+        return tempo && tempo.raise !== undefined
+            ? [tempo.raise, tempo.hold || 0, tempo.lower].join('-')
+            : '';
+    }
+}
+
+/**
+ * Whether a landmark is inside the frame and visible enough
+ */
+function isLandmarkSeen(landmark, threshold) {
+    return Boolean(landmark) &&
+        (landmark.visibility === undefined || landmark.visibility >= threshold) &&
+        landmark.x >= 0 && landmark.x <= 1 && landmark.y >= 0 && landmark.y <= 1;
+}
+
+/**
+ * How to bring missing landmarks back into view: out past the top or bottom
+ * edge - step back; past a side - move to the center; hidden on one side of
+ * the body only - face the camera; otherwise something is in the way
+ */
+function describeMissing(landmarks, missing) {
+    const name = missing[0];
+    const part = (LANDMARK_PARTS.find(([pattern]) => pattern.test(name)) || [null, 'body'])[1];
+    const landmark = landmarks[POSE_LANDMARKS[name]];
+    
+    if (landmark && (landmark.y < 0 || landmark.y > 1)) {
+        return { action: 'stepBack', part: part };
+    }
+    if (landmark && (landmark.x < 0 || landmark.x > 1)) {
+        return { action: 'moveCenter', part: part };
+    }
+    
+    const sides = new Set(missing.map(name => name.split('_')[0]));
+    if (sides.size === 1 && (sides.has('LEFT') || sides.has('RIGHT'))) {
+        const other = sides.has('LEFT') ? 'RIGHT' : 'LEFT';
+        const counterpart = landmarks[POSE_LANDMARKS[name.replace(/^(LEFT|RIGHT)/, other)]];
+        if (isLandmarkSeen(counterpart, MIN_VISIBILITY)) {
+            return { action: 'faceCamera', part: part };
+        }
+    }
+    return { action: 'uncover', part: part };
+}
+
+/**
+ * Registry of analyzer classes keyed by analyzer id
+ */
+class AnalyzerRegistry {
+    constructor() {
+        this.analyzers = new Map();
+    }
+    
+    /**
+     * Register an analyzer class under an id
+     */
+    register(id, AnalyzerClass) {
+        if (this.analyzers.has(id)) {
+            console.warn(`Analyzer "${id}" is already registered - replacing it`);
+        }
+        this.analyzers.set(id, AnalyzerClass);
+    }
+    
+    /**
+     * Check if an exercise has a registered analyzer
+     */
+    supports(exercise) {
+        return Boolean(exercise && this.analyzers.has(exercise.analyzer));
+    }
+    
+    /**
+     * Create an analyzer instance for an exercise definition and session options
+     */
+    create(exercise, options = {}) {
+        const AnalyzerClass = exercise && this.analyzers.get(exercise.analyzer);
+        if (!AnalyzerClass) {
+            return null;
+        }
+        return new AnalyzerClass(exercise, options);
+    }
+}
+
+// Export for use in analyzers and main.js
+window.POSE_LANDMARKS = POSE_LANDMARKS;
+window.ExerciseAnalyzer = ExerciseAnalyzer;
+window.analyzerRegistry = new AnalyzerRegistry();
@@ -1,6 +1,9 @@
 /**
  * Exercise Database and Configuration
- * Currently focused on Lateral Arm Raises for Physiotherapy
+ * Upper and lower body exercises for physiotherapy
+ *
+ * Each exercise names its `analyzer` and declares how it is analyzed in its
+ * `analysis` block, so thresholds can be tuned here without touching code.
  */
 
 const EXERCISES = [
@@ -13,6 +16,7 @@ const EXERCISES = [
     duration: "30-45 seconds",
     reps: "10-15",
     icon: "fa-solid fa-hands",
+    analyzer: "arm-raises", // Id registered in window.analyzerRegistry
     description:
       "Shoulder strengthening and mobility exercise commonly used in physiotherapy",
     demoAnimation: "img/how-to-do-dumbbell-lateral-raise.gif",
@@ -36,18 +40,223 @@ const EXERCISES = [
         "Bending elbows",
       ],
     },
-    // Angles and thresholds for error detection
-    targetAngles: {
-      leftArmAngle: { min: 0, max: 95, optimal: 90 }, // Arm relative to body
-      rightArmAngle: { min: 0, max: 95, optimal: 90 },
-      shoulderSymmetry: { maxDifference: 15 }, // Max difference between arms
-      elbowFlexion: { maxBend: 20 }, // Arms should stay mostly straight
-    },
-    // Movement speed thresholds (in seconds)
-    speedThresholds: {
-      raiseTime: { min: 2, max: 4 }, // 2-4 seconds to raise
-      lowerTime: { min: 2, max: 4 }, // 2-4 seconds to lower
-      holdTime: { min: 0.5, max: 2 }, // Optional hold at top
+    // Movement analysis - executed by RuleBasedAnalyzer (js/rule-based-analyzer.js)
+    analysis: {
+      // Metrics computed every frame, in order. Joints use POSE_LANDMARKS names
+      metrics: {
+        leftArm: { type: "trunkAngle", from: "LEFT_SHOULDER", to: "LEFT_ELBOW" }, // 0° = at the side, 90° = shoulder height
+        rightArm: { type: "trunkAngle", from: "RIGHT_SHOULDER", to: "RIGHT_ELBOW" },
+        leftArmPlane: { type: "elevationPlane", from: "LEFT_SHOULDER", to: "LEFT_ELBOW" }, // 0° = to the side, 90° = forward
+        rightArmPlane: { type: "elevationPlane", from: "RIGHT_SHOULDER", to: "RIGHT_ELBOW" },
+        averageArm: { type: "average", of: ["leftArm", "rightArm"] },
+        leftElbow: { type: "joint", points: ["LEFT_SHOULDER", "LEFT_ELBOW", "LEFT_WRIST"] }, // 180° = straight
+        rightElbow: { type: "joint", points: ["RIGHT_SHOULDER", "RIGHT_ELBOW", "RIGHT_WRIST"] },
+        symmetryDiff: { type: "difference", of: ["leftArm", "rightArm"] },
+        leftShoulderRise: { type: "rise", joint: "LEFT_SHOULDER" }, // vs resting position
+        rightShoulderRise: { type: "rise", joint: "RIGHT_SHOULDER" },
+      },
+      // Phase detection on the smoothed phase metric (degrees)
+      phases: {
+        metric: "averageArm",
+        names: { rest: "resting", out: "raising", target: "holding", back: "lowering" },
+        smoothingMs: 150, // Filter lag while still - less while moving, the same at any FPS
+        hysteresis: 5, // A phase is left only this far past its boundary
+        minSpeed: 10, // °/s - slower movement between rest and target keeps its direction
+        restBelow: 30, // Arms down by sides
+        targetMin: 80, // Hold window around shoulder height
+        targetMax: 100,
+        minPeak: 70, // Peak needed for a rep to count
+      },
+      // Seconds per phase - raise (out), hold (target), lower (back) - with
+      // the fraction either side allowed before tempo rules flag a rep.
+      // The hold completes at shoulder height; prescriptions can override these
+      tempo: { raise: 3, hold: 3, lower: 3, tolerance: 0.4 },
+      // Thresholds above are tuned for this target; a prescribed target or a
+      // patient's calibrated range scales them (see `scaleWithRange` on rules)
+      calibration: { target: 90 },
+      // Per-side phase metrics for single-arm and alternating sessions
+      sides: {
+        left: { metric: "leftArm" },
+        right: { metric: "rightArm" },
+      },
+      // Per-side peak angles recorded for every completed rep
+      repPeaks: { left: "leftArm", right: "rightArm" },
+      // Error rules in priority order - the first match drives the feedback.
+      // Value is a frame `metric` or a `rep` field of the rep in progress;
+      // `phases` limits when a rule applies, `enteredFrom` checks only on that transition (one phase or a list);
+      // `side` rules are skipped when that side is not worked, `bilateral` ones need both;
+      // `belowTempo`/`aboveTempo` compare with that tempo phase ({seconds} in the text)
+      errors: [
+        {
+          // Disabled - shoulders naturally move slightly when arms raise
+          id: "shoulder_shrug_left",
+          side: "left",
+          enabled: false,
+          metric: "leftShoulderRise",
+          above: 0.05,
+          phases: ["raising", "holding"],
+          penalty: 10,
+          feedback: "Relax shoulders - don't shrug",
+        },
+        {
+          id: "shoulder_shrug_right",
+          side: "right",
+          enabled: false,
+          metric: "rightShoulderRise",
+          above: 0.05,
+          phases: ["raising", "holding"],
+          penalty: 10,
+          feedback: "Relax shoulders - don't shrug",
+        },
+        {
+          // Only flag when significantly above shoulder level
+          id: "arm_too_high_left",
+          side: "left",
+          metric: "leftArm",
+          above: 110,
+          scaleWithRange: true,
+          penalty: 15,
+          feedback: "Don't raise above shoulders",
+          spoken: "Lower your left arm slightly",
+        },
+        {
+          id: "arm_too_high_right",
+          side: "right",
+          metric: "rightArm",
+          above: 110,
+          scaleWithRange: true,
+          penalty: 15,
+          feedback: "Don't raise above shoulders",
+          spoken: "Lower your right arm slightly",
+        },
+        {
+          // Forward raises work the front of the shoulder instead - needs
+          // world landmarks, the plane is unknown without them
+          id: "arm_forward_left",
+          side: "left",
+          metric: "leftArmPlane",
+          above: 45,
+          phases: ["raising", "holding"],
+          penalty: 15,
+          feedback: "Raise your arms out to the sides",
+          spoken: "Move your left arm out to the side",
+        },
+        {
+          id: "arm_forward_right",
+          side: "right",
+          metric: "rightArmPlane",
+          above: 45,
+          phases: ["raising", "holding"],
+          penalty: 15,
+          feedback: "Raise your arms out to the sides",
+          spoken: "Move your right arm out to the side",
+        },
+        {
+          id: "asymmetric_movement",
+          bilateral: true, // Only when both arms are worked together
+          metric: "symmetryDiff",
+          above: 15,
+          phases: ["raising", "holding"],
+          penalty: 20,
+          feedback: "Keep both arms at same height",
+          spoken: "Keep both arms at the same height",
+        },
+        {
+          // Relaxed threshold - some bend is natural
+          id: "elbow_bent_left",
+          side: "left",
+          metric: "leftElbow",
+          below: 140,
+          penalty: 10,
+          feedback: "Keep arms straighter",
+          spoken: "Straighten your left arm",
+        },
+        {
+          id: "elbow_bent_right",
+          side: "right",
+          metric: "rightElbow",
+          below: 140,
+          penalty: 10,
+          feedback: "Keep arms straighter",
+          spoken: "Straighten your right arm",
+        },
+        {
+          id: "too_fast_raising",
+          rep: "raiseTime", // ms from leaving rest to reaching the hold window
+          belowTempo: "raise",
+          phases: ["holding"],
+          enteredFrom: "raising",
+          penalty: 15,
+          feedback: "Slower movement - {seconds} seconds up",
+          spoken: "Slower movement please",
+        },
+        {
+          id: "too_slow_raising",
+          rep: "raiseTime",
+          aboveTempo: "raise",
+          phases: ["holding"],
+          enteredFrom: "raising",
+          penalty: 5,
+          feedback: "A little quicker - {seconds} seconds up",
+          spoken: "A little quicker on the way up",
+        },
+        {
+          id: "too_fast_lowering",
+          rep: "lowerTime", // ms from leaving the hold window back to rest
+          belowTempo: "lower",
+          phases: ["resting"],
+          enteredFrom: "lowering",
+          penalty: 15,
+          feedback: "Lower slowly - {seconds} seconds down",
+          spoken: "Lower your arms more slowly",
+        },
+        {
+          id: "too_slow_lowering",
+          rep: "lowerTime",
+          aboveTempo: "lower",
+          phases: ["resting"],
+          enteredFrom: "lowering",
+          penalty: 5,
+          feedback: "A little quicker - {seconds} seconds down",
+          spoken: "A little quicker on the way down",
+        },
+        {
+          id: "insufficient_height",
+          rep: "peakAngle",
+          below: 70,
+          scaleWithRange: true,
+          phases: ["lowering"],
+          penalty: 25,
+          feedback: "Raise arms to shoulder height",
+          spoken: "Raise arms higher to shoulder level",
+        },
+      ],
+      // Overlay label per phase
+      labels: {
+        resting: "Arms Down - Ready",
+        raising: "Raising Arms",
+        holding: "Hold at Shoulder Height",
+        lowering: "Lowering Arms",
+      },
+      // Feedback when form is good, {angle} = smoothed phase metric
+      feedback: {
+        resting: "Ready - Arms at sides",
+        raising: "Good form - Keep going! ({angle}°)",
+        holding: "Perfect! Hold briefly ({angle}°)",
+        lowering: "Great control - Lower slowly",
+      },
+      // Angles shown next to the phase label
+      angleReadout: { leftArm: "L", rightArm: "R" },
+      // Spoken coaching prompts (error corrections are on the rules)
+      spoken: {
+        start: "Stand with arms at your sides.",
+        begin: "Raise and lower your arms slowly. Let's begin!",
+        ready: "Ready to begin. Raise your arms slowly.",
+        again: "Raise your arms again",
+        hold: "Hold for {seconds} seconds",
+        release: "Down your hands slowly",
+        calibrate: "Slowly raise your arms as high as you comfortably can, then lower them.",
+      },
     },
     // Therapeutic benefits
     therapeuticGoals: [
@@ -58,6 +267,186 @@ const EXERCISES = [
       "Restore functional movement patterns",
     ],
   },
+  {
+    id: "bodyweight-squat",
+    name: "Bodyweight Squat",
+    category: "lower-body",
+    difficulty: "beginner",
+    targetMuscles: ["Quadriceps", "Glutes", "Hamstrings"],
+    duration: "45-60 seconds",
+    reps: "10-15",
+    icon: "fa-solid fa-person",
+    analyzer: "squat", // Id registered in window.analyzerRegistry
+    description:
+      "Lower body strengthening exercise for knee and hip rehabilitation",
+    instructions: [
+      "Stand with feet shoulder-width apart, turned about 45° to the camera",
+      "Keep your chest up and heels on the floor",
+      "Bend knees and hips to lower down",
+      "Go down until thighs are near parallel",
+      "Push through your heels to stand back up",
+    ],
+    keyPoints: {
+      startPosition: "Standing upright, feet shoulder-width apart",
+      movement: "Controlled descent with knees tracking over toes",
+      breathing: "Inhale while lowering, exhale while standing up",
+      commonErrors: [
+        "Knees collapsing inward",
+        "Heels lifting off the floor",
+        "Leaning too far forward",
+        "Not squatting deep enough",
+      ],
+    },
+    // Movement analysis - executed by RuleBasedAnalyzer (js/rule-based-analyzer.js)
+    analysis: {
+      metrics: {
+        leftKnee: { type: "flexion", points: ["LEFT_HIP", "LEFT_KNEE", "LEFT_ANKLE"] }, // 0° = straight leg
+        rightKnee: { type: "flexion", points: ["RIGHT_HIP", "RIGHT_KNEE", "RIGHT_ANKLE"] },
+        kneeFlexion: { type: "average", of: ["leftKnee", "rightKnee"] },
+        leftHip: { type: "flexion", points: ["LEFT_SHOULDER", "LEFT_HIP", "LEFT_KNEE"] }, // Hip hinge
+        rightHip: { type: "flexion", points: ["RIGHT_SHOULDER", "RIGHT_HIP", "RIGHT_KNEE"] },
+        hipHinge: { type: "average", of: ["leftHip", "rightHip"] },
+        trunkLean: {
+          type: "inclination",
+          from: ["LEFT_HIP", "RIGHT_HIP"],
+          to: ["LEFT_SHOULDER", "RIGHT_SHOULDER"],
+        }, // 0° = upright torso
+        kneeWidth: { type: "width", between: ["LEFT_KNEE", "RIGHT_KNEE"] },
+        ankleWidth: { type: "width", between: ["LEFT_ANKLE", "RIGHT_ANKLE"] },
+        kneeTracking: { type: "ratio", of: ["kneeWidth", "ankleWidth"] }, // < 1 = knees inside ankles
+        leftHeelRise: { type: "rise", joint: "LEFT_HEEL" }, // vs standing position
+        rightHeelRise: { type: "rise", joint: "RIGHT_HEEL" },
+      },
+      phases: {
+        metric: "kneeFlexion",
+        names: { rest: "standing", out: "descending", target: "bottom", back: "ascending" },
+        smoothingMs: 150,
+        hysteresis: 5,
+        minSpeed: 10,
+        restBelow: 20, // Legs nearly straight
+        targetMin: 80, // Thighs near parallel
+        targetMax: 180, // No upper limit on depth
+        minPeak: 80, // Only full-depth reps count
+      },
+      tempo: { raise: 2, hold: 0, lower: 2, tolerance: 0.4 }, // Down, no hold at the bottom, up
+      calibration: { target: 90 }, // Knee flexion the thresholds are tuned for
+      repPeaks: { left: "leftKnee", right: "rightKnee" },
+      errors: [
+        {
+          id: "knee_valgus",
+          metric: "kneeTracking",
+          below: 0.8,
+          phases: ["descending", "bottom", "ascending"],
+          penalty: 25,
+          feedback: "Push knees out over your toes",
+          spoken: "Push your knees out",
+        },
+        {
+          id: "heel_lift_left",
+          metric: "leftHeelRise",
+          above: 0.03,
+          phases: ["descending", "bottom", "ascending"],
+          penalty: 15,
+          feedback: "Keep heels on the floor",
+          spoken: "Keep your left heel down",
+        },
+        {
+          id: "heel_lift_right",
+          metric: "rightHeelRise",
+          above: 0.03,
+          phases: ["descending", "bottom", "ascending"],
+          penalty: 15,
+          feedback: "Keep heels on the floor",
+          spoken: "Keep your right heel down",
+        },
+        {
+          id: "forward_lean",
+          metric: "trunkLean",
+          above: 45,
+          phases: ["descending", "bottom", "ascending"],
+          penalty: 20,
+          feedback: "Keep your chest up",
+          spoken: "Chest up, don't lean forward",
+        },
+        {
+          id: "too_fast_descending",
+          rep: "raiseTime", // ms from standing to reaching depth
+          belowTempo: "raise",
+          phases: ["bottom"],
+          enteredFrom: "descending",
+          penalty: 15,
+          feedback: "Control the descent - {seconds} seconds down",
+          spoken: "Lower down more slowly",
+        },
+        {
+          id: "too_slow_descending",
+          rep: "raiseTime",
+          aboveTempo: "raise",
+          phases: ["bottom"],
+          enteredFrom: "descending",
+          penalty: 5,
+          feedback: "A little quicker - {seconds} seconds down",
+        },
+        {
+          id: "too_fast_ascending",
+          rep: "lowerTime", // ms from leaving depth to standing
+          belowTempo: "lower",
+          phases: ["standing"],
+          enteredFrom: "ascending",
+          penalty: 10,
+          feedback: "Stand up with control - {seconds} seconds up",
+          spoken: "Stand up more slowly",
+        },
+        {
+          id: "too_slow_ascending",
+          rep: "lowerTime",
+          aboveTempo: "lower",
+          phases: ["standing"],
+          enteredFrom: "ascending",
+          penalty: 5,
+          feedback: "A little quicker - {seconds} seconds up",
+        },
+        {
+          // Movement abandoned before reaching depth
+          id: "insufficient_depth",
+          rep: "peakAngle",
+          below: 80,
+          scaleWithRange: true,
+          phases: ["standing"],
+          enteredFrom: ["descending", "ascending"], // Shallow reps may turn back before the bottom
+          penalty: 25,
+          feedback: "Squat deeper - thighs near parallel",
+          spoken: "Go a little deeper",
+        },
+      ],
+      labels: {
+        standing: "Standing - Ready",
+        descending: "Lowering Down",
+        bottom: "Bottom Position",
+        ascending: "Standing Up",
+      },
+      feedback: {
+        standing: "Ready - Stand tall",
+        descending: "Good form - Keep going! ({angle}°)",
+        bottom: "Great depth! Drive up ({angle}°)",
+        ascending: "Push through your heels",
+      },
+      angleReadout: { kneeFlexion: "Knee", hipHinge: "Hip", trunkLean: "Trunk" },
+      spoken: {
+        start: "Stand with feet shoulder-width apart.",
+        begin: "Squat down slowly and stand back up. Let's begin!",
+        ready: "Ready to begin. Bend your knees slowly.",
+        again: "Squat down again",
+        calibrate: "Slowly squat as deep as you comfortably can, then stand back up.",
+      },
+    },
+    therapeuticGoals: [
+      "Strengthen quadriceps and glutes",
+      "Improve knee and hip stability",
+      "Restore sit-to-stand function",
+      "Improve balance and lower body control",
+    ],
+  },
 ];
 
 // Export for use in main.js
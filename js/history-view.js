@@ -0,0 +1,239 @@
+/**
+ * Session History View
+ * Progress dashboard charting range of motion and form score across saved
+ * sessions, grouped per session, day or week
+ */
+
+class HistoryView {
+    constructor(store, onSelectSession = null) {
+        this.store = store;
+        
+        // Called with a session record when its row is opened
+        this.onSelectSession = onSelectSession;
+        this.sessions = [];
+        
+        // DOM Elements
+        this.modal = document.getElementById('historyModal');
+        this.exerciseSelect = document.getElementById('historyExercise');
+        this.groupingSelect = document.getElementById('historyGrouping');
+        this.emptyMessage = document.getElementById('historyEmpty');
+        this.content = document.getElementById('historyContent');
+        this.romChart = document.getElementById('romChart');
+        this.formChart = document.getElementById('formChart');
+        this.tableBody = document.getElementById('historyTableBody');
+        
+        this.exerciseSelect.addEventListener('change', () => this.render());
+        this.groupingSelect.addEventListener('change', () => this.render());
+        document.getElementById('closeHistoryBtn').addEventListener('click', () => this.close());
+        
+        // Close when clicking the backdrop
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
+            }
+        });
+        
+        // View and delete buttons in the sessions table
+        this.tableBody.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-session-id]');
+            if (!button) return;
+            
+            const id = Number(button.dataset.sessionId);
+            if (button.dataset.action === 'view') {
+                const session = this.sessions.find(s => s.id === id);
+                if (session && this.onSelectSession) {
+                    this.close();
+                    this.onSelectSession(session);
+                }
+            } else if (confirm('Delete this session from your history?')) {
+                this.deleteSession(id);
+            }
+        });
+    }
+    
+    /**
+     * Show the dashboard, optionally filtered to one exercise
+     */
+    async open(exerciseId = 'all') {
+        this.exerciseSelect.innerHTML = '<option value="all">All Exercises</option>' +
+            window.EXERCISES.map(exercise => `<option value="${exercise.id}">${exercise.name}</option>`).join('');
+        this.exerciseSelect.value = exerciseId;
+        
+        this.modal.classList.remove('hidden');
+        await this.render();
+    }
+    
+    close() {
+        this.modal.classList.add('hidden');
+    }
+    
+    /**
+     * Load sessions and redraw charts and table
+     */
+    async render() {
+        const exerciseId = this.exerciseSelect.value;
+        
+        let sessions = [];
+        try {
+            sessions = await this.store.getSessions(exerciseId === 'all' ? null : exerciseId);
+        } catch (error) {
+            console.error('Could not load session history:', error);
+        }
+        this.sessions = sessions;
+        
+        if (sessions.length === 0) {
+            this.emptyMessage.classList.remove('hidden');
+            this.content.classList.add('hidden');
+            return;
+        }
+        this.emptyMessage.classList.add('hidden');
+        this.content.classList.remove('hidden');
+        
+        const groups = this.groupSessions(sessions, this.groupingSelect.value);
+        const labels = groups.map(group => group.label);
+        
+        // Range of motion - split by side only when one-side reps were recorded,
+        // with both-sides sessions charted on each side
+        const hasSides = groups.some(group => group.rom.left !== null || group.rom.right !== null);
+        const romSeries = hasSides
+            ? [
+                { name: 'Left', values: groups.map(group => group.sides.left) },
+                { name: 'Right', values: groups.map(group => group.sides.right) }
+            ]
+            : [{ name: 'Peak angle', values: groups.map(group => group.rom.both) }];
+        
+        this.romChart.innerHTML = window.Charts.lineChart(labels, romSeries, { unit: '°' });
+        this.formChart.innerHTML = window.Charts.lineChart(labels, [
+            { name: 'Form score', values: groups.map(group => group.formScore), color: '#10b981' }
+        ], { unit: '%', yMin: 0, yMax: 100 });
+        
+        this.renderTable(sessions);
+    }
+    
+    /**
+     * Sessions table, newest first
+     */
+    renderTable(sessions) {
+        const escape = window.Charts.escape;
+        
+        this.tableBody.innerHTML = sessions.slice().reverse().map(session => {
+            const rom = this.getSessionRom(session);
+            const peak = [rom.left, rom.right, rom.both].filter(value => value !== null);
+            
+            return `
+                <tr class="border-t border-gray-100">
+                    <td class="py-2 pr-4">${new Date(session.startedAt).toLocaleString()}</td>
+                    <td class="py-2 pr-4">${escape(session.exerciseName)}</td>
+                    <td class="py-2 pr-4 capitalize">${escape(session.side)}</td>
+                    <td class="py-2 pr-4">${Math.round(session.durationMs / 1000)}s</td>
+                    <td class="py-2 pr-4">${session.repCount}</td>
+                    <td class="py-2 pr-4">${peak.length ? peak.map(value => `${value}°`).join(' / ') : '--'}</td>
+                    <td class="py-2 pr-4">${session.averageFormScore}%</td>
+                    <td class="py-2 text-right whitespace-nowrap">
+                        ${session.summary ? `<button class="text-gray-400 hover:text-blue-500 mr-2" data-session-id="${session.id}" data-action="view" title="View summary and export">
+                            <i class="fas fa-file-alt"></i>
+                        </button>` : ''}
+                        <button class="text-gray-400 hover:text-red-500" data-session-id="${session.id}" data-action="delete" title="Delete session">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Mean peak angle per side for one session (null where no reps)
+     */
+    getSessionRom(session) {
+        const rom = { left: null, right: null, both: null };
+        const average = window.SessionRecorder.average;
+        
+        Object.keys(rom).forEach(side => {
+            const peaks = session.reps.filter(rep => rep.side === side).map(rep => rep.peakAngle);
+            rom[side] = average(peaks);
+        });
+        
+        return rom;
+    }
+    
+    /**
+     * Mean peak angle of one side for the by-side chart: the side's own reps,
+     * else the per-side peaks of both-sides reps, else their overall peak
+     * (null when the side was not worked)
+     */
+    getSidePeak(session, side) {
+        const average = window.SessionRecorder.average;
+        const own = average(session.reps.filter(rep => rep.side === side).map(rep => rep.peakAngle));
+        if (own !== null) return own;
+        
+        const both = session.reps.filter(rep => rep.side === 'both');
+        const perSide = average(both.map(rep => rep.peakAngles && rep.peakAngles[side]));
+        return perSide !== null ? perSide : average(both.map(rep => rep.peakAngle));
+    }
+    
+    /**
+     * Group sessions per session, day or week with averaged values
+     */
+    groupSessions(sessions, grouping) {
+        const groups = new Map();
+        
+        sessions.forEach(session => {
+            const date = new Date(session.startedAt);
+            let key;
+            let label;
+            
+            if (grouping === 'day') {
+                key = date.toDateString();
+                label = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+            } else if (grouping === 'week') {
+                // Weeks start on Monday
+                const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+                key = monday.toDateString();
+                label = `Wk ${monday.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`;
+            } else {
+                key = session.id;
+                label = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+            }
+            
+            if (!groups.has(key)) {
+                groups.set(key, { label: label, sessions: [] });
+            }
+            groups.get(key).sessions.push(session);
+        });
+        
+        const average = window.SessionRecorder.average;
+        return Array.from(groups.values()).map(group => {
+            const roms = group.sessions.map(session => this.getSessionRom(session));
+            return {
+                label: group.label,
+                sessions: group.sessions,
+                rom: {
+                    left: average(roms.map(rom => rom.left)),
+                    right: average(roms.map(rom => rom.right)),
+                    both: average(roms.map(rom => rom.both))
+                },
+                sides: {
+                    left: average(group.sessions.map(session => this.getSidePeak(session, 'left'))),
+                    right: average(group.sessions.map(session => this.getSidePeak(session, 'right')))
+                },
+                formScore: average(group.sessions.map(session => session.averageFormScore))
+            };
+        });
+    }
+    
+    /**
+     * Delete a session and redraw
+     */
+    async deleteSession(id) {
+        try {
+            await this.store.deleteSession(id);
+        } catch (error) {
+            console.error('Could not delete session:', error);
+        }
+        await this.render();
+    }
+}
+
+// Export for use in main.js
+window.HistoryView = HistoryView;
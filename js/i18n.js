@@ -0,0 +1,118 @@
+/**
+ * Localization
+ * Message catalogs for spoken prompts, on-screen feedback and voice command
+ * phrases. Each language registers itself in LOCALES (js/locales/*.js);
+ * lookups fall back to English, and exercise text falls back to the English
+ * declared in js/exercises.js
+ */
+
+const LANGUAGE_STORAGE_KEY = 'physioai.language';
+const DEFAULT_LANGUAGE = 'en';
+
+// Filled in by the locale files: { name, speechLang, dir, messages, commands, exercises }
+const LOCALES = {};
+
+class I18n {
+    constructor() {
+        this.language = localStorage.getItem(LANGUAGE_STORAGE_KEY) || DEFAULT_LANGUAGE;
+        this.listeners = [];
+    }
+    
+    /**
+     * Switch language and notify listeners (saved for next time)
+     */
+    setLanguage(language) {
+        if (!LOCALES[language] || language === this.language) return;
+        
+        this.language = language;
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+        this.listeners.forEach(listener => listener(language));
+    }
+    
+    /**
+     * Call listener(language) whenever the language changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+    
+    getLocale() {
+        return LOCALES[this.language] || LOCALES[DEFAULT_LANGUAGE];
+    }
+    
+    /**
+     * BCP 47 tag for speech synthesis and recognition, e.g. "es-ES"
+     */
+    getSpeechLang() {
+        return this.getLocale().speechLang;
+    }
+    
+    /**
+     * Text direction of the current language ('ltr' or 'rtl')
+     */
+    getDirection() {
+        return this.getLocale().dir || 'ltr';
+    }
+    
+    /**
+     * App message with {placeholders} filled from params
+     */
+    t(key, params = {}) {
+        const message = lookupMessage(this.getLocale().messages, key);
+        const fallback = lookupMessage(LOCALES[DEFAULT_LANGUAGE].messages, key);
+        return formatMessage(message !== undefined ? message : (fallback !== undefined ? fallback : key), params);
+    }
+    
+    /**
+     * Message list, e.g. the encouragement variations
+     */
+    list(key) {
+        const messages = lookupMessage(this.getLocale().messages, key) || lookupMessage(LOCALES[DEFAULT_LANGUAGE].messages, key);
+        return Array.isArray(messages) ? messages : [];
+    }
+    
+    /**
+     * Exercise text by path within the exercise's catalog entry, e.g.
+     * "labels.holding" or "errors.elbow_bent_left.feedback". English comes
+     * from the exercise definition, so its fallback is passed in
+     */
+    exerciseText(exerciseId, path, fallback, params = {}) {
+        const exercises = this.getLocale().exercises || {};
+        const message = lookupMessage(exercises[exerciseId], path);
+        return formatMessage(message !== undefined ? message : fallback, params);
+    }
+    
+    /**
+     * Voice command phrases per action, e.g. { startCamera: ['start camera', ...] }
+     */
+    getCommandPhrases() {
+        return this.getLocale().commands || LOCALES[DEFAULT_LANGUAGE].commands;
+    }
+    
+    /**
+     * Synonyms, filler words, number words, yes/no answers and wake
+     * phrases used to match what was heard against the command phrases
+     */
+    getVoiceVocabulary() {
+        return this.getLocale().vocabulary || LOCALES[DEFAULT_LANGUAGE].vocabulary;
+    }
+}
+
+/**
+ * Value at a dotted path ("rest.start") in a catalog
+ */
+function lookupMessage(catalog, path) {
+    return path.split('.').reduce((node, key) => (node && node[key] !== undefined ? node[key] : undefined), catalog);
+}
+
+/**
+ * Fill {name} placeholders - unknown ones are left as they are
+ */
+function formatMessage(message, params) {
+    if (typeof message !== 'string') return message;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+// Export for the locale files and everything that speaks or shows text
+window.LOCALES = LOCALES;
+window.i18n = new I18n();
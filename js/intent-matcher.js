@@ -0,0 +1,282 @@
+/**
+ * Intent Matcher
+ * Scores speech recognition alternatives against the voice command phrases
+ * of a language and decides which command was meant. Plain logic with no
+ * microphone or DOM, so it can be driven with typed transcripts:
+ *
+ *   const matcher = new IntentMatcher({ pause: ['pause'], selectExercise: ['select {exercise}'] });
+ *   matcher.match([{ transcript: 'select squats', confidence: 0.9 }]);
+ *   // -> { status: 'matched', intent: { commandType: 'selectExercise', slots: { exercise: 'squats' }, ... } }
+ */
+
+// Scores from ACCEPT up run the command, from SUGGEST up the user is asked to confirm
+const INTENT_ACCEPT_SCORE = 0.65;
+const INTENT_SUGGEST_SCORE = 0.4;
+
+// A different command scoring this close to the best makes the match ambiguous
+const INTENT_AMBIGUITY_MARGIN = 0.1;
+
+// Words less similar than this do not count as the same word
+const MIN_WORD_SIMILARITY = 0.6;
+
+// Weight of an alternative whose recognizer reports no confidence (0)
+const UNKNOWN_CONFIDENCE = 0.75;
+
+// Zero of each decimal digit script we may hear: Latin, Arabic-Indic,
+// Eastern Arabic-Indic and Devanagari
+const DIGIT_ZEROS = [0x30, 0x660, 0x6f0, 0x966];
+
+class IntentMatcher {
+    /**
+     * phrases: { commandType: ['phrase', 'phrase with a {slot}'] }
+     * vocabulary: { synonyms: { word: canonicalWord }, fillers: [words to ignore],
+     *               numbers: [number words from zero], foldMarks: strip accents }
+     */
+    constructor(phrases, vocabulary = {}) {
+        this.foldMarks = !!vocabulary.foldMarks;
+        this.fillers = new Set((vocabulary.fillers || []).map(word => this.normalize(word)));
+        this.numbers = (vocabulary.numbers || []).map(word => this.normalize(word));
+        this.synonyms = {};
+        Object.entries(vocabulary.synonyms || {}).forEach(([word, canonical]) => {
+            this.synonyms[this.normalize(word)] = this.normalize(canonical);
+        });
+        
+        this.patterns = [];
+        Object.entries(phrases).forEach(([commandType, list]) => {
+            list.forEach(phrase => this.patterns.push(this.compile(commandType, phrase)));
+        });
+    }
+    
+    /**
+     * Lower case, and without accents when the language folds them
+     */
+    normalize(text) {
+        const lower = text.toLowerCase();
+        return this.foldMarks ? lower.normalize('NFD').replace(/\p{M}/gu, '') : lower;
+    }
+    
+    /**
+     * Words of a transcript or phrase, punctuation and (unless kept) filler
+     * words dropped
+     */
+    tokenize(text, keepFillers = false) {
+        return this.normalize(text)
+            .replace(/[^\p{L}\p{M}\p{N}'\s]/gu, ' ')
+            .split(/\s+/)
+            .filter(word => word && (keepFillers || !this.fillers.has(word)));
+    }
+    
+    canonical(word) {
+        return this.synonyms[word] || word;
+    }
+    
+    /**
+     * Split a phrase into the words around its slot (at most one)
+     */
+    compile(commandType, phrase) {
+        const [before, slot, after = ''] = phrase.split(/\{(\w+)\}/);
+        return {
+            commandType: commandType,
+            phrase: phrase,
+            slot: slot || null,
+            before: this.tokenize(before).map(word => this.canonical(word)),
+            after: this.tokenize(after).map(word => this.canonical(word))
+        };
+    }
+    
+    /**
+     * Pick the intended command from recognition alternatives
+     * ([{ transcript, confidence }]). Returns { status, intent, candidates }:
+     * 'matched' with the intent to run, 'ambiguous' with up to two
+     * candidates to confirm, or 'none'
+     */
+    match(alternatives) {
+        // Best scoring reading of each command type across all alternatives
+        const best = {};
+        alternatives.forEach(({ transcript, confidence }) => {
+            const tokens = this.tokenize(transcript || '');
+            if (tokens.length === 0) return;
+            
+            const weight = confidence > 0 ? 0.5 + confidence / 2 : UNKNOWN_CONFIDENCE;
+            this.patterns.forEach(pattern => {
+                const result = this.scorePattern(pattern, tokens);
+                if (!result) return;
+                
+                const score = result.score * weight;
+                const current = best[pattern.commandType];
+                if (!current || score > current.score) {
+                    best[pattern.commandType] = {
+                        commandType: pattern.commandType,
+                        phrase: pattern.phrase,
+                        slots: result.slots,
+                        transcript: transcript,
+                        score: score
+                    };
+                }
+            });
+        });
+        
+        const ranked = Object.values(best).sort((a, b) => b.score - a.score);
+        const [top, runnerUp] = ranked;
+        if (!top || top.score < INTENT_SUGGEST_SCORE) {
+            return { status: 'none', intent: null, candidates: ranked };
+        }
+        
+        const close = runnerUp && top.score - runnerUp.score < INTENT_AMBIGUITY_MARGIN ? [top, runnerUp] : [top];
+        if (top.score >= INTENT_ACCEPT_SCORE && close.length === 1) {
+            return { status: 'matched', intent: top, candidates: ranked };
+        }
+        return { status: 'ambiguous', intent: top, candidates: close };
+    }
+    
+    /**
+     * Score one phrase against the transcript words (0-1), trying every
+     * span for its slot. Null when the slot cannot be filled
+     */
+    scorePattern(pattern, tokens) {
+        if (!pattern.slot) {
+            return { score: this.scoreWords(pattern.before, tokens, [], []), slots: {} };
+        }
+        
+        let best = null;
+        for (let start = 0; start < tokens.length; start++) {
+            for (let end = start + 1; end <= tokens.length; end++) {
+                const value = this.parseSlot(pattern.slot, tokens.slice(start, end).join(' '));
+                if (value === null) continue;
+                
+                const score = this.scoreWords(pattern.before, tokens.slice(0, start), pattern.after, tokens.slice(end));
+                if (!best || score > best.score) {
+                    best = { score: score, slots: { [pattern.slot]: value } };
+                }
+            }
+        }
+        return best;
+    }
+    
+    /**
+     * How well the phrase words before and after the slot are found in the
+     * transcript words around it - mostly how many phrase words were heard,
+     * less so how many extra words were said
+     */
+    scoreWords(before, beforeTokens, after, afterTokens) {
+        const words = before.length + after.length;
+        const tokens = beforeTokens.length + afterTokens.length;
+        if (words === 0) return tokens === 0 ? 1 : 0;
+        if (tokens === 0) return 0;
+        
+        const first = this.align(before, beforeTokens);
+        const second = this.align(after, afterTokens);
+        const recall = (first.total + second.total) / words;
+        const precision = (first.matched + second.matched) / tokens;
+        return recall * (0.75 + 0.25 * precision);
+    }
+    
+    /**
+     * Pair each phrase word with the most similar unused transcript word
+     */
+    align(words, tokens) {
+        const used = new Set();
+        let total = 0;
+        
+        words.forEach(word => {
+            let bestIndex = -1;
+            let bestSimilarity = 0;
+            tokens.forEach((token, index) => {
+                if (used.has(index)) return;
+                const similarity = wordSimilarity(word, this.canonical(token));
+                if (similarity > bestSimilarity) {
+                    bestIndex = index;
+                    bestSimilarity = similarity;
+                }
+            });
+            
+            if (bestSimilarity >= MIN_WORD_SIMILARITY) {
+                used.add(bestIndex);
+                total += bestSimilarity;
+            }
+        });
+        return { total: total, matched: used.size };
+    }
+    
+    /**
+     * Slot value from the words heard: {number} must be a number, any
+     * other slot takes the words as they are
+     */
+    parseSlot(slot, text) {
+        return slot === 'number' ? this.parseNumber(text) : text;
+    }
+    
+    /**
+     * Number from digits in any of DIGIT_ZEROS' scripts or a number word
+     */
+    parseNumber(text) {
+        const digits = Array.from(text).map(char => {
+            const code = char.codePointAt(0);
+            const zero = DIGIT_ZEROS.find(zero => code >= zero && code <= zero + 9);
+            return zero !== undefined ? String(code - zero) : char;
+        }).join('');
+        
+        if (/^\d+$/.test(digits)) {
+            return parseInt(digits, 10);
+        }
+        const index = this.numbers.indexOf(text);
+        return index >= 0 ? index : null;
+    }
+    
+    /**
+     * The words said after one of the phrases, when the text starts with
+     * one ("hey coach, pause" -> "pause", "hey coach" -> ''), else null.
+     * Filler words count here - "ok coach" must not shrink to just "coach"
+     */
+    stripPhrase(text, phrases) {
+        const tokens = this.tokenize(text, true);
+        for (const phrase of phrases) {
+            const words = this.tokenize(phrase, true).map(word => this.canonical(word));
+            if (words.length === 0 || tokens.length < words.length) continue;
+            
+            const head = tokens.slice(0, words.length);
+            if (this.align(words, head).matched === words.length) {
+                return tokens.slice(words.length).join(' ');
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Share of the words of a text also found in another (0-1)
+     */
+    overlap(text, other) {
+        const words = this.tokenize(text).map(word => this.canonical(word));
+        if (words.length === 0) return 0;
+        return this.align(words, this.tokenize(other)).matched / words.length;
+    }
+    
+    /**
+     * The phrase as it would be said, with its slot filled in
+     */
+    describe(intent) {
+        return intent.phrase.replace(/\{(\w+)\}/, (match, slot) => intent.slots[slot]);
+    }
+}
+
+/**
+ * 1 for identical words down to 0 for nothing in common (edit distance)
+ */
+function wordSimilarity(a, b) {
+    if (a === b) return 1;
+    if (!a.length || !b.length) return 0;
+    
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+// Export for voice-commands.js
+window.IntentMatcher = IntentMatcher;
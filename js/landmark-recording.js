@@ -0,0 +1,210 @@
+/**
+ * Landmark Recording and Replay
+ * Captures the pose landmark stream to a file and plays it back, either
+ * through the live UI (real or accelerated speed) or headlessly straight
+ * through an analyzer for regression checks of rep counts and errors
+ */
+
+const RECORDING_FORMAT = 'physiotherapy-ai-landmarks';
+const RECORDING_VERSION = 1;
+
+/**
+ * Records pose frames with timestamps relative to the start of recording
+ */
+class LandmarkRecorder {
+    constructor(meta = {}) {
+        // Context saved with the recording, e.g. { exerciseId, side, frameWidth, frameHeight }
+        this.meta = meta;
+        this.startTime = 0;
+        this.frames = [];
+    }
+    
+    /**
+     * Add one frame of landmarks (world landmarks are optional)
+     */
+    addFrame(landmarks, worldLandmarks = null, timestamp = Date.now()) {
+        if (this.frames.length === 0) {
+            this.startTime = timestamp;
+        }
+        
+        const frame = {
+            t: timestamp - this.startTime,
+            landmarks: packLandmarks(landmarks)
+        };
+        if (worldLandmarks) {
+            frame.world = packLandmarks(worldLandmarks);
+        }
+        this.frames.push(frame);
+    }
+    
+    /**
+     * Length of the recording so far (ms)
+     */
+    getDuration() {
+        return this.frames.length ? this.frames[this.frames.length - 1].t : 0;
+    }
+    
+    /**
+     * Finished recording object
+     */
+    finish() {
+        return {
+            format: RECORDING_FORMAT,
+            version: RECORDING_VERSION,
+            recordedAt: new Date(this.startTime || Date.now()).toISOString(),
+            ...this.meta,
+            frames: this.frames
+        };
+    }
+    
+    /**
+     * Parse and validate a recording file's text
+     */
+    static parse(text) {
+        let recording;
+        try {
+            recording = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Recording is not valid JSON');
+        }
+        
+        if (!recording || recording.format !== RECORDING_FORMAT) {
+            throw new Error('File is not a landmark recording');
+        }
+        if (recording.version > RECORDING_VERSION) {
+            throw new Error(`Recording version ${recording.version} is not supported`);
+        }
+        if (!Array.isArray(recording.frames) || recording.frames.length === 0) {
+            throw new Error('Recording contains no frames');
+        }
+        
+        return recording;
+    }
+}
+
+/**
+ * Plays a recording back frame by frame with its original timing
+ */
+class LandmarkPlayer {
+    constructor(recording, onFrame, options = {}) {
+        this.recording = recording;
+        this.onFrame = onFrame; // (landmarks, worldLandmarks, timestamp)
+        this.onEnd = options.onEnd || null;
+        this.speed = options.speed || 1;
+        
+        this.index = 0;
+        this.timer = null;
+        this.isPlaying = false;
+    }
+    
+    /**
+     * Start (or resume) playback
+     */
+    play() {
+        if (this.isPlaying) return;
+        
+        this.isPlaying = true;
+        
+        // Timestamps keep the recorded spacing so timing rules behave as recorded
+        if (this.index === 0) {
+            this.baseTime = Date.now();
+        }
+        this.scheduleNext();
+    }
+    
+    scheduleNext() {
+        const frames = this.recording.frames;
+        if (this.index >= frames.length) {
+            this.stop();
+            if (this.onEnd) {
+                this.onEnd();
+            }
+            return;
+        }
+        
+        const frame = frames[this.index];
+        const previous = this.index > 0 ? frames[this.index - 1].t : frame.t;
+        const delay = (frame.t - previous) / this.speed;
+        
+        this.timer = setTimeout(() => {
+            this.index++;
+            this.onFrame(
+                unpackLandmarks(frame.landmarks),
+                frame.world ? unpackLandmarks(frame.world) : null,
+                this.baseTime + frame.t
+            );
+            if (this.isPlaying) {
+                this.scheduleNext();
+            }
+        }, delay);
+    }
+    
+    pause() {
+        this.isPlaying = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+    
+    stop() {
+        this.pause();
+        this.index = 0;
+    }
+    
+    /**
+     * Run a recording through a fresh analyzer as fast as possible
+     *
+     * Returns the session record SessionRecorder would build for it
+     * (repCount, reps with errors and timings, errorCounts, ...) plus the
+     * analyzer's final repsBySide
+     */
+    static analyze(recording, exercise, options = {}) {
+        const analyzer = window.analyzerRegistry.create(exercise, {
+            side: recording.side,
+            ...options
+        });
+        const recorder = new window.SessionRecorder(exercise, {
+            side: analyzer.side || 'both',
+            errorLabels: analyzer.getErrorLabels(),
+            tempo: analyzer.tempo
+        });
+        
+        let repsBySide = {};
+        recording.frames.forEach(frame => {
+            const timestamp = recorder.startTime + frame.t;
+            const world = frame.world ? unpackLandmarks(frame.world) : null;
+            const analysis = analyzer.analyze(unpackLandmarks(frame.landmarks), timestamp, world);
+            // Frames without the required joints are skipped, as they are live
+            if (analysis && (!analysis.visibility || analysis.visibility.ok)) {
+                recorder.recordFrame(analysis, timestamp);
+                repsBySide = analysis.repsBySide || repsBySide;
+            }
+        });
+        
+        const last = recording.frames[recording.frames.length - 1];
+        return {
+            ...recorder.finish(recorder.startTime + last.t),
+            repsBySide: repsBySide
+        };
+    }
+}
+
+/**
+ * Landmarks as compact [x, y, z, visibility] arrays
+ */
+function packLandmarks(landmarks) {
+    const round = (value) => Math.round((value || 0) * 100000) / 100000;
+    return landmarks.map(landmark => [
+        round(landmark.x),
+        round(landmark.y),
+        round(landmark.z),
+        round(landmark.visibility)
+    ]);
+}
+
+function unpackLandmarks(packed) {
+    return packed.map(([x, y, z, visibility]) => ({ x, y, z, visibility }));
+}
+
+// Export for use in main.js
+window.LandmarkRecorder = LandmarkRecorder;
+window.LandmarkPlayer = LandmarkPlayer;
@@ -0,0 +1,278 @@
+/**
+ * Arabic (Modern Standard)
+ */
+
+window.LOCALES.ar = {
+  name: "العربية",
+  speechLang: "ar-SA",
+  dir: "rtl",
+  messages: {
+    rep: {
+      setComplete: "{count}. انتهت المجموعة! أحسنت!",
+      halfway: "عمل رائع!",
+    },
+    rest: {
+      start: "استرح لمدة {seconds} ثانية. التالي: {next}.",
+      nextSet: "المجموعة {set} من {total}",
+      tenSeconds: "عشر ثوان",
+    },
+    set: {
+      start: "المجموعة {set} من {total}.",
+    },
+    program: {
+      complete: "اكتمل {name}! عمل ممتاز اليوم!",
+      rest: "راحة - {seconds} ث",
+      next: "التالي: {name}، المجموعة {set} من {total} ({reps} تكرار)",
+      finished: "اكتمل {name}!",
+      saved: "عمل رائع - تم حفظ مجموعاتك في سجل التقدم",
+      progress: "التمرين {step}/{steps} · المجموعة {set}/{sets}",
+      step: "{name} - {sets} × {reps}، راحة {seconds} ث",
+    },
+    exercise: {
+      start: "نبدأ {name}.",
+      complete: "انتهى التمرين! أديت {count} تكرارات. {comment}",
+      excellentForm: "أداء ممتاز!",
+      goodForm: "أداء جيد!",
+      keepPracticing: "واصل التمرين!",
+    },
+    encouragements: [
+      "أداء مثالي!",
+      "تقنية ممتازة!",
+      "أنت تبلي بلاءً حسناً!",
+      "استمر!",
+      "جيد جداً!",
+      "تحكم رائع!",
+    ],
+    calibration: {
+      start: "المعايرة.",
+      noMovement: "لم تكتشف المعايرة أي حركة. يرجى المحاولة مرة أخرى.",
+      completeSides: "اكتملت المعايرة. اليسار {left} درجة، اليمين {right} درجة.",
+      complete: "اكتملت المعايرة. مداك {value} درجة.",
+    },
+    audio: {
+      enabled: "تم تشغيل الإرشاد الصوتي",
+    },
+    voice: {
+      reps: "أديت {count} تكرارات.",
+      repsOfTarget: "أديت {count} من {target} تكرارات.",
+      score: "درجة أدائك {score} بالمئة.",
+      volume: "مستوى الصوت {percent} بالمئة.",
+      paused: "متوقف مؤقتاً. قل استمر للمتابعة.",
+      resumed: "نستأنف.",
+      selected: "تم اختيار {name}.",
+      unknownExercise: "لم أجد التمرين {name}.",
+      noExercise: "لا يوجد تمرين قيد التشغيل.",
+      busy: "أوقف التمرين الحالي أولاً.",
+      repTarget: "الهدف {count} تكرارات.",
+      didYouMean: "هل تقصد {options}؟",
+      or: " أو ",
+      cancelled: "حسناً، تم الإلغاء.",
+      turnOn: "تشغيل الأوامر الصوتية",
+      turnOff: "إيقاف الأوامر الصوتية",
+      blocked: "الوصول إلى الميكروفون محظور",
+      stopped: "توقفت الأوامر الصوتية ({error}) - انقر لإعادة المحاولة",
+      deniedAlert: "تم رفض الوصول إلى الميكروفون. اسمح باستخدام الميكروفون لهذا الموقع في إعدادات المتصفح لاستخدام الأوامر الصوتية.",
+      states: {
+        off: "الصوت متوقف",
+        starting: "جارٍ البدء...",
+        listening: "أستمع...",
+        restarting: "جارٍ إعادة الاتصال...",
+        error: "خطأ في الصوت",
+        denied: "الميكروفون محظور",
+      },
+    },
+    feedback: {
+      excellent: "أداء ممتاز!",
+      adjust: "صحح وضعيتك",
+      noBody: "لم يتم اكتشاف الجسم - يرجى الوقوف أمام الكاميرا",
+      holding: "ثبات: {held}/{total} ث",
+      holdComplete: "اكتمل الثبات - انزل الآن!",
+      paused: "متوقف مؤقتاً - قل \"استمر\" للمتابعة",
+    },
+    visibility: {
+      stepBack: "ارجع خطوة للخلف، لا أرى {part}",
+      moveCenter: "تحرك نحو المنتصف، لا أرى {part}",
+      faceCamera: "استدر لمواجهة الكاميرا حتى أرى {part}",
+      uncover: "تأكد من أن لا شيء يحجب {part}",
+      parts: {
+        head: "رأسك",
+        shoulders: "كتفيك",
+        arms: "ذراعيك",
+        hands: "يديك",
+        hips: "وركيك",
+        knees: "ركبتيك",
+        feet: "قدميك",
+        body: "جسمك",
+      },
+    },
+    // Exercise cards, the selected exercise and the start button
+    panel: {
+      selected: "المحدد: {name}",
+      targets: "العضلات المستهدفة:",
+      listSeparator: "، ",
+      prescribed: "الموصوف: {sets} × {reps}",
+      prescribedHold: "الموصوف: {sets} × {reps}، ثبات {seconds} ث",
+      difficulty: {
+        beginner: "مبتدئ",
+        intermediate: "متوسط",
+        advanced: "متقدم",
+      },
+      start: "ابدأ التمرين",
+      stop: "أوقف التمرين",
+      skipRest: "تخطَّ الراحة",
+      setTitle: "{name} - المجموعة {set}/{total}",
+    },
+    camera: {
+      front: "الكاميرا الأمامية",
+      numbered: "الكاميرا {number}",
+    },
+    setup: {
+      checks: {
+        lighting: "الإضاءة",
+        framing: "الجسم كاملاً في الصورة",
+        distance: "المسافة",
+        centering: "في المنتصف",
+        tilt: "الكاميرا مستوية",
+      },
+      noBody: "قف أمام الكاميرا",
+      wholeBody: "ارجع للخلف حتى يظهر جسمك كاملاً",
+      tooClose: "أنت قريب جداً - ارجع خطوة للخلف",
+      tooFar: "اقترب قليلاً من الكاميرا",
+      stepLeft: "خذ خطوة إلى يسارك",
+      stepRight: "خذ خطوة إلى يمينك",
+      levelCamera: "الكاميرا مائلة - اجعلها مستوية",
+      tooDark: "المكان مظلم جداً - أشعل مزيداً من الإضاءة",
+      tooBright: "الضوء قوي جداً - تجنب نافذة مضيئة خلفك",
+      hold: "اثبت مكانك...",
+      ready: "كل شيء جاهز - يمكننا البدء",
+      notReady: "لننهِ إعداد الكاميرا أولاً",
+      locked: "أكمل إعداد الكاميرا أولاً",
+    },
+  },
+  commands: {
+    startCamera: ["شغل الكاميرا", "افتح الكاميرا", "تشغيل الكاميرا"],
+    stopCamera: ["أوقف الكاميرا", "أغلق الكاميرا", "إيقاف الكاميرا"],
+    startExercise: ["ابدأ التمرين", "بدء التمرين", "ابدأ التدريب"],
+    stopExercise: ["أوقف التمرين", "أنه التمرين", "إيقاف التمرين"],
+    selectExercise: ["اختر {exercise}", "اختيار {exercise}", "انتقل إلى {exercise}"],
+    pause: ["توقف مؤقتاً", "إيقاف مؤقت", "انتظر"],
+    resume: ["استمر", "استئناف", "تابع"],
+    repeatInstructions: ["أعد التعليمات", "كرر التعليمات", "أعد"],
+    repCount: ["كم تكراراً", "عدد التكرارات", "كم أديت"],
+    formScore: ["ما درجتي", "درجة الأداء", "كيف أدائي"],
+    volumeUp: ["ارفع الصوت", "صوت أعلى"],
+    volumeDown: ["اخفض الصوت", "صوت أقل"],
+    mute: ["كتم الصوت", "اصمت"],
+    unmute: ["إلغاء الكتم", "شغل الصوت"],
+    nextExercise: ["التمرين التالي", "تخطى التمرين", "التالي"],
+    setReps: ["{number} تكرارات", "الهدف {number} تكرارات"],
+  },
+  vocabulary: {
+    foldMarks: true,
+    synonyms: { "أطفئ": "أوقف", "أغلق": "أوقف", "افتح": "شغل", "التدريب": "التمرين", "تكرار": "تكرارات" },
+    fillers: ["من", "فضلك", "لو", "سمحت", "الآن", "يا", "و"],
+    numbers: ["صفر", "واحد", "اثنان", "ثلاثة", "أربعة", "خمسة", "ستة", "سبعة", "ثمانية", "تسعة", "عشرة", "أحد عشر", "اثنا عشر", "ثلاثة عشر", "أربعة عشر", "خمسة عشر", "ستة عشر", "سبعة عشر", "ثمانية عشر", "تسعة عشر", "عشرون"],
+    wake: ["يا مدرب", "مرحبا مدرب"],
+    confirm: {
+      yes: ["نعم", "أجل", "صحيح", "بالتأكيد"],
+      no: ["لا", "كلا", "إلغاء"],
+    },
+  },
+  exercises: {
+    "lateral-arm-raises": {
+      name: "رفع الذراعين الجانبي",
+      description: "تمرين لتقوية الكتف وتحسين حركته يُستخدم كثيرًا في العلاج الطبيعي",
+      duration: "30-45 ثانية",
+      targetMuscles: ["العضلة الدالية", "الكفة المدورة", "العضلة شبه المنحرفة العلوية"],
+      instructions: [
+        "قف وذراعاك بجانبيك",
+        "أبقِ ذراعيك مستقيمتين دون قفل المرفقين",
+        "ارفع ذراعيك ببطء إلى الجانبين",
+        "توقف عند مستوى الكتفين (90 درجة)",
+        "أنزل ذراعيك بتحكم",
+      ],
+      keyPoints: { startPosition: "وقوف مستقيم والذراعان مرتخيتان بجانبيك" },
+      labels: {
+        resting: "الذراعان للأسفل - جاهز",
+        raising: "رفع الذراعين",
+        holding: "ثبت عند مستوى الكتفين",
+        lowering: "إنزال الذراعين",
+      },
+      feedback: {
+        resting: "جاهز - الذراعان بجانبك",
+        raising: "أداء جيد - استمر! ({angle}°)",
+        holding: "ممتاز! ثبت قليلاً ({angle}°)",
+        lowering: "تحكم رائع - انزل ببطء",
+      },
+      spoken: {
+        start: "قف وذراعاك بجانبك.",
+        begin: "ارفع ذراعيك وأنزلهما ببطء. لنبدأ!",
+        ready: "جاهز للبدء. ارفع ذراعيك ببطء.",
+        again: "ارفع ذراعيك مرة أخرى",
+        hold: "ثبت لمدة {seconds} ثوان",
+        release: "أنزل يديك ببطء",
+        calibrate: "ارفع ذراعيك ببطء إلى أعلى ما تستطيع براحة، ثم أنزلهما.",
+      },
+      errors: {
+        shoulder_shrug_left: { feedback: "أرخ كتفيك - لا ترفعهما" },
+        shoulder_shrug_right: { feedback: "أرخ كتفيك - لا ترفعهما" },
+        arm_too_high_left: { feedback: "لا ترفع فوق مستوى الكتفين", spoken: "أنزل ذراعك اليسرى قليلاً" },
+        arm_too_high_right: { feedback: "لا ترفع فوق مستوى الكتفين", spoken: "أنزل ذراعك اليمنى قليلاً" },
+        arm_forward_left: { feedback: "ارفع ذراعيك إلى الجانبين", spoken: "حرّك ذراعك اليسرى إلى الجانب" },
+        arm_forward_right: { feedback: "ارفع ذراعيك إلى الجانبين", spoken: "حرّك ذراعك اليمنى إلى الجانب" },
+        asymmetric_movement: { feedback: "أبق الذراعين على نفس الارتفاع", spoken: "أبق الذراعين على نفس الارتفاع" },
+        elbow_bent_left: { feedback: "أبق ذراعيك مستقيمتين أكثر", spoken: "افرد ذراعك اليسرى" },
+        elbow_bent_right: { feedback: "أبق ذراعيك مستقيمتين أكثر", spoken: "افرد ذراعك اليمنى" },
+        too_fast_raising: { feedback: "أبطأ - {seconds} ثوان للرفع", spoken: "أبطأ من فضلك" },
+        too_slow_raising: { feedback: "أسرع قليلاً - {seconds} ثوان للرفع", spoken: "أسرع قليلاً في الرفع" },
+        too_fast_lowering: { feedback: "انزل ببطء - {seconds} ثوان للإنزال", spoken: "أنزل ذراعيك ببطء أكثر" },
+        too_slow_lowering: { feedback: "أسرع قليلاً - {seconds} ثوان للإنزال", spoken: "أسرع قليلاً في الإنزال" },
+        insufficient_height: { feedback: "ارفع ذراعيك إلى مستوى الكتفين", spoken: "ارفع ذراعيك أعلى حتى مستوى الكتفين" },
+      },
+    },
+    "bodyweight-squat": {
+      name: "القرفصاء بوزن الجسم",
+      description: "تمرين لتقوية الجزء السفلي من الجسم لإعادة تأهيل الركبة والورك",
+      duration: "45-60 ثانية",
+      targetMuscles: ["العضلة الرباعية", "عضلات الأرداف", "أوتار الركبة"],
+      instructions: [
+        "قف وقدماك بعرض الكتفين، مستديرًا نحو 45° عن الكاميرا",
+        "أبقِ صدرك مرفوعًا وكعبيك على الأرض",
+        "اثنِ ركبتيك ووركيك للنزول",
+        "انزل حتى يصبح فخذاك موازيين للأرض تقريبًا",
+        "ادفع بكعبيك للوقوف من جديد",
+      ],
+      keyPoints: { startPosition: "وقوف مستقيم والقدمان بعرض الكتفين" },
+      labels: {
+        standing: "وقوف - جاهز",
+        descending: "النزول",
+        bottom: "الوضع السفلي",
+        ascending: "الوقوف",
+      },
+      feedback: {
+        standing: "جاهز - قف باستقامة",
+        descending: "أداء جيد - استمر! ({angle}°)",
+        bottom: "عمق رائع! اصعد ({angle}°)",
+        ascending: "ادفع بكعبيك",
+      },
+      spoken: {
+        start: "قف وقدماك بعرض الكتفين.",
+        begin: "انزل ببطء في وضع القرفصاء ثم قف. لنبدأ!",
+        ready: "جاهز للبدء. اثن ركبتيك ببطء.",
+        again: "انزل مرة أخرى",
+        calibrate: "انزل ببطء في وضع القرفصاء إلى أعمق ما تستطيع براحة، ثم قف.",
+      },
+      errors: {
+        knee_valgus: { feedback: "ادفع ركبتيك للخارج فوق أصابع قدميك", spoken: "ادفع ركبتيك للخارج" },
+        heel_lift_left: { feedback: "أبق كعبيك على الأرض", spoken: "أبق كعبك الأيسر على الأرض" },
+        heel_lift_right: { feedback: "أبق كعبيك على الأرض", spoken: "أبق كعبك الأيمن على الأرض" },
+        forward_lean: { feedback: "أبق صدرك مرفوعاً", spoken: "ارفع صدرك، لا تمل للأمام" },
+        too_fast_descending: { feedback: "تحكم في النزول - {seconds} ثوان للنزول", spoken: "انزل ببطء أكثر" },
+        too_slow_descending: { feedback: "أسرع قليلاً - {seconds} ثوان للنزول" },
+        too_fast_ascending: { feedback: "قف بتحكم - {seconds} ثوان للصعود", spoken: "قف ببطء أكثر" },
+        too_slow_ascending: { feedback: "أسرع قليلاً - {seconds} ثوان للصعود" },
+        insufficient_depth: { feedback: "انزل أعمق - الفخذان قريبان من الموازاة", spoken: "انزل أعمق قليلاً" },
+      },
+    },
+  },
+};
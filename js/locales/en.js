@@ -0,0 +1,190 @@
+/**
+ * English - the reference catalog every other language falls back to.
+ * Exercise text is not repeated here: English lives in js/exercises.js
+ */
+
+window.LOCALES.en = {
+  name: "English",
+  speechLang: "en-US",
+  dir: "ltr",
+  messages: {
+    rep: {
+      setComplete: "{count}. Set complete! Well done!",
+      halfway: "Great job!",
+    },
+    rest: {
+      start: "Rest for {seconds} seconds. Next: {next}.",
+      nextSet: "set {set} of {total}",
+      tenSeconds: "10 seconds",
+    },
+    set: {
+      start: "Set {set} of {total}.",
+    },
+    program: {
+      complete: "{name} complete! Excellent work today!",
+      rest: "Rest - {seconds}s",
+      next: "Next: {name}, set {set} of {total} ({reps} reps)",
+      finished: "{name} complete!",
+      saved: "Great work - your sets are saved in Progress History",
+      progress: "Exercise {step}/{steps} · Set {set}/{sets}",
+      step: "{name} - {sets} × {reps}, rest {seconds}s",
+    },
+    exercise: {
+      start: "Starting {name}.",
+      complete: "Exercise complete! You did {count} reps. {comment}",
+      excellentForm: "Excellent form!",
+      goodForm: "Good form!",
+      keepPracticing: "Keep practicing!",
+    },
+    encouragements: [
+      "Perfect form!",
+      "Excellent technique!",
+      "You're doing great!",
+      "Keep it up!",
+      "Very good!",
+      "Great control!",
+    ],
+    calibration: {
+      start: "Calibration.",
+      noMovement: "Calibration did not detect any movement. Please try again.",
+      completeSides: "Calibration complete. Left {left} degrees, right {right} degrees.",
+      complete: "Calibration complete. Your range is {value} degrees.",
+    },
+    audio: {
+      enabled: "Audio feedback enabled",
+    },
+    // Spoken answers to voice commands
+    voice: {
+      reps: "You have done {count} reps.",
+      repsOfTarget: "You have done {count} of {target} reps.",
+      score: "Your form score is {score} percent.",
+      volume: "Volume {percent} percent.",
+      paused: "Paused. Say resume to continue.",
+      resumed: "Resuming.",
+      selected: "{name} selected.",
+      unknownExercise: "I could not find the exercise {name}.",
+      noExercise: "No exercise is running.",
+      busy: "Stop the current exercise first.",
+      repTarget: "Target set to {count} reps.",
+      didYouMean: "Did you mean {options}?",
+      or: " or ",
+      cancelled: "Okay, cancelled.",
+      // Listening status on screen and the voice toggle's tooltip
+      turnOn: "Turn On Voice Commands",
+      turnOff: "Turn Off Voice Commands",
+      blocked: "Microphone access is blocked",
+      stopped: "Voice commands stopped ({error}) - click to retry",
+      deniedAlert: "Microphone access was denied. Allow the microphone for this site in your browser settings to use voice commands.",
+      states: {
+        off: "Voice Off",
+        starting: "Starting...",
+        listening: "Listening...",
+        restarting: "Reconnecting...",
+        error: "Voice Error",
+        denied: "Mic Blocked",
+      },
+    },
+    // On-screen feedback
+    feedback: {
+      excellent: "Excellent form!",
+      adjust: "Adjust your form",
+      noBody: "No body detected - please stand in view",
+      holding: "Holding: {held}/{total} sec",
+      holdComplete: "Hold complete - Lower now!",
+      paused: "Paused - say \"resume\" to continue",
+    },
+    // Coaching when the joints an exercise needs are out of view - {part} is one of parts
+    visibility: {
+      stepBack: "Step back, I can't see {part}",
+      moveCenter: "Move toward the center so I can see {part}",
+      faceCamera: "Turn to face the camera so I can see {part}",
+      uncover: "Make sure nothing is blocking {part}",
+      parts: {
+        head: "your head",
+        shoulders: "your shoulders",
+        arms: "your arms",
+        hands: "your hands",
+        hips: "your hips",
+        knees: "your knees",
+        feet: "your feet",
+        body: "your body",
+      },
+    },
+    // Exercise cards, the selected exercise and the start button
+    panel: {
+      selected: "Selected: {name}",
+      targets: "Targets:",
+      listSeparator: ", ",
+      prescribed: "Prescribed: {sets} × {reps}",
+      prescribedHold: "Prescribed: {sets} × {reps}, hold {seconds}s",
+      difficulty: {
+        beginner: "beginner",
+        intermediate: "intermediate",
+        advanced: "advanced",
+      },
+      start: "Start Exercise",
+      stop: "Stop Exercise",
+      skipRest: "Skip Rest",
+      setTitle: "{name} - Set {set}/{total}",
+    },
+    // Camera picker
+    camera: {
+      front: "Front camera",
+      numbered: "Camera {number}",
+    },
+    // Camera setup before a live session
+    setup: {
+      checks: {
+        lighting: "Lighting",
+        framing: "Whole body in view",
+        distance: "Distance",
+        centering: "Centered",
+        tilt: "Camera level",
+      },
+      noBody: "Stand in front of the camera",
+      wholeBody: "Step back until your whole body is in view",
+      tooClose: "You're too close - take a step back",
+      tooFar: "Come a little closer to the camera",
+      stepLeft: "Take a step to your left",
+      stepRight: "Take a step to your right",
+      levelCamera: "The camera is tilted - straighten it",
+      tooDark: "It's too dark - turn on more light",
+      tooBright: "Too much light - avoid a bright window behind you",
+      hold: "Hold still...",
+      ready: "You're all set - we can start",
+      notReady: "Let's finish the camera setup first",
+      locked: "Finish the camera setup first",
+    },
+  },
+  // Voice command phrases per action - {exercise} takes a spoken exercise name
+  commands: {
+    startCamera: ["start camera", "camera on", "turn on camera"],
+    stopCamera: ["stop camera", "camera off", "turn off camera"],
+    startExercise: ["start exercise", "begin exercise", "start workout"],
+    stopExercise: ["stop exercise", "end exercise", "stop workout"],
+    selectExercise: ["select {exercise}", "choose {exercise}", "switch to {exercise}"],
+    pause: ["pause", "pause exercise", "hold on"],
+    resume: ["resume", "resume exercise", "continue"],
+    repeatInstructions: ["repeat instructions", "repeat that", "say again"],
+    repCount: ["how many reps", "rep count", "how many have i done"],
+    formScore: ["what's my score", "what is my score", "form score", "how am i doing"],
+    volumeUp: ["louder", "volume up", "speak up"],
+    volumeDown: ["quieter", "volume down", "softer"],
+    mute: ["mute", "audio off", "be quiet"],
+    unmute: ["unmute", "audio on"],
+    nextExercise: ["next exercise", "skip exercise", "next"],
+    setReps: ["{number} reps", "set reps to {number}", "target {number} reps"],
+  },
+  // Word lists for matching what was heard to the command phrases
+  vocabulary: {
+    foldMarks: true,
+    synonyms: { "begin": "start", "launch": "start", "end": "stop", "halt": "stop", "quit": "stop", "finish": "stop", "webcam": "camera", "workout": "exercise", "training": "exercise", "choose": "select", "pick": "select", "repetitions": "reps", "okay": "ok" },
+    fillers: ["please", "the", "a", "an", "my", "can", "could", "would", "you", "now", "to", "and", "um", "uh", "okay", "ok"],
+    numbers: ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten", "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen", "seventeen", "eighteen", "nineteen", "twenty"],
+    wake: ["hey coach", "ok coach"],
+    confirm: {
+      yes: ["yes", "yeah", "yep", "correct", "sure", "yes please"],
+      no: ["no", "nope", "cancel", "never mind"],
+    },
+  },
+};
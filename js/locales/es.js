@@ -0,0 +1,278 @@
+/**
+ * Spanish
+ */
+
+window.LOCALES.es = {
+  name: "Español",
+  speechLang: "es-ES",
+  dir: "ltr",
+  messages: {
+    rep: {
+      setComplete: "{count}. ¡Serie completa! ¡Muy bien!",
+      halfway: "¡Buen trabajo!",
+    },
+    rest: {
+      start: "Descansa {seconds} segundos. Siguiente: {next}.",
+      nextSet: "serie {set} de {total}",
+      tenSeconds: "10 segundos",
+    },
+    set: {
+      start: "Serie {set} de {total}.",
+    },
+    program: {
+      complete: "¡{name} completado! ¡Excelente trabajo hoy!",
+      rest: "Descanso - {seconds} s",
+      next: "Siguiente: {name}, serie {set} de {total} ({reps} repeticiones)",
+      finished: "¡{name} completado!",
+      saved: "Buen trabajo - tus series se guardaron en el historial de progreso",
+      progress: "Ejercicio {step}/{steps} · Serie {set}/{sets}",
+      step: "{name} - {sets} × {reps}, descanso {seconds} s",
+    },
+    exercise: {
+      start: "Comenzando {name}.",
+      complete: "¡Ejercicio completo! Hiciste {count} repeticiones. {comment}",
+      excellentForm: "¡Técnica excelente!",
+      goodForm: "¡Buena técnica!",
+      keepPracticing: "¡Sigue practicando!",
+    },
+    encouragements: [
+      "¡Técnica perfecta!",
+      "¡Excelente técnica!",
+      "¡Lo estás haciendo muy bien!",
+      "¡Sigue así!",
+      "¡Muy bien!",
+      "¡Gran control!",
+    ],
+    calibration: {
+      start: "Calibración.",
+      noMovement: "La calibración no detectó movimiento. Inténtalo de nuevo.",
+      completeSides: "Calibración completa. Izquierdo {left} grados, derecho {right} grados.",
+      complete: "Calibración completa. Tu rango es de {value} grados.",
+    },
+    audio: {
+      enabled: "Audio activado",
+    },
+    voice: {
+      reps: "Llevas {count} repeticiones.",
+      repsOfTarget: "Llevas {count} de {target} repeticiones.",
+      score: "Tu puntuación de técnica es {score} por ciento.",
+      volume: "Volumen al {percent} por ciento.",
+      paused: "En pausa. Di continuar para seguir.",
+      resumed: "Continuamos.",
+      selected: "{name} seleccionado.",
+      unknownExercise: "No encontré el ejercicio {name}.",
+      noExercise: "No hay ningún ejercicio en curso.",
+      busy: "Primero detén el ejercicio actual.",
+      repTarget: "Objetivo: {count} repeticiones.",
+      didYouMean: "¿Quisiste decir {options}?",
+      or: " o ",
+      cancelled: "Vale, cancelado.",
+      turnOn: "Activar comandos de voz",
+      turnOff: "Desactivar comandos de voz",
+      blocked: "El acceso al micrófono está bloqueado",
+      stopped: "Los comandos de voz se detuvieron ({error}) - haz clic para reintentar",
+      deniedAlert: "Se denegó el acceso al micrófono. Permite el micrófono para este sitio en la configuración del navegador para usar comandos de voz.",
+      states: {
+        off: "Voz desactivada",
+        starting: "Iniciando...",
+        listening: "Escuchando...",
+        restarting: "Reconectando...",
+        error: "Error de voz",
+        denied: "Micrófono bloqueado",
+      },
+    },
+    feedback: {
+      excellent: "¡Técnica excelente!",
+      adjust: "Corrige tu postura",
+      noBody: "No se detecta el cuerpo - colócate a la vista de la cámara",
+      holding: "Mantén: {held}/{total} s",
+      holdComplete: "¡Listo! Baja ahora",
+      paused: "En pausa - di \"continuar\" para seguir",
+    },
+    visibility: {
+      stepBack: "Da un paso atrás, no veo {part}",
+      moveCenter: "Muévete hacia el centro, no veo {part}",
+      faceCamera: "Gira hacia la cámara para que vea {part}",
+      uncover: "Asegúrate de que nada tape {part}",
+      parts: {
+        head: "tu cabeza",
+        shoulders: "tus hombros",
+        arms: "tus brazos",
+        hands: "tus manos",
+        hips: "tus caderas",
+        knees: "tus rodillas",
+        feet: "tus pies",
+        body: "tu cuerpo",
+      },
+    },
+    // Exercise cards, the selected exercise and the start button
+    panel: {
+      selected: "Seleccionado: {name}",
+      targets: "Trabaja:",
+      listSeparator: ", ",
+      prescribed: "Prescrito: {sets} × {reps}",
+      prescribedHold: "Prescrito: {sets} × {reps}, mantener {seconds} s",
+      difficulty: {
+        beginner: "principiante",
+        intermediate: "intermedio",
+        advanced: "avanzado",
+      },
+      start: "Empezar ejercicio",
+      stop: "Detener ejercicio",
+      skipRest: "Saltar descanso",
+      setTitle: "{name} - Serie {set}/{total}",
+    },
+    camera: {
+      front: "Cámara frontal",
+      numbered: "Cámara {number}",
+    },
+    setup: {
+      checks: {
+        lighting: "Iluminación",
+        framing: "Cuerpo entero a la vista",
+        distance: "Distancia",
+        centering: "Centrado",
+        tilt: "Cámara nivelada",
+      },
+      noBody: "Colócate delante de la cámara",
+      wholeBody: "Aléjate hasta que se vea todo tu cuerpo",
+      tooClose: "Estás demasiado cerca - da un paso atrás",
+      tooFar: "Acércate un poco a la cámara",
+      stepLeft: "Da un paso a tu izquierda",
+      stepRight: "Da un paso a tu derecha",
+      levelCamera: "La cámara está inclinada - enderézala",
+      tooDark: "Está demasiado oscuro - enciende más luz",
+      tooBright: "Demasiada luz - evita tener una ventana detrás",
+      hold: "Quédate quieto...",
+      ready: "Todo listo - podemos empezar",
+      notReady: "Primero terminemos de configurar la cámara",
+      locked: "Termina primero la configuración de la cámara",
+    },
+  },
+  commands: {
+    startCamera: ["iniciar cámara", "encender cámara", "enciende la cámara", "activar cámara"],
+    stopCamera: ["detener cámara", "apagar cámara", "apaga la cámara", "desactivar cámara"],
+    startExercise: ["empezar ejercicio", "iniciar ejercicio", "comenzar ejercicio", "empieza el ejercicio"],
+    stopExercise: ["detener ejercicio", "terminar ejercicio", "parar ejercicio", "termina el ejercicio"],
+    selectExercise: ["seleccionar {exercise}", "selecciona {exercise}", "elegir {exercise}", "cambiar a {exercise}"],
+    pause: ["pausa", "pausar", "pausar ejercicio"],
+    resume: ["continuar", "reanudar", "seguir"],
+    repeatInstructions: ["repetir instrucciones", "repite las instrucciones", "repite"],
+    repCount: ["cuántas repeticiones", "cuántas llevo", "número de repeticiones"],
+    formScore: ["cuál es mi puntuación", "mi puntuación", "cómo lo estoy haciendo"],
+    volumeUp: ["más alto", "subir volumen", "sube el volumen"],
+    volumeDown: ["más bajo", "bajar volumen", "baja el volumen"],
+    mute: ["silencio", "silenciar", "quitar sonido"],
+    unmute: ["activar sonido", "con sonido"],
+    nextExercise: ["siguiente ejercicio", "saltar ejercicio", "siguiente"],
+    setReps: ["{number} repeticiones", "objetivo de {number} repeticiones"],
+  },
+  vocabulary: {
+    foldMarks: true,
+    synonyms: { "comenzar": "empezar", "iniciar": "empezar", "empieza": "empezar", "inicia": "empezar", "terminar": "detener", "termina": "detener", "parar": "detener", "acabar": "detener", "deten": "detener", "entrenamiento": "ejercicio", "elegir": "seleccionar", "escoger": "seleccionar", "elige": "seleccionar", "selecciona": "seleccionar" },
+    fillers: ["por", "favor", "el", "la", "los", "las", "un", "una", "mi", "a", "al", "de", "del", "ahora", "puedes", "y"],
+    numbers: ["cero", "uno", "dos", "tres", "cuatro", "cinco", "seis", "siete", "ocho", "nueve", "diez", "once", "doce", "trece", "catorce", "quince", "dieciséis", "diecisiete", "dieciocho", "diecinueve", "veinte"],
+    wake: ["oye entrenador", "hola entrenador"],
+    confirm: {
+      yes: ["sí", "claro", "correcto", "vale", "eso"],
+      no: ["no", "cancelar", "déjalo"],
+    },
+  },
+  exercises: {
+    "lateral-arm-raises": {
+      name: "Elevaciones laterales de brazos",
+      description: "Ejercicio de fortalecimiento y movilidad del hombro muy usado en fisioterapia",
+      duration: "30-45 segundos",
+      targetMuscles: ["Deltoides", "Manguito rotador", "Trapecio superior"],
+      instructions: [
+        "Ponte de pie con los brazos a los lados",
+        "Mantén los brazos rectos pero sin bloquearlos",
+        "Sube despacio ambos brazos hacia los lados",
+        "Detente a la altura de los hombros (90 grados)",
+        "Baja con control",
+      ],
+      keyPoints: { startPosition: "De pie, erguido, con los brazos relajados a los lados" },
+      labels: {
+        resting: "Brazos abajo - Listo",
+        raising: "Subiendo los brazos",
+        holding: "Mantén a la altura de los hombros",
+        lowering: "Bajando los brazos",
+      },
+      feedback: {
+        resting: "Listo - Brazos a los lados",
+        raising: "Bien - ¡Sigue! ({angle}°)",
+        holding: "¡Perfecto! Mantén un momento ({angle}°)",
+        lowering: "Buen control - Baja despacio",
+      },
+      spoken: {
+        start: "Ponte de pie con los brazos a los lados.",
+        begin: "Sube y baja los brazos despacio. ¡Empecemos!",
+        ready: "Listo para empezar. Sube los brazos despacio.",
+        again: "Sube los brazos otra vez",
+        hold: "Mantén {seconds} segundos",
+        release: "Baja las manos despacio",
+        calibrate: "Sube los brazos despacio tan alto como puedas sin molestias y luego bájalos.",
+      },
+      errors: {
+        shoulder_shrug_left: { feedback: "Relaja los hombros - no los encojas" },
+        shoulder_shrug_right: { feedback: "Relaja los hombros - no los encojas" },
+        arm_too_high_left: { feedback: "No subas por encima de los hombros", spoken: "Baja un poco el brazo izquierdo" },
+        arm_too_high_right: { feedback: "No subas por encima de los hombros", spoken: "Baja un poco el brazo derecho" },
+        arm_forward_left: { feedback: "Sube los brazos hacia los lados", spoken: "Lleva el brazo izquierdo hacia el lado" },
+        arm_forward_right: { feedback: "Sube los brazos hacia los lados", spoken: "Lleva el brazo derecho hacia el lado" },
+        asymmetric_movement: { feedback: "Mantén ambos brazos a la misma altura", spoken: "Mantén ambos brazos a la misma altura" },
+        elbow_bent_left: { feedback: "Estira más los brazos", spoken: "Estira el brazo izquierdo" },
+        elbow_bent_right: { feedback: "Estira más los brazos", spoken: "Estira el brazo derecho" },
+        too_fast_raising: { feedback: "Más despacio - {seconds} segundos para subir", spoken: "Más despacio, por favor" },
+        too_slow_raising: { feedback: "Un poco más rápido - {seconds} segundos para subir", spoken: "Un poco más rápido al subir" },
+        too_fast_lowering: { feedback: "Baja despacio - {seconds} segundos para bajar", spoken: "Baja los brazos más despacio" },
+        too_slow_lowering: { feedback: "Un poco más rápido - {seconds} segundos para bajar", spoken: "Un poco más rápido al bajar" },
+        insufficient_height: { feedback: "Sube los brazos a la altura de los hombros", spoken: "Sube los brazos hasta la altura de los hombros" },
+      },
+    },
+    "bodyweight-squat": {
+      name: "Sentadilla con peso corporal",
+      description: "Ejercicio de fortalecimiento de piernas para la rehabilitación de rodilla y cadera",
+      duration: "45-60 segundos",
+      targetMuscles: ["Cuádriceps", "Glúteos", "Isquiotibiales"],
+      instructions: [
+        "Ponte de pie con los pies separados al ancho de los hombros, girado unos 45° hacia la cámara",
+        "Mantén el pecho arriba y los talones en el suelo",
+        "Flexiona rodillas y cadera para bajar",
+        "Baja hasta que los muslos queden casi paralelos al suelo",
+        "Empuja con los talones para volver a subir",
+      ],
+      keyPoints: { startPosition: "De pie, erguido, con los pies separados al ancho de los hombros" },
+      labels: {
+        standing: "De pie - Listo",
+        descending: "Bajando",
+        bottom: "Posición baja",
+        ascending: "Subiendo",
+      },
+      feedback: {
+        standing: "Listo - Ponte recto",
+        descending: "Bien - ¡Sigue! ({angle}°)",
+        bottom: "¡Buena profundidad! Sube ({angle}°)",
+        ascending: "Empuja con los talones",
+      },
+      spoken: {
+        start: "Ponte de pie con los pies a la anchura de los hombros.",
+        begin: "Baja despacio en sentadilla y vuelve a subir. ¡Empecemos!",
+        ready: "Listo para empezar. Dobla las rodillas despacio.",
+        again: "Baja otra vez",
+        calibrate: "Baja despacio en sentadilla tan profundo como puedas sin molestias y luego ponte de pie.",
+      },
+      errors: {
+        knee_valgus: { feedback: "Lleva las rodillas hacia fuera, sobre los pies", spoken: "Rodillas hacia fuera" },
+        heel_lift_left: { feedback: "Mantén los talones en el suelo", spoken: "Apoya el talón izquierdo" },
+        heel_lift_right: { feedback: "Mantén los talones en el suelo", spoken: "Apoya el talón derecho" },
+        forward_lean: { feedback: "Mantén el pecho arriba", spoken: "Pecho arriba, no te inclines hacia delante" },
+        too_fast_descending: { feedback: "Controla la bajada - {seconds} segundos para bajar", spoken: "Baja más despacio" },
+        too_slow_descending: { feedback: "Un poco más rápido - {seconds} segundos para bajar" },
+        too_fast_ascending: { feedback: "Sube con control - {seconds} segundos para subir", spoken: "Sube más despacio" },
+        too_slow_ascending: { feedback: "Un poco más rápido - {seconds} segundos para subir" },
+        insufficient_depth: { feedback: "Baja más - muslos casi paralelos", spoken: "Baja un poco más" },
+      },
+    },
+  },
+};
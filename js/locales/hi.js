@@ -0,0 +1,278 @@
+/**
+ * Hindi
+ */
+
+window.LOCALES.hi = {
+  name: "हिन्दी",
+  speechLang: "hi-IN",
+  dir: "ltr",
+  messages: {
+    rep: {
+      setComplete: "{count}. सेट पूरा! बहुत बढ़िया!",
+      halfway: "शाबाश!",
+    },
+    rest: {
+      start: "{seconds} सेकंड आराम करें. अगला: {next}.",
+      nextSet: "{total} में से सेट {set}",
+      tenSeconds: "10 सेकंड",
+    },
+    set: {
+      start: "{total} में से सेट {set}.",
+    },
+    program: {
+      complete: "{name} पूरा! आज बहुत अच्छा काम किया!",
+      rest: "आराम - {seconds} से.",
+      next: "अगला: {name}, सेट {set} में से {total} ({reps} दोहराव)",
+      finished: "{name} पूरा!",
+      saved: "बहुत बढ़िया - आपके सेट प्रगति इतिहास में सहेज दिए गए हैं",
+      progress: "व्यायाम {step}/{steps} · सेट {set}/{sets}",
+      step: "{name} - {sets} × {reps}, आराम {seconds} से.",
+    },
+    exercise: {
+      start: "{name} शुरू कर रहे हैं.",
+      complete: "व्यायाम पूरा! आपने {count} बार किया. {comment}",
+      excellentForm: "बेहतरीन तरीका!",
+      goodForm: "अच्छा तरीका!",
+      keepPracticing: "अभ्यास जारी रखें!",
+    },
+    encouragements: [
+      "एकदम सही तरीका!",
+      "बेहतरीन तकनीक!",
+      "आप बहुत अच्छा कर रहे हैं!",
+      "ऐसे ही करते रहें!",
+      "बहुत अच्छा!",
+      "बढ़िया नियंत्रण!",
+    ],
+    calibration: {
+      start: "कैलिब्रेशन.",
+      noMovement: "कैलिब्रेशन में कोई हलचल नहीं मिली. कृपया फिर से कोशिश करें.",
+      completeSides: "कैलिब्रेशन पूरा. बायां {left} डिग्री, दायां {right} डिग्री.",
+      complete: "कैलिब्रेशन पूरा. आपकी सीमा {value} डिग्री है.",
+    },
+    audio: {
+      enabled: "आवाज़ निर्देश चालू",
+    },
+    voice: {
+      reps: "आपने {count} बार किया है.",
+      repsOfTarget: "आपने {target} में से {count} बार किया है.",
+      score: "आपका फॉर्म स्कोर {score} प्रतिशत है.",
+      volume: "आवाज़ {percent} प्रतिशत.",
+      paused: "रुका हुआ. जारी रखने के लिए जारी रखो कहें.",
+      resumed: "फिर से शुरू.",
+      selected: "{name} चुना गया.",
+      unknownExercise: "{name} व्यायाम नहीं मिला.",
+      noExercise: "कोई व्यायाम नहीं चल रहा है.",
+      busy: "पहले मौजूदा व्यायाम बंद करें.",
+      repTarget: "लक्ष्य {count} बार.",
+      didYouMean: "क्या आपका मतलब {options} था?",
+      or: " या ",
+      cancelled: "ठीक है, रद्द किया.",
+      turnOn: "आवाज़ कमांड चालू करें",
+      turnOff: "आवाज़ कमांड बंद करें",
+      blocked: "माइक्रोफ़ोन की पहुँच अवरुद्ध है",
+      stopped: "आवाज़ कमांड रुक गए ({error}) - फिर से कोशिश करने के लिए क्लिक करें",
+      deniedAlert: "माइक्रोफ़ोन की अनुमति नहीं मिली. आवाज़ कमांड के लिए ब्राउज़र सेटिंग्स में इस साइट को माइक्रोफ़ोन की अनुमति दें.",
+      states: {
+        off: "आवाज़ बंद",
+        starting: "शुरू हो रहा है...",
+        listening: "सुन रहा हूँ...",
+        restarting: "फिर से जुड़ रहा है...",
+        error: "आवाज़ त्रुटि",
+        denied: "माइक अवरुद्ध",
+      },
+    },
+    feedback: {
+      excellent: "बेहतरीन तरीका!",
+      adjust: "अपनी मुद्रा ठीक करें",
+      noBody: "शरीर नहीं दिख रहा - कृपया कैमरे के सामने खड़े हों",
+      holding: "रोकें: {held}/{total} सेकंड",
+      holdComplete: "पूरा हुआ - अब नीचे लाएं!",
+      paused: "रुका हुआ - जारी रखने के लिए \"जारी रखो\" कहें",
+    },
+    visibility: {
+      stepBack: "थोड़ा पीछे हटें ताकि मैं {part} देख सकूं",
+      moveCenter: "बीच में आएं ताकि मैं {part} देख सकूं",
+      faceCamera: "कैमरे की ओर मुड़ें ताकि मैं {part} देख सकूं",
+      uncover: "ध्यान दें कि {part} के सामने कुछ न हो",
+      parts: {
+        head: "आपका सिर",
+        shoulders: "आपके कंधे",
+        arms: "आपकी बाहें",
+        hands: "आपके हाथ",
+        hips: "आपके कूल्हे",
+        knees: "आपके घुटने",
+        feet: "आपके पैर",
+        body: "आपका शरीर",
+      },
+    },
+    // Exercise cards, the selected exercise and the start button
+    panel: {
+      selected: "चुना गया: {name}",
+      targets: "लक्ष्य मांसपेशियाँ:",
+      listSeparator: ", ",
+      prescribed: "निर्धारित: {sets} × {reps}",
+      prescribedHold: "निर्धारित: {sets} × {reps}, {seconds} सेकंड रोकें",
+      difficulty: {
+        beginner: "शुरुआती",
+        intermediate: "मध्यम",
+        advanced: "उन्नत",
+      },
+      start: "व्यायाम शुरू करें",
+      stop: "व्यायाम रोकें",
+      skipRest: "आराम छोड़ें",
+      setTitle: "{name} - सेट {set}/{total}",
+    },
+    camera: {
+      front: "सामने का कैमरा",
+      numbered: "कैमरा {number}",
+    },
+    setup: {
+      checks: {
+        lighting: "रोशनी",
+        framing: "पूरा शरीर दिख रहा है",
+        distance: "दूरी",
+        centering: "बीच में",
+        tilt: "कैमरा सीधा",
+      },
+      noBody: "कैमरे के सामने खड़े हों",
+      wholeBody: "पीछे हटें ताकि आपका पूरा शरीर दिखे",
+      tooClose: "आप बहुत पास हैं - एक कदम पीछे हटें",
+      tooFar: "कैमरे के थोड़ा पास आएं",
+      stepLeft: "अपनी बाईं ओर एक कदम लें",
+      stepRight: "अपनी दाईं ओर एक कदम लें",
+      levelCamera: "कैमरा टेढ़ा है - इसे सीधा करें",
+      tooDark: "बहुत अंधेरा है - और रोशनी करें",
+      tooBright: "बहुत ज़्यादा रोशनी - पीछे तेज़ रोशनी वाली खिड़की से बचें",
+      hold: "स्थिर रहें...",
+      ready: "सब तैयार है - हम शुरू कर सकते हैं",
+      notReady: "पहले कैमरा सेटअप पूरा करें",
+      locked: "पहले कैमरा सेटअप पूरा करें",
+    },
+  },
+  commands: {
+    startCamera: ["कैमरा चालू करो", "कैमरा शुरू करो", "कैमरा खोलो"],
+    stopCamera: ["कैमरा बंद करो", "कैमरा रोको"],
+    startExercise: ["व्यायाम शुरू करो", "एक्सरसाइज शुरू करो", "कसरत शुरू करो"],
+    stopExercise: ["व्यायाम बंद करो", "एक्सरसाइज बंद करो", "व्यायाम रोको", "कसरत बंद करो"],
+    selectExercise: ["{exercise} चुनो", "{exercise} चुनें", "{exercise} पर जाओ"],
+    pause: ["रुको", "रोको", "पॉज़"],
+    resume: ["जारी रखो", "फिर से शुरू करो", "आगे बढ़ो"],
+    repeatInstructions: ["निर्देश दोहराओ", "फिर से बताओ", "दोहराओ"],
+    repCount: ["कितनी बार हुआ", "कितने रेप्स", "गिनती बताओ"],
+    formScore: ["मेरा स्कोर क्या है", "मेरा स्कोर", "मैं कैसा कर रहा हूं"],
+    volumeUp: ["आवाज़ बढ़ाओ", "तेज़ बोलो"],
+    volumeDown: ["आवाज़ कम करो", "धीरे बोलो"],
+    mute: ["आवाज़ बंद करो", "चुप"],
+    unmute: ["आवाज़ चालू करो"],
+    nextExercise: ["अगला व्यायाम", "व्यायाम छोड़ो", "अगला"],
+    setReps: ["{number} बार", "लक्ष्य {number} बार"],
+  },
+  vocabulary: {
+    foldMarks: false,
+    synonyms: { "करें": "करो", "कीजिए": "करो", "एक्सरसाइज": "व्यायाम", "कसरत": "व्यायाम", "वर्कआउट": "व्यायाम" },
+    fillers: ["कृपया", "अब", "ज़रा", "जरा"],
+    numbers: ["शून्य", "एक", "दो", "तीन", "चार", "पांच", "छह", "सात", "आठ", "नौ", "दस", "ग्यारह", "बारह", "तेरह", "चौदह", "पंद्रह", "सोलह", "सत्रह", "अठारह", "उन्नीस", "बीस"],
+    wake: ["हे कोच", "ओके कोच"],
+    confirm: {
+      yes: ["हां", "हाँ", "जी हां", "ठीक है", "सही"],
+      no: ["नहीं", "रद्द करो", "रहने दो"],
+    },
+  },
+  exercises: {
+    "lateral-arm-raises": {
+      name: "बाजू को बगल से उठाना",
+      description: "कंधे की ताकत और गतिशीलता के लिए फिज़ियोथेरेपी में आम व्यायाम",
+      duration: "30-45 सेकंड",
+      targetMuscles: ["डेल्टॉइड", "रोटेटर कफ़", "ऊपरी ट्रेपेज़ियस"],
+      instructions: [
+        "बाहें बगल में रखकर खड़े हों",
+        "बाहें सीधी रखें, पर कोहनी लॉक न करें",
+        "दोनों बाहें धीरे-धीरे बगल की ओर उठाएँ",
+        "कंधे की ऊँचाई (90 डिग्री) पर रुकें",
+        "नियंत्रण के साथ वापस नीचे लाएँ",
+      ],
+      keyPoints: { startPosition: "सीधे खड़े, बाहें ढीली और बगल में" },
+      labels: {
+        resting: "बाजू नीचे - तैयार",
+        raising: "बाजू ऊपर उठाएं",
+        holding: "कंधे की ऊंचाई पर रोकें",
+        lowering: "बाजू नीचे लाएं",
+      },
+      feedback: {
+        resting: "तैयार - बाजू बगल में",
+        raising: "अच्छा - जारी रखें! ({angle}°)",
+        holding: "बहुत बढ़िया! थोड़ा रोकें ({angle}°)",
+        lowering: "अच्छा नियंत्रण - धीरे नीचे लाएं",
+      },
+      spoken: {
+        start: "बाजू बगल में रखकर खड़े हों.",
+        begin: "बाजू धीरे-धीरे ऊपर उठाएं और नीचे लाएं. चलिए शुरू करें!",
+        ready: "शुरू करने के लिए तैयार. बाजू धीरे-धीरे उठाएं.",
+        again: "बाजू फिर से उठाएं",
+        hold: "{seconds} सेकंड रोकें",
+        release: "हाथ धीरे-धीरे नीचे लाएं",
+        calibrate: "बाजू धीरे-धीरे जितना आराम से हो सके उतना ऊपर उठाएं, फिर नीचे लाएं.",
+      },
+      errors: {
+        shoulder_shrug_left: { feedback: "कंधे ढीले रखें - उचकाएं नहीं" },
+        shoulder_shrug_right: { feedback: "कंधे ढीले रखें - उचकाएं नहीं" },
+        arm_too_high_left: { feedback: "कंधों से ऊपर न उठाएं", spoken: "बायां बाजू थोड़ा नीचे करें" },
+        arm_too_high_right: { feedback: "कंधों से ऊपर न उठाएं", spoken: "दायां बाजू थोड़ा नीचे करें" },
+        arm_forward_left: { feedback: "बाजुओं को बगल की ओर उठाएं", spoken: "बायां बाजू बगल की ओर ले जाएं" },
+        arm_forward_right: { feedback: "बाजुओं को बगल की ओर उठाएं", spoken: "दायां बाजू बगल की ओर ले जाएं" },
+        asymmetric_movement: { feedback: "दोनों बाजू एक ही ऊंचाई पर रखें", spoken: "दोनों बाजू एक ही ऊंचाई पर रखें" },
+        elbow_bent_left: { feedback: "बाजू सीधे रखें", spoken: "बायां बाजू सीधा करें" },
+        elbow_bent_right: { feedback: "बाजू सीधे रखें", spoken: "दायां बाजू सीधा करें" },
+        too_fast_raising: { feedback: "धीरे करें - ऊपर {seconds} सेकंड में", spoken: "कृपया धीरे करें" },
+        too_slow_raising: { feedback: "थोड़ा तेज़ - ऊपर {seconds} सेकंड में", spoken: "ऊपर थोड़ा तेज़ उठाएं" },
+        too_fast_lowering: { feedback: "धीरे नीचे लाएं - नीचे {seconds} सेकंड में", spoken: "बाजू और धीरे नीचे लाएं" },
+        too_slow_lowering: { feedback: "थोड़ा तेज़ - नीचे {seconds} सेकंड में", spoken: "नीचे थोड़ा तेज़ लाएं" },
+        insufficient_height: { feedback: "बाजू कंधे की ऊंचाई तक उठाएं", spoken: "बाजू कंधे की ऊंचाई तक और ऊपर उठाएं" },
+      },
+    },
+    "bodyweight-squat": {
+      name: "बॉडीवेट स्क्वाट",
+      description: "घुटने और कूल्हे के पुनर्वास के लिए निचले शरीर को मज़बूत करने वाला व्यायाम",
+      duration: "45-60 सेकंड",
+      targetMuscles: ["क्वाड्रिसेप्स", "ग्लूट्स", "हैमस्ट्रिंग्स"],
+      instructions: [
+        "पैरों को कंधों की चौड़ाई पर रखकर, कैमरे से लगभग 45° मुड़कर खड़े हों",
+        "छाती ऊपर और एड़ियाँ ज़मीन पर रखें",
+        "नीचे जाने के लिए घुटने और कूल्हे मोड़ें",
+        "जाँघें ज़मीन के लगभग समानांतर होने तक नीचे जाएँ",
+        "एड़ियों से ज़ोर लगाकर वापस खड़े हों",
+      ],
+      keyPoints: { startPosition: "सीधे खड़े, पैर कंधों की चौड़ाई पर" },
+      labels: {
+        standing: "खड़े - तैयार",
+        descending: "नीचे जा रहे हैं",
+        bottom: "नीचे की स्थिति",
+        ascending: "ऊपर उठ रहे हैं",
+      },
+      feedback: {
+        standing: "तैयार - सीधे खड़े हों",
+        descending: "अच्छा - जारी रखें! ({angle}°)",
+        bottom: "बढ़िया गहराई! ऊपर उठें ({angle}°)",
+        ascending: "एड़ियों से ज़ोर लगाएं",
+      },
+      spoken: {
+        start: "पैर कंधों की चौड़ाई पर रखकर खड़े हों.",
+        begin: "धीरे-धीरे नीचे बैठें और फिर खड़े हों. चलिए शुरू करें!",
+        ready: "शुरू करने के लिए तैयार. घुटने धीरे-धीरे मोड़ें.",
+        again: "फिर से नीचे जाएं",
+        calibrate: "जितना आराम से हो सके उतना धीरे-धीरे नीचे बैठें, फिर खड़े हों.",
+      },
+      errors: {
+        knee_valgus: { feedback: "घुटने पंजों की सीध में बाहर रखें", spoken: "घुटने बाहर की ओर रखें" },
+        heel_lift_left: { feedback: "एड़ियां ज़मीन पर रखें", spoken: "बायीं एड़ी नीचे रखें" },
+        heel_lift_right: { feedback: "एड़ियां ज़मीन पर रखें", spoken: "दायीं एड़ी नीचे रखें" },
+        forward_lean: { feedback: "छाती ऊपर रखें", spoken: "छाती ऊपर, आगे न झुकें" },
+        too_fast_descending: { feedback: "नियंत्रण से नीचे जाएं - {seconds} सेकंड में", spoken: "और धीरे नीचे जाएं" },
+        too_slow_descending: { feedback: "थोड़ा तेज़ - नीचे {seconds} सेकंड में" },
+        too_fast_ascending: { feedback: "नियंत्रण से खड़े हों - {seconds} सेकंड में", spoken: "और धीरे खड़े हों" },
+        too_slow_ascending: { feedback: "थोड़ा तेज़ - ऊपर {seconds} सेकंड में" },
+        insufficient_depth: { feedback: "और नीचे जाएं - जांघें लगभग समानांतर", spoken: "थोड़ा और नीचे जाएं" },
+      },
+    },
+  },
+};
@@ -13,8 +13,27 @@ let repCount = 0;
 let lastFrameTime = 0;
 let fps = 0;
 let exerciseAnalyzer = null;
+let romCalibration = null; // Active range of motion calibration, if any
 let audioFeedback = null;
 let voiceCommands = null;
+let sessionStore = null;
+let sessionRecorder = null; // Records the active exercise session
+let historyView = null;
+let summaryView = null;
+let landmarkRecorder = null; // Active landmark recording, if any
+let replayPlayer = null; // Active landmark replay, if any
+let videoMode = false; // True while an uploaded video is the input
+let videoClockBase = 0; // Wall time the video's own clock is anchored to
+let videoFrameTime = 0; // Media time (s) of the frame sent to pose
+let programRunner = null; // Active workout program, if any
+let targetReps = null; // Reps that complete the current set
+let prescription = null; // Therapist's plan for this patient, if loaded
+let pendingPrescription = null; // Plan from a link opened mid-exercise, loaded once it ends
+let metronome = null; // Tempo pacing for the running exercise, if enabled
+let exercisePaused = false; // Frames are ignored while the exercise is paused
+let cameraSetup = null; // Camera checks of a live session, until they pass
+let cameraSettings = window.CameraSource.loadSettings(); // Device, resolution, frame rate and mirroring
+let videoRect = { x: 0, y: 0, width: 0, height: 0 }; // Where the frame is drawn on the canvas
 
 // DOM Elements
 const startBtn = document.getElementById('startBtn');
@@ -23,6 +42,14 @@ const startExerciseBtn = document.getElementById('startExerciseBtn');
 const statusDot = document.getElementById('statusDot');
 const statusText = document.getElementById('statusText');
 const selectedExerciseText = document.getElementById('selectedExercise');
+const sideOption = document.getElementById('sideOption');
+const sideSelect = document.getElementById('sideSelect');
+const calibrateBtn = document.getElementById('calibrateBtn');
+const targetOption = document.getElementById('targetOption');
+const targetAngleInput = document.getElementById('targetAngleInput');
+const romInfo = document.getElementById('romInfo');
+const romText = document.getElementById('romText');
+const clearRomBtn = document.getElementById('clearRomBtn');
 const landmarkCount = document.getElementById('landmarkCount');
 const visibilityScore = document.getElementById('visibilityScore');
 const fpsCounter = document.getElementById('fpsCounter');
@@ -33,6 +60,9 @@ const canvasCtx = canvasElement.getContext('2d');
 const exerciseCardsContainer = document.getElementById('exerciseCards');
 const categoryFilter = document.getElementById('categoryFilter');
 const exerciseOverlay = document.getElementById('exerciseOverlay');
+const setupPanel = document.getElementById('setupPanel');
+const setupChecks = document.getElementById('setupChecks');
+const setupHint = document.getElementById('setupHint');
 const overlayTitle = document.getElementById('overlayTitle');
 const overlayInstructions = document.getElementById('overlayInstructions');
 const exerciseAnimation = document.getElementById('exerciseAnimation');
@@ -48,6 +78,53 @@ const voiceIcon = document.getElementById('voiceIcon');
 const voiceStatusDot = document.getElementById('voiceStatusDot');
 const voiceStatusText = document.getElementById('voiceStatusText');
 const voiceHelp = document.getElementById('voiceHelp');
+const voiceHelpCamera = document.getElementById('voiceHelpCamera');
+const voiceHelpExercise = document.getElementById('voiceHelpExercise');
+const voiceHelpMore = document.getElementById('voiceHelpMore');
+const wakeWordToggle = document.getElementById('wakeWordToggle');
+const wakePhraseText = document.getElementById('wakePhraseText');
+const languageSelect = document.getElementById('languageSelect');
+const verbositySelect = document.getElementById('verbositySelect');
+const historyBtn = document.getElementById('historyBtn');
+const summaryHistoryBtn = document.getElementById('summaryHistoryBtn');
+const recordBtn = document.getElementById('recordBtn');
+const recordIcon = document.getElementById('recordIcon');
+const recordText = document.getElementById('recordText');
+const sourceControls = document.getElementById('sourceControls');
+const cameraSelect = document.getElementById('cameraSelect');
+const resolutionSelect = document.getElementById('resolutionSelect');
+const frameRateSelect = document.getElementById('frameRateSelect');
+const mirrorToggle = document.getElementById('mirrorToggle');
+const replayBtn = document.getElementById('replayBtn');
+const replayText = document.getElementById('replayText');
+const replaySpeed = document.getElementById('replaySpeed');
+const replayFileInput = document.getElementById('replayFileInput');
+const videoBtn = document.getElementById('videoBtn');
+const videoFileInput = document.getElementById('videoFileInput');
+const videoControls = document.getElementById('videoControls');
+const videoPlayBtn = document.getElementById('videoPlayBtn');
+const videoPlayIcon = document.getElementById('videoPlayIcon');
+const videoScrubber = document.getElementById('videoScrubber');
+const videoTime = document.getElementById('videoTime');
+const closeVideoBtn = document.getElementById('closeVideoBtn');
+const repsOption = document.getElementById('repsOption');
+const repTargetInput = document.getElementById('repTargetInput');
+const tempoOption = document.getElementById('tempoOption');
+const tempoInput = document.getElementById('tempoInput');
+const pacingToggle = document.getElementById('pacingToggle');
+const programSelect = document.getElementById('programSelect');
+const programPanel = document.getElementById('programPanel');
+const programDescription = document.getElementById('programDescription');
+const programSteps = document.getElementById('programSteps');
+const programStatus = document.getElementById('programStatus');
+const endProgramBtn = document.getElementById('endProgramBtn');
+const importPlanBtn = document.getElementById('importPlanBtn');
+const planFileInput = document.getElementById('planFileInput');
+const prescriptionPanel = document.getElementById('prescriptionPanel');
+const prescriptionTitle = document.getElementById('prescriptionTitle');
+const prescriptionNotes = document.getElementById('prescriptionNotes');
+const copyPlanLinkBtn = document.getElementById('copyPlanLinkBtn');
+const clearPlanBtn = document.getElementById('clearPlanBtn');
 
 // MediaPipe Pose Configuration
 const poseConfig = {
@@ -87,50 +164,121 @@ function onPoseResults(results) {
     canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
     
     // Draw the video frame
-    canvasCtx.drawImage(results.image, 0, 0, canvasElement.width, canvasElement.height);
+    drawVideoFrame(results.image);
+    
+    // Check the patient's framing until the camera setup passes
+    if (cameraSetup && !romCalibration) {
+        processSetup(results);
+    }
     
     // Draw landmarks and connections if detected
     if (results.poseLandmarks) {
-        // Choose color based on exercise state
-        const color = exerciseActive ? '#10b981' : '#FF0000';
-        
-        // Draw connections (skeleton)
-        drawConnectors(canvasCtx, results.poseLandmarks, POSE_CONNECTIONS, {
-            color: color,
-            lineWidth: 4
-        });
-        
-        // Draw landmarks (joints)
-        drawLandmarks(canvasCtx, results.poseLandmarks, {
-            color: color,
-            lineWidth: 2,
-            radius: 6,
-            fillColor: '#FFFFFF'
-        });
+        drawPose(results.poseLandmarks);
         
         // Update landmark info
         updateLandmarkInfo(results.poseLandmarks);
         
-        // Process exercise if active
-        if (exerciseActive && selectedExercise) {
-            processExercise(results.poseLandmarks);
+        const timestamp = getFrameTimestamp();
+        
+        // Capture the frame if recording
+        if (landmarkRecorder) {
+            landmarkRecorder.addFrame(results.poseLandmarks, results.poseWorldLandmarks, timestamp);
+        }
+        
+        // Process calibration or exercise if active
+        if (romCalibration) {
+            processCalibration(results.poseLandmarks, timestamp, results.poseWorldLandmarks);
+        } else if (exerciseActive && selectedExercise && !exercisePaused) {
+            processExercise(results.poseLandmarks, timestamp, results.poseWorldLandmarks);
         }
     } else {
         landmarkCount.textContent = '0';
         visibilityScore.textContent = '0%';
         
-        if (exerciseActive) {
-            feedbackText.textContent = 'No body detected - please stand in view';
+        if (exerciseActive && !exercisePaused) {
+            feedbackText.textContent = window.i18n.t('feedback.noBody');
+            if (audioFeedback) {
+                audioFeedback.announceOutOfFrame(feedbackText.textContent);
+            }
         }
     }
     
+    // Keep the beat visible even when the body drops out of view
+    if (metronome) {
+        drawPacingArc(metronome.getState());
+    }
+    
+    canvasCtx.restore();
+}
+
+// Draw a frame at its own aspect ratio, centered between bars, and
+// mirrored when the view is
+function drawVideoFrame(image) {
+    updateVideoRect(image.width || videoElement.videoWidth, image.height || videoElement.videoHeight);
+    
+    canvasCtx.save();
+    if (cameraSettings.mirror) {
+        canvasCtx.translate(videoRect.x + videoRect.width, videoRect.y);
+        canvasCtx.scale(-1, 1);
+        canvasCtx.drawImage(image, 0, 0, videoRect.width, videoRect.height);
+    } else {
+        canvasCtx.drawImage(image, videoRect.x, videoRect.y, videoRect.width, videoRect.height);
+    }
     canvasCtx.restore();
 }
 
-// Update landmark information display
+// Fit a frame of this size into the canvas
+function updateVideoRect(width, height) {
+    videoRect = window.CameraSource.fitRect(width, height, canvasElement.width, canvasElement.height);
+}
+
+// Canvas position (px) of a point given in frame fractions, as drawn
+function toCanvasPoint(point) {
+    const x = cameraSettings.mirror ? 1 - point.x : point.x;
+    return { x: videoRect.x + x * videoRect.width, y: videoRect.y + point.y * videoRect.height };
+}
+
+// Landmarks in canvas fractions, for MediaPipe's drawing utils
+function toCanvasLandmarks(landmarks) {
+    return landmarks.map(landmark => {
+        const point = toCanvasPoint(landmark);
+        return { ...landmark, x: point.x / canvasElement.width, y: point.y / canvasElement.height };
+    });
+}
+
+// Timestamp of the frame being processed - video files run on their own clock
+function getFrameTimestamp() {
+    return videoMode ? videoClockBase + videoFrameTime * 1000 : Date.now();
+}
+
+// Draw the skeleton for a set of landmarks
+function drawPose(landmarks) {
+    // Choose color based on exercise state
+    const color = exerciseActive ? '#10b981' : '#FF0000';
+    const points = toCanvasLandmarks(landmarks);
+    
+    // Draw connections (skeleton)
+    drawConnectors(canvasCtx, points, POSE_CONNECTIONS, {
+        color: color,
+        lineWidth: 4
+    });
+    
+    // Draw landmarks (joints)
+    drawLandmarks(canvasCtx, points, {
+        color: color,
+        lineWidth: 2,
+        radius: 6,
+        fillColor: '#FFFFFF'
+    });
+}
+
+// Update landmark information display - visibility of the joints the
+// running exercise needs, or of the whole body
 function updateLandmarkInfo(landmarks) {
     const numLandmarks = landmarks.length;
-    const visibility = landmarks.reduce((sum, landmark) => sum + (landmark.visibility || 0), 0) / numLandmarks;
+    const required = exerciseActive && exerciseAnalyzer ? exerciseAnalyzer.getRequiredLandmarks() : [];
+    const shown = required.length > 0 ? required.map(name => landmarks[POSE_LANDMARKS[name]]) : landmarks;
+    const visibility = shown.reduce((sum, landmark) => sum + (landmark.visibility || 0), 0) / shown.length;
     const visibilityPercent = (visibility * 100).toFixed(1);
     
     landmarkCount.textContent = numLandmarks;
@@ -138,22 +286,46 @@ function updateLandmarkInfo(landmarks) {
 }
 
 // Process exercise movements
-function processExercise(landmarks) {
-    if (selectedExercise.id === 'lateral-arm-raises' && exerciseAnalyzer) {
-        // Analyze arm raises movement
-        const analysis = exerciseAnalyzer.analyze(landmarks);
+function processExercise(landmarks, timestamp = Date.now(), worldLandmarks = null) {
+    if (exerciseAnalyzer) {
+        // Analyze movement with the selected exercise's analyzer
+        const analysis = exerciseAnalyzer.analyze(landmarks, timestamp, worldLandmarks);
+        
+        // Joints the exercise needs are out of view - coach instead of counting
+        if (analysis && analysis.visibility && !analysis.visibility.ok) {
+            showVisibilityCoaching(landmarks, analysis);
+            return;
+        }
         
         if (analysis) {
+            if (audioFeedback) {
+                audioFeedback.announceOutOfFrame(null);
+            }
+            
+            // Score phase changes against the metronome beat
+            if (metronome) {
+                metronome.recordPhase(analysis.phase);
+            }
+            
+            // Record the frame for the session history
+            if (sessionRecorder) {
+                sessionRecorder.recordFrame(analysis, timestamp);
+            }
+            
             // Check for rep completion
             if (analysis.repCount > repCount) {
                 // New rep completed
                 if (audioFeedback) {
-                    audioFeedback.announceRep(analysis.repCount);
+                    audioFeedback.announceRep(analysis.repCount, targetReps);
                 }
             }
             
-            // Update rep count
-            repCountElement.textContent = analysis.repCount;
+            // Update rep count (per side when alternating) against the target
+            const { left, right } = analysis.repsBySide || {};
+            const count = left !== undefined && right !== undefined
+                ? formatSides(left, right)
+                : analysis.repCount;
+            repCountElement.textContent = targetReps ? `${count} / ${targetReps}` : count;
             repCount = analysis.repCount;
             
             // Update form score with color coding
@@ -186,7 +358,7 @@ function processExercise(landmarks) {
                 // Announce errors if any
                 if (analysis.errors.length > 0) {
                     audioFeedback.announceError(new Set(analysis.errors));
-                } else if (analysis.phase === 'holding') {
+                } else if (analysis.phase === exerciseAnalyzer.targetPhase) {
                     // Provide encouragement when form is good
                     audioFeedback.provideEncouragement(analysis.formScore);
                 }
@@ -205,30 +377,29 @@ function processExercise(landmarks) {
             }
             
             // Update phase indicator in overlay
-            const phaseText = {
-                'resting': 'Arms Down - Ready',
-                'raising': 'Raising Arms',
-                'holding': 'Hold at Shoulder Height',
-                'lowering': 'Lowering Arms'
-            };
-            
-            if (analysis.phase !== 'resting') {
-                overlayInstructions.textContent = phaseText[analysis.phase] || analysis.phase;
-            }
-            
-            // Show current arm angles for user feedback
-            if (analysis.phase === 'raising' || analysis.phase === 'holding') {
-                const angleDisplay = `L: ${analysis.angles.leftArm.toFixed(0)}° | R: ${analysis.angles.rightArm.toFixed(0)}°`;
+            if (analysis.phase !== exerciseAnalyzer.restPhase) {
+                const phaseLabel = exerciseAnalyzer.getPhaseLabel(analysis.phase);
+                const angleDisplay = exerciseAnalyzer.formatAngles(analysis.angles);
                 
-                // Show hold timer if in holding phase
-                if (analysis.phase === 'holding' && analysis.holdDuration) {
+                // Show hold timer if in the target phase
+                if (analysis.phase === exerciseAnalyzer.targetPhase && exerciseAnalyzer.holdTime > 0 && analysis.holdDuration) {
                     const secondsHeld = Math.floor(analysis.holdDuration / 1000);
-                    const holdText = analysis.holdComplete ? 'Hold complete - Lower now!' : `Holding: ${secondsHeld}/3 sec`;
+                    const holdText = analysis.holdComplete
+                        ? window.i18n.t('feedback.holdComplete')
+                        : window.i18n.t('feedback.holding', { held: secondsHeld, total: Math.round(exerciseAnalyzer.holdTime / 1000) });
                     overlayInstructions.textContent = `${holdText} - ${angleDisplay}`;
+                } else if (angleDisplay) {
+                    // Show current angles for user feedback
+                    overlayInstructions.textContent = `${phaseLabel} - ${angleDisplay}`;
                 } else {
-                    overlayInstructions.textContent = `${phaseText[analysis.phase]} - ${angleDisplay}`;
+                    overlayInstructions.textContent = phaseLabel;
                 }
             }
+            
+            // The set ends once the rep target is reached
+            if (targetReps && repCount >= targetReps) {
+                completeSet();
+            }
         }
     }
 }
@@ -253,9 +424,190 @@ function drawFormOverlay(quality) {
             overlayColor = 'rgba(0, 0, 0, 0)';
     }
     
-    // Draw semi-transparent overlay
+    // Draw semi-transparent overlay on the picture
     canvasCtx.fillStyle = overlayColor;
-    canvasCtx.fillRect(0, 0, canvasElement.width, canvasElement.height);
+    canvasCtx.fillRect(videoRect.x, videoRect.y, videoRect.width, videoRect.height);
+    
+    canvasCtx.restore();
+}
+
+// Tell the patient how to get the required joints back into view and
+// mark the missing ones - at the frame edge they left by, or where hidden
+function showVisibilityCoaching(landmarks, analysis) {
+    if (analysis.feedback) {
+        feedbackText.textContent = analysis.feedback;
+        overlayInstructions.textContent = analysis.feedback;
+    }
+    if (audioFeedback) {
+        audioFeedback.announceOutOfFrame(analysis.feedback);
+    }
+    
+    drawFormOverlay('error');
+    
+    canvasCtx.save();
+    canvasCtx.strokeStyle = '#ef4444';
+    canvasCtx.lineWidth = 4;
+    analysis.visibility.missing.forEach(name => {
+        const landmark = landmarks[POSE_LANDMARKS[name]];
+        if (!landmark) return;
+        
+        const { x, y } = toCanvasPoint({
+            x: Math.max(0, Math.min(1, landmark.x)),
+            y: Math.max(0, Math.min(1, landmark.y))
+        });
+        canvasCtx.beginPath();
+        canvasCtx.arc(x, y, 18, 0, 2 * Math.PI);
+        canvasCtx.stroke();
+    });
+    canvasCtx.restore();
+}
+
+// Begin the camera checks for a live session - exercises can start once they pass
+function startSetup() {
+    cameraSetup = new window.CameraSetup();
+    setupHint.textContent = cameraSetup.describe('noBody');
+    setupChecks.innerHTML = '';
+    setupPanel.classList.remove('hidden');
+    updateStartExerciseButton();
+    
+    // Hints are spoken too, for a patient standing back from the screen
+    if (!audioFeedback) {
+        audioFeedback = new window.AudioFeedback();
+    }
+}
+
+// Run the camera checks on a frame and show how the patient is doing
+function processSetup(results) {
+    const timestamp = Date.now();
+    const status = cameraSetup.update(results.poseLandmarks || null, {
+        width: videoElement.videoWidth || canvasElement.width,
+        height: videoElement.videoHeight || canvasElement.height,
+        brightness: cameraSetup.measureBrightness(results.image, timestamp)
+    }, timestamp);
+    
+    drawSetupGuide(cameraSetup.guide, status);
+    
+    setupChecks.innerHTML = Object.entries(status.checks).map(([check, passed]) => `
+        <li class="flex items-center gap-2">
+            <i class="fas ${passed ? 'fa-check-circle text-green-400' : 'fa-times-circle text-red-400'}"></i>
+            ${window.i18n.t(`setup.checks.${check}`)}
+        </li>
+    `).join('');
+    setupHint.textContent = cameraSetup.describe(status.hint);
+    
+    if (audioFeedback) {
+        audioFeedback.announceOutOfFrame(status.hint && status.hint !== 'hold' ? setupHint.textContent : null);
+    }
+    
+    if (status.passed) {
+        finishSetup();
+    }
+}
+
+// The camera checks passed - let the exercise start
+function finishSetup() {
+    cameraSetup = null;
+    setupPanel.classList.add('hidden');
+    updateStartExerciseButton();
+    
+    if (audioFeedback) {
+        audioFeedback.speak(window.i18n.t('setup.ready'), 'normal', { key: 'setup' });
+    }
+    console.log('Camera setup complete');
+}
+
+// Start Exercise waits for the camera setup of a live session
+function updateStartExerciseButton() {
+    startExerciseBtn.disabled = Boolean(cameraSetup);
+    startExerciseBtn.title = cameraSetup ? window.i18n.t('setup.locked') : '';
+}
+
+// Guide box the body should fill, with a standing silhouette - green and
+// filling up along its bottom edge once every check passes
+function drawSetupGuide(guide, status) {
+    const ready = Object.values(status.checks).every(Boolean);
+    const color = ready ? '#10b981' : '#f59e0b';
+    
+    // The guide is centered, so it is the same box in a mirrored view
+    const left = videoRect.x + guide.left * videoRect.width;
+    const top = videoRect.y + guide.top * videoRect.height;
+    const boxWidth = (guide.right - guide.left) * videoRect.width;
+    const boxHeight = (guide.bottom - guide.top) * videoRect.height;
+    const centerX = left + boxWidth / 2;
+    const at = (fraction) => top + boxHeight * fraction;
+    
+    canvasCtx.save();
+    canvasCtx.strokeStyle = color;
+    canvasCtx.lineWidth = 3;
+    canvasCtx.setLineDash([12, 8]);
+    canvasCtx.strokeRect(left, top, boxWidth, boxHeight);
+    
+    // Silhouette: head, shoulders, arms at the sides, torso and legs
+    const shoulderHalf = boxHeight * 0.1;
+    const hipHalf = boxHeight * 0.06;
+    canvasCtx.setLineDash([]);
+    canvasCtx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    canvasCtx.lineWidth = 4;
+    canvasCtx.lineCap = 'round';
+    canvasCtx.beginPath();
+    canvasCtx.arc(centerX, at(0.1), boxHeight * 0.06, 0, Math.PI * 2);
+    canvasCtx.moveTo(centerX - shoulderHalf, at(0.2));
+    canvasCtx.lineTo(centerX + shoulderHalf, at(0.2));
+    canvasCtx.moveTo(centerX - shoulderHalf, at(0.2));
+    canvasCtx.lineTo(centerX - shoulderHalf * 1.2, at(0.5));
+    canvasCtx.moveTo(centerX + shoulderHalf, at(0.2));
+    canvasCtx.lineTo(centerX + shoulderHalf * 1.2, at(0.5));
+    canvasCtx.moveTo(centerX - shoulderHalf, at(0.2));
+    canvasCtx.lineTo(centerX - hipHalf, at(0.52));
+    canvasCtx.lineTo(centerX + hipHalf, at(0.52));
+    canvasCtx.lineTo(centerX + shoulderHalf, at(0.2));
+    canvasCtx.moveTo(centerX - hipHalf, at(0.52));
+    canvasCtx.lineTo(centerX - hipHalf, at(0.97));
+    canvasCtx.moveTo(centerX + hipHalf, at(0.52));
+    canvasCtx.lineTo(centerX + hipHalf, at(0.97));
+    canvasCtx.stroke();
+    
+    // Hold progress
+    if (status.progress > 0) {
+        canvasCtx.fillStyle = color;
+        canvasCtx.fillRect(left, top + boxHeight - 6, boxWidth * status.progress, 6);
+    }
+    
+    canvasCtx.restore();
+}
+
+// Pacing arc - progress through the phase the metronome is beating
+function drawPacingArc(state) {
+    const radius = 36;
+    const x = videoRect.x + videoRect.width - radius - 16;
+    const y = videoRect.y + radius + 16;
+    const colors = { out: '#3b82f6', target: '#10b981', back: '#f59e0b', rest: '#9ca3af', 'lead-in': '#9ca3af' };
+    
+    canvasCtx.save();
+    
+    // Background disc and track
+    canvasCtx.beginPath();
+    canvasCtx.arc(x, y, radius, 0, Math.PI * 2);
+    canvasCtx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    canvasCtx.fill();
+    canvasCtx.lineWidth = 6;
+    canvasCtx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+    canvasCtx.stroke();
+    
+    // Progress through the current phase, starting at 12 o'clock
+    canvasCtx.beginPath();
+    canvasCtx.arc(x, y, radius, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * state.progress);
+    canvasCtx.strokeStyle = colors[state.role];
+    canvasCtx.stroke();
+    
+    // Phase name and beat (a countdown while counting in)
+    const beat = state.role === 'lead-in' ? state.beats - state.beat + 1 : state.beat;
+    canvasCtx.fillStyle = '#ffffff';
+    canvasCtx.textAlign = 'center';
+    canvasCtx.font = 'bold 11px Arial';
+    canvasCtx.fillText(state.phase.toUpperCase(), x, y - 6);
+    canvasCtx.font = 'bold 20px Arial';
+    canvasCtx.fillText(beat, x, y + 16);
     
     canvasCtx.restore();
 }
@@ -264,14 +616,20 @@ function drawFormOverlay(quality) {
 function renderExerciseCards(filterCategory = 'all') {
     exerciseCardsContainer.innerHTML = '';
     
+    const available = getAvailableExercises();
     const filteredExercises = filterCategory === 'all' 
-        ? window.EXERCISES 
-        : window.EXERCISES.filter(ex => ex.category === filterCategory);
+        ? available 
+        : available.filter(ex => ex.category === filterCategory);
     
     filteredExercises.forEach(exercise => {
+        const entry = window.Prescription.getEntry(prescription, exercise.id);
+        const text = (path, fallback) => window.i18n.exerciseText(exercise.id, path, fallback);
         const card = document.createElement('div');
         card.className = 'exercise-card bg-white rounded-lg p-4 shadow-sm hover:shadow-md transition-all cursor-pointer border-2 border-transparent';
         card.dataset.exerciseId = exercise.id;
+        if (selectedExercise && selectedExercise.id === exercise.id) {
+            card.classList.add('selected');
+        }
         
         card.innerHTML = `
             <div class="flex items-start gap-3">
@@ -279,29 +637,51 @@ function renderExerciseCards(filterCategory = 'all') {
                     <i class="${exercise.icon}"></i>
                 </div>
                 <div class="flex-1">
-                    <h3 class="font-semibold text-gray-800">${exercise.name}</h3>
-                    <p class="text-xs text-gray-600 mt-1">${exercise.description}</p>
+                    <h3 class="font-semibold text-gray-800">${getSpokenName(exercise)}</h3>
+                    <p class="text-xs text-gray-600 mt-1">${text('description', exercise.description)}</p>
                     <div class="flex items-center gap-2 mt-2">
                         <span class="difficulty-badge difficulty-${exercise.difficulty}">
-                            ${exercise.difficulty}
+                            ${window.i18n.t(`panel.difficulty.${exercise.difficulty}`)}
                         </span>
                         <span class="text-xs text-gray-500">
-                            ${exercise.duration}
+                            ${text('duration', exercise.duration)}
                         </span>
                     </div>
                     <div class="mt-2">
-                        <span class="text-xs text-gray-500">Targets: </span>
-                        <span class="text-xs text-gray-700">${exercise.targetMuscles.join(', ')}</span>
+                        <span class="text-xs text-gray-500">${window.i18n.t('panel.targets')} </span>
+                        <span class="text-xs text-gray-700">${text('targetMuscles', exercise.targetMuscles).join(window.i18n.t('panel.listSeparator'))}</span>
                     </div>
+                    ${entry ? `
+                    <div class="mt-2 text-xs text-blue-700">
+                        <i class="fas fa-file-medical"></i>
+                        ${window.i18n.t(entry.holdSeconds ? 'panel.prescribedHold' : 'panel.prescribed', { sets: entry.sets, reps: entry.reps, seconds: entry.holdSeconds })}
+                        ${entry.notes ? `<p class="text-gray-600 mt-1">${window.Charts.escape(entry.notes)}</p>` : ''}
+                    </div>` : ''}
                 </div>
             </div>
         `;
         
-        card.addEventListener('click', () => selectExercise(exercise, card));
+        card.addEventListener('click', () => {
+            // The program decides the exercise while it runs
+            if (programRunner) return;
+            
+            if (programSelect.value) {
+                programSelect.value = '';
+                updateProgramPanel();
+            }
+            selectExercise(exercise, card);
+        });
         exerciseCardsContainer.appendChild(card);
     });
 }
 
+// Exercises on offer - a prescription limits them to the prescribed ones
+function getAvailableExercises() {
+    return prescription
+        ? window.EXERCISES.filter(ex => window.Prescription.getEntry(prescription, ex.id))
+        : window.EXERCISES;
+}
+
 // Select an exercise
 function selectExercise(exercise, cardElement) {
     // Remove previous selection
@@ -310,16 +690,58 @@ function selectExercise(exercise, cardElement) {
     });
     
     // Mark new selection
-    cardElement.classList.add('selected');
+    if (cardElement) {
+        cardElement.classList.add('selected');
+    }
     selectedExercise = exercise;
     
     // Update UI
-    selectedExerciseText.textContent = `Selected: ${exercise.name}`;
+    selectedExerciseText.textContent = window.i18n.t('panel.selected', { name: getSpokenName(exercise) });
+    
+    // Offer side selection only for exercises that support it
+    if (exercise.analysis && exercise.analysis.sides) {
+        sideOption.classList.remove('hidden');
+    } else {
+        sideOption.classList.add('hidden');
+        sideSelect.value = 'both';
+    }
+    
+    // Prescribed target and calibration for exercises with a range target
+    targetAngleInput.value = '';
+    if (supportsCalibration(exercise)) {
+        targetAngleInput.placeholder = exercise.analysis.calibration.target;
+        targetOption.classList.remove('hidden');
+    } else {
+        targetOption.classList.add('hidden');
+    }
+    updateCalibrationDisplay();
+    
+    // Rep target, defaulting to the low end of the exercise's range (e.g. "10-15")
+    repTargetInput.value = '';
+    repTargetInput.placeholder = parseInt(exercise.reps, 10) || '';
+    repsOption.classList.remove('hidden');
+    
+    // Tempo for timed exercises, e.g. "3-3-3"
+    tempoInput.value = '';
+    tempoInput.placeholder = window.ExerciseAnalyzer.formatTempo(exercise.analysis && exercise.analysis.tempo);
+    tempoOption.classList.toggle('hidden', !tempoInput.placeholder);
+    
+    // Prescribed settings take the place of the defaults
+    const entry = window.Prescription.getEntry(prescription, exercise.id);
+    if (entry) {
+        repTargetInput.value = entry.reps;
+        targetAngleInput.value = entry.targetAngle || '';
+        tempoInput.value = entry.tempo || '';
+        if (entry.side && exercise.analysis.sides) {
+            sideSelect.value = entry.side;
+        }
+    }
     
     // Enable start exercise button if camera is running
     if (isRunning) {
-        startExerciseBtn.disabled = false;
+        updateStartExerciseButton();
         startExerciseBtn.classList.remove('hidden');
+        calibrateBtn.classList.toggle('hidden', !supportsCalibration(exercise));
     }
     
     console.log('Selected exercise:', exercise.name);
@@ -327,20 +749,35 @@ function selectExercise(exercise, cardElement) {
 
 // Start exercise tracking
 function startExerciseTracking() {
-    if (!selectedExercise) return;
+    if (!selectedExercise || romCalibration) return;
+    
+    // Initialize the analyzer declared by the selected exercise
+    if (!window.analyzerRegistry.supports(selectedExercise)) {
+        alert(`Tracking is not available yet for ${selectedExercise.name}`);
+        return;
+    }
+    
+    exerciseAnalyzer = window.analyzerRegistry.create(selectedExercise, {
+        side: sideSelect.value,
+        targetAngle: parseFloat(targetAngleInput.value) || null,
+        tempo: getTempo(),
+        range: window.RomCalibration.load(selectedExercise.id)
+    });
+    
+    targetReps = getTargetReps();
+    sessionRecorder = createSessionRecorder();
     
     exerciseActive = true;
+    exercisePaused = false;
+    sideSelect.disabled = true;
+    targetAngleInput.disabled = true;
+    repTargetInput.disabled = true;
+    tempoInput.disabled = true;
+    pacingToggle.disabled = true;
+    programSelect.disabled = true;
+    calibrateBtn.disabled = true;
     repCount = 0;
     
-    // Initialize appropriate analyzer
-    if (selectedExercise.id === 'lateral-arm-raises') {
-        if (!exerciseAnalyzer) {
-            exerciseAnalyzer = new window.ArmRaisesAnalyzer();
-        } else {
-            exerciseAnalyzer.reset();
-        }
-    }
-    
     // Initialize audio feedback if not already done
     if (!audioFeedback) {
         audioFeedback = new window.AudioFeedback();
@@ -348,17 +785,32 @@ function startExerciseTracking() {
         audioFeedback.reset();
     }
     
-    // Announce exercise start
-    audioFeedback.announceExerciseStart(selectedExercise.name);
+    // Use the exercise's spoken prompts and corrections
+    const spokenPrompts = exerciseAnalyzer.getSpokenPrompts();
+    audioFeedback.setSpokenPrompts(spokenPrompts);
+    
+    // Optional metronome pacing, for live camera sessions of timed exercises
+    const tempo = exerciseAnalyzer.tempo;
+    if (pacingToggle.checked && isRunning && !videoMode && tempo.raise && tempo.lower) {
+        metronome = new window.Metronome(audioFeedback, tempo, spokenPrompts.phases);
+        metronome.start();
+    }
+    
+    // Announce exercise start, or just the set number for later sets
+    const programSet = programRunner ? programRunner.getCurrent() : null;
+    if (programSet && programSet.setNumber > 1) {
+        audioFeedback.announceSetStart(programSet.setNumber, programSet.totalSets);
+    } else {
+        audioFeedback.announceExerciseStart(getSpokenName(selectedExercise));
+    }
     
     // Update UI
-    startExerciseBtn.innerHTML = '<i class="fas fa-stop"></i> Stop Exercise';
-    startExerciseBtn.classList.remove('bg-green-500', 'hover:bg-green-600');
+    setStartButtonLabel('stop');
+    startExerciseBtn.classList.remove('bg-green-500', 'hover:bg-green-600', 'bg-blue-500', 'hover:bg-blue-600');
     startExerciseBtn.classList.add('bg-orange-500', 'hover:bg-orange-600');
     
     // Show exercise overlay
-    overlayTitle.textContent = selectedExercise.name;
-    overlayInstructions.textContent = selectedExercise.instructions[0];
+    updateExerciseOverlayText();
     
     // Show exercise demonstration animation if available
     if (selectedExercise.demoAnimation) {
@@ -373,34 +825,116 @@ function startExerciseTracking() {
     
     // Show feedback display
     feedbackDisplay.classList.remove('hidden');
-    repCountElement.textContent = '0';
+    repCountElement.textContent = targetReps ? `0 / ${targetReps}` : '0';
     formScoreElement.textContent = '100%';
     formScoreElement.className = 'text-2xl font-bold form-excellent';
-    feedbackText.textContent = 'Stand upright with arms at your sides';
+    feedbackText.textContent = window.i18n.exerciseText(selectedExercise.id, 'keyPoints.startPosition', selectedExercise.keyPoints.startPosition);
+    
+    // Uploaded videos play from the current position
+    if (videoMode) {
+        videoElement.play();
+    }
     
     console.log('Exercise tracking started:', selectedExercise.name);
 }
 
-// Stop exercise tracking
-function stopExerciseTracking() {
+// Session recorder for the current exercise and settings
+function createSessionRecorder(startTime = getFrameTimestamp()) {
+    const programSet = programRunner ? programRunner.getCurrent() : null;
+    
+    return new window.SessionRecorder(selectedExercise, {
+        side: sideSelect.value,
+        errorLabels: exerciseAnalyzer.getErrorLabels(),
+        prescribedReps: targetReps,
+        tempo: exerciseAnalyzer.tempo,
+        startTime: startTime,
+        program: programSet && {
+            id: programRunner.program.id,
+            name: programRunner.program.name,
+            step: programSet.stepIndex + 1,
+            set: programSet.setNumber,
+            totalSets: programSet.totalSets
+        }
+    });
+}
+
+// Rep target: the program's, the one entered, or the exercise's minimum
+function getTargetReps() {
+    if (programRunner) {
+        return programRunner.getCurrent().reps;
+    }
+    return parseInt(repTargetInput.value, 10) || parseInt(selectedExercise.reps, 10) || null;
+}
+
+// Tempo entered or prescribed, with a prescribed hold on top (the analyzer
+// fills in the exercise's own tempo for anything left out)
+function getTempo() {
+    const tempo = window.ExerciseAnalyzer.parseTempo(tempoInput.value) || {};
+    const step = programRunner
+        ? programRunner.getCurrent().step
+        : window.Prescription.getEntry(prescription, selectedExercise.id);
+    
+    if (step && typeof step.holdSeconds === 'number') {
+        tempo.hold = step.holdSeconds;
+    }
+    return tempo;
+}
+
+// Stop exercise tracking - the summary is skipped between program sets
+function stopExerciseTracking(showSummary = true) {
     exerciseActive = false;
+    exercisePaused = false;
     
-    const finalFormScore = exerciseAnalyzer ? exerciseAnalyzer.formScore : 0;
+    // Drop coaching cues still queued for this exercise
+    if (audioFeedback) {
+        audioFeedback.endExercise();
+    }
     
-    // Announce completion with audio
-    if (audioFeedback && repCount > 0) {
-        audioFeedback.announceExerciseComplete(repCount, finalFormScore);
+    // An exercise started for a replay ends the replay too
+    if (replayPlayer) {
+        stopReplay();
     }
     
-    // Show summary if reps were completed
-    if (repCount > 0) {
-        setTimeout(() => {
-            alert(`Great workout! You completed ${repCount} reps with an average form score of ${finalFormScore}%`);
-        }, 2000); // Delay to let audio finish
+    sideSelect.disabled = false;
+    targetAngleInput.disabled = false;
+    repTargetInput.disabled = false;
+    tempoInput.disabled = false;
+    pacingToggle.disabled = false;
+    
+    // Keep how well the beat was followed with the session
+    if (metronome) {
+        if (sessionRecorder) {
+            sessionRecorder.setPacing(metronome.getAdherence());
+        }
+        metronome.stop();
+        metronome = null;
+    }
+    programSelect.disabled = !!programRunner;
+    calibrateBtn.disabled = false;
+    
+    if (videoMode) {
+        videoElement.pause();
+    }
+    
+    // Summarize, save and show every session with analyzed frames - one
+    // where no rep counted shows what the patient tried, which a clinician
+    // needs to see. Without a single frame there is nothing to score, and a
+    // 0% form score would drag down the history trend
+    if (sessionRecorder && sessionRecorder.frameCount > 0) {
+        const session = sessionRecorder.finish(videoMode ? getFrameTimestamp() : undefined);
+        saveSession(session);
+        
+        if (showSummary) {
+            if (audioFeedback) {
+                audioFeedback.announceExerciseComplete(session.repCount, session.averageFormScore);
+            }
+            summaryView.show(session);
+        }
     }
+    sessionRecorder = null;
     
     // Update UI
-    startExerciseBtn.innerHTML = '<i class="fas fa-dumbbell"></i> Start Exercise';
+    setStartButtonLabel('start');
     startExerciseBtn.classList.remove('bg-orange-500', 'hover:bg-orange-600');
     startExerciseBtn.classList.add('bg-green-500', 'hover:bg-green-600');
     
@@ -409,140 +943,1322 @@ function stopExerciseTracking() {
     feedbackDisplay.classList.add('hidden');
     
     console.log('Exercise tracking stopped. Total reps:', repCount);
+    applyPendingPrescription();
 }
 
-// Make function globally accessible for audio feedback
-window.stopExerciseTracking = stopExerciseTracking;
+// Finish the current set once its rep target is reached
+function completeSet() {
+    if (programRunner) {
+        stopExerciseTracking(false);
+        programRunner.completeSet();
+    } else {
+        stopExerciseTracking();
+    }
+}
 
-// Start camera and pose detection
-async function startCamera() {
-    try {
-        // Show loading indicator
-        loadingIndicator.classList.remove('hidden');
-        statusText.textContent = 'Initializing...';
-        
-        // Disable start button
-        startBtn.disabled = true;
-        
-        // Initialize pose if not already done
-        if (!pose) {
-            initializePose();
-        }
-        
-        // Set canvas size based on video container
-        const container = document.querySelector('.video-container');
-        const containerRect = container.getBoundingClientRect();
-        canvasElement.width = containerRect.width;
-        canvasElement.height = containerRect.height;
-        
-        // Initialize camera
-        camera = new Camera(videoElement, {
-            onFrame: async () => {
-                if (pose && isRunning) {
-                    await pose.send({ image: videoElement });
-                }
-            },
-            width: 1280,
-            height: 960,
-            facingMode: 'user' // Use front camera by default
-        });
-        
-        await camera.start();
-        
-        isRunning = true;
-        
-        // Update UI
-        loadingIndicator.classList.add('hidden');
-        startBtn.classList.add('hidden');
-        stopBtn.classList.remove('hidden');
-        
-        // Update status indicator
-        statusDot.classList.remove('inactive');
-        statusDot.classList.add('active');
-        statusText.textContent = 'Camera Active';
-        
-        // Enable exercise button if exercise is selected
-        if (selectedExercise) {
-            startExerciseBtn.disabled = false;
-            startExerciseBtn.classList.remove('hidden');
-        }
-        
-    } catch (error) {
-        console.error('Error starting camera:', error);
-        loadingIndicator.classList.add('hidden');
-        startBtn.disabled = false;
-        statusText.textContent = 'Camera Error';
-        alert(`Error: ${error.message || 'Failed to start camera'}`);
+// Programs on offer - only the therapist's plan while a prescription is loaded
+function getPrograms() {
+    return prescription ? [window.Prescription.toProgram(prescription)] : window.PROGRAMS;
+}
+
+function findProgram(id) {
+    return getPrograms().find(program => program.id === id);
+}
+
+// Fill the program selector
+function renderProgramOptions() {
+    programSelect.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+    
+    getPrograms().forEach(program => {
+        const option = document.createElement('option');
+        option.value = program.id;
+        option.textContent = program.name;
+        programSelect.appendChild(option);
+    });
+}
+
+// Pick up the first exercise of the chosen program
+function selectProgram() {
+    const program = findProgram(programSelect.value);
+    if (program) {
+        applyProgramStep({ step: program.steps[0], exercise: window.EXERCISES.find(ex => ex.id === program.steps[0].exerciseId) });
     }
+    updateProgramPanel();
 }
 
-// Stop camera and pose detection
-function stopCamera() {
-    if (camera) {
-        camera.stop();
-        camera = null;
+// Show the selected program's steps and progress
+function updateProgramPanel() {
+    const program = findProgram(programSelect.value);
+    if (!program) {
+        programPanel.classList.add('hidden');
+        repsOption.classList.toggle('hidden', !selectedExercise);
+        return;
     }
     
-    isRunning = false;
+    const current = programRunner ? programRunner.getCurrent() : null;
+    programDescription.textContent = program.description || '';
+    programSteps.innerHTML = program.steps.map((step, index) => {
+        const exercise = window.EXERCISES.find(ex => ex.id === step.exerciseId);
+        const side = step.side ? ` (${step.side})` : '';
+        const state = !current ? 'text-gray-700'
+            : index < current.stepIndex ? 'text-gray-400 line-through'
+            : index === current.stepIndex ? 'text-blue-600 font-semibold'
+            : 'text-gray-700';
+        const text = window.i18n.t('program.step', {
+            name: (exercise ? getSpokenName(exercise) : step.exerciseId) + side,
+            sets: step.sets,
+            reps: step.reps,
+            seconds: step.restSeconds || 0
+        });
+        return `<li class="${state}">${index + 1}. ${window.Charts.escape(text)}</li>`;
+    }).join('');
     
-    // Stop exercise if active
-    if (exerciseActive) {
-        stopExerciseTracking();
+    programStatus.textContent = programRunner ? programRunner.getProgressLabel() : '';
+    endProgramBtn.classList.toggle('hidden', !programRunner);
+    repsOption.classList.add('hidden');
+    programPanel.classList.remove('hidden');
+}
+
+// Select the exercise and settings of a program step
+function applyProgramStep(current) {
+    if (current.exercise !== selectedExercise) {
+        categoryFilter.value = 'all';
+        renderExerciseCards();
+        selectExercise(current.exercise, exerciseCardsContainer.querySelector(`[data-exercise-id="${current.exercise.id}"]`));
     }
     
-    // Clear canvas
-    canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
-    
-    // Update UI
-    startBtn.classList.remove('hidden');
-    startBtn.disabled = false;
-    stopBtn.classList.add('hidden');
-    startExerciseBtn.classList.add('hidden');
-    
-    // Update status indicator
-    statusDot.classList.remove('active');
-    statusDot.classList.add('inactive');
-    statusText.textContent = 'Camera Off';
+    sideSelect.value = current.step.side && current.exercise.analysis.sides ? current.step.side : 'both';
+    targetAngleInput.value = current.step.targetAngle || '';
+    tempoInput.value = current.step.tempo || '';
+    repsOption.classList.add('hidden');
+}
+
+// Start the selected program from its first set
+function startProgram() {
+    const program = findProgram(programSelect.value);
     
-    // Reset info displays
-    landmarkCount.textContent = '--';
-    visibilityScore.textContent = '--';
-    fpsCounter.textContent = '--';
+    programRunner = new window.ProgramRunner(program, {
+        onRestStart: startProgramRest,
+        onRestTick: updateProgramRest,
+        onRestEnd: startProgramSet,
+        onComplete: finishProgram
+    });
+    startProgramSet(programRunner.getCurrent());
+    console.log('Program started:', program.name);
 }
 
-// Event Listeners
-startBtn.addEventListener('click', startCamera);
-stopBtn.addEventListener('click', stopCamera);
-startExerciseBtn.addEventListener('click', () => {
+// Begin a program set
+function startProgramSet(current) {
+    applyProgramStep(current);
+    updateProgramPanel();
+    startExerciseTracking();
+}
+
+// Show the rest countdown and prepare the next set
+function startProgramRest(seconds, next) {
+    applyProgramStep(next);
+    updateProgramPanel();
+    
+    const nextLabel = next.setNumber === 1
+        ? getSpokenName(next.exercise)
+        : window.i18n.t('rest.nextSet', { set: next.setNumber, total: next.totalSets });
+    if (audioFeedback) {
+        audioFeedback.announceRest(seconds, nextLabel);
+    }
+    
+    setStartButtonLabel('skipRest');
+    startExerciseBtn.classList.remove('bg-green-500', 'hover:bg-green-600');
+    startExerciseBtn.classList.add('bg-blue-500', 'hover:bg-blue-600');
+    exerciseAnimation.classList.add('hidden');
+    exerciseOverlay.classList.remove('hidden');
+    updateProgramRest(seconds, next);
+}
+
+// Update the rest countdown
+function updateProgramRest(secondsLeft, next) {
+    overlayTitle.textContent = window.i18n.t('program.rest', { seconds: secondsLeft });
+    overlayInstructions.textContent = window.i18n.t('program.next', {
+        name: getSpokenName(next.exercise),
+        set: next.setNumber,
+        total: next.totalSets,
+        reps: next.reps
+    });
+    
+    if (audioFeedback) {
+        audioFeedback.announceRestCountdown(secondsLeft);
+    }
+}
+
+// Start button icon for each label - the label says what a press does next
+const START_BUTTON_ICONS = { start: 'fa-dumbbell', stop: 'fa-stop', skipRest: 'fa-forward' };
+
+// Label the start button in the current language, e.g. 'stop' while an exercise runs
+function setStartButtonLabel(label) {
+    const icon = document.createElement('i');
+    icon.className = `fas ${START_BUTTON_ICONS[label]}`;
+    startExerciseBtn.dataset.label = label;
+    startExerciseBtn.replaceChildren(icon, ` ${window.i18n.t(`panel.${label}`)}`);
+}
+
+// Restore the start button after a rest
+function resetStartButton() {
+    setStartButtonLabel('start');
+    startExerciseBtn.classList.remove('bg-blue-500', 'hover:bg-blue-600', 'bg-orange-500', 'hover:bg-orange-600');
+    startExerciseBtn.classList.add('bg-green-500', 'hover:bg-green-600');
+}
+
+// All sets of all steps done
+function finishProgram() {
+    const program = programRunner.program;
+    endProgram();
+    
+    if (audioFeedback) {
+        audioFeedback.announceProgramComplete(program.name);
+    }
+    overlayTitle.textContent = window.i18n.t('program.finished', { name: program.name });
+    overlayInstructions.textContent = window.i18n.t('program.saved');
+    exerciseAnimation.classList.add('hidden');
+    exerciseOverlay.classList.remove('hidden');
+    setTimeout(() => {
+        if (!exerciseActive && !programRunner) {
+            exerciseOverlay.classList.add('hidden');
+        }
+    }, 5000);
+    
+    console.log('Program complete:', program.name);
+}
+
+// Leave program mode (any set in progress is stopped and summarized)
+function endProgram() {
+    if (!programRunner) return;
+    
+    programRunner.stop();
+    programRunner = null;
+    
+    if (exerciseActive) {
+        stopExerciseTracking();
+    }
+    
+    resetStartButton();
+    exerciseOverlay.classList.add('hidden');
+    programSelect.disabled = false;
+    updateProgramPanel();
+    applyPendingPrescription();
+}
+
+// Use a validated prescription: its exercises, settings and program
+function applyPrescription(plan) {
+    if (programRunner || exerciseActive) {
+        alert('Stop the current exercise before loading a prescription');
+        return;
+    }
+    
+    prescription = plan;
+    window.Prescription.save(plan);
+    renderPrescription();
+    
+    // Start on the prescribed program
+    programSelect.value = 'prescription';
+    selectProgram();
+    
+    console.log('Prescription loaded:', plan.exercises.length, 'exercises');
+}
+
+// Load a prescription file chosen by the user
+async function importPrescription(file) {
+    try {
+        applyPrescription(window.Prescription.parse(await file.text()));
+    } catch (error) {
+        alert(`Error: ${error.message}`);
+    }
+}
+
+// Load a prescription shared as a "#plan=" link
+function importPrescriptionFromUrl() {
+    let plan; // Stays undefined when the link can't be read, null when there is none
+    try {
+        plan = window.Prescription.fromHash(window.location.hash);
+    } catch (error) {
+        alert(`Error: ${error.message}`);
+    }
+    if (plan === null) return false;
+    
+    // The plan is kept locally, so drop the link from the address bar
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+    if (!plan) return false;
+    
+    // A link opened during an exercise waits for it to end
+    if (programRunner || exerciseActive) {
+        pendingPrescription = plan;
+        alert('The prescription will be loaded when the current exercise ends');
+        return true;
+    }
+    
+    applyPrescription(plan);
+    return true;
+}
+
+// Load a prescription that arrived during an exercise, once nothing is running
+function applyPendingPrescription() {
+    if (!pendingPrescription || programRunner || exerciseActive) return;
+    
+    const plan = pendingPrescription;
+    pendingPrescription = null;
+    applyPrescription(plan);
+}
+
+// Go back to the full exercise library
+function clearPrescription() {
+    if (programRunner || !confirm('Remove the prescription from this device?')) return;
+    
+    prescription = null;
+    window.Prescription.clear();
+    programSelect.value = '';
+    renderPrescription();
+    updateProgramPanel();
+}
+
+// Show the loaded prescription and rebuild the cards and programs around it
+function renderPrescription() {
+    if (prescription) {
+        prescriptionTitle.textContent = prescription.patientName
+            ? `Prescription for ${prescription.patientName}`
+            : 'Prescription loaded';
+        prescriptionNotes.textContent = [
+            prescription.therapist && `From ${prescription.therapist}`,
+            prescription.notes
+        ].filter(Boolean).join(' - ');
+        prescriptionPanel.classList.remove('hidden');
+    } else {
+        prescriptionPanel.classList.add('hidden');
+    }
+    
+    renderExerciseCards(categoryFilter.value);
+    renderProgramOptions();
+}
+
+// Copy a link that opens the app with the current prescription
+async function copyPrescriptionLink() {
+    const url = window.Prescription.toUrl(prescription);
+    
+    try {
+        await navigator.clipboard.writeText(url);
+        copyPlanLinkBtn.innerHTML = '<i class="fas fa-check"></i> Copied';
+        setTimeout(() => {
+            copyPlanLinkBtn.innerHTML = '<i class="fas fa-link"></i> Copy link';
+        }, 2000);
+    } catch (error) {
+        // Clipboard access can be refused - let the user copy it by hand
+        prompt('Copy this prescription link:', url);
+    }
+}
+
+// Persist a finished session
+async function saveSession(session) {
+    if (!sessionStore) return;
+    
+    try {
+        await sessionStore.saveSession(session);
+        console.log('Session saved:', session);
+    } catch (error) {
+        console.error('Error saving session:', error);
+    }
+}
+
+// Start or stop recording the landmark stream
+function toggleRecording() {
+    if (landmarkRecorder) {
+        const recording = landmarkRecorder.finish();
+        landmarkRecorder = null;
+        
+        recordIcon.classList.remove('animate-pulse');
+        recordText.textContent = 'Record';
+        
+        if (recording.frames.length > 0) {
+            const stamp = recording.recordedAt.slice(0, 19).replace(/[:T]/g, '-');
+            const name = `landmarks-${recording.exerciseId || 'pose'}-${stamp}.json`;
+            window.SessionExport.download(JSON.stringify(recording), name, 'application/json');
+            console.log(`Landmark recording saved: ${recording.frames.length} frames`);
+        }
+    } else {
+        landmarkRecorder = new window.LandmarkRecorder({
+            exerciseId: selectedExercise ? selectedExercise.id : null,
+            side: sideSelect.value,
+            frameWidth: videoElement.videoWidth,
+            frameHeight: videoElement.videoHeight
+        });
+        
+        recordIcon.classList.add('animate-pulse');
+        recordText.textContent = 'Stop Recording';
+    }
+}
+
+// Replay a landmark recording file through the selected exercise
+async function startReplay(file) {
+    if (isRunning) {
+        alert('Stop the camera before replaying a recording');
+        return;
+    }
+    
+    let recording;
+    try {
+        recording = window.LandmarkRecorder.parse(await file.text());
+    } catch (error) {
+        alert(`Error: ${error.message}`);
+        return;
+    }
+    
+    // Use the recorded exercise when known, otherwise the selected one
+    const exercise = window.EXERCISES.find(ex => ex.id === recording.exerciseId) || selectedExercise;
+    if (!exercise) {
+        alert('Select an exercise to replay this recording with');
+        return;
+    }
+    
+    if (exercise !== selectedExercise) {
+        categoryFilter.value = 'all';
+        renderExerciseCards();
+        selectExercise(exercise, exerciseCardsContainer.querySelector(`[data-exercise-id="${exercise.id}"]`));
+    }
+    if (recording.side && exercise.analysis && exercise.analysis.sides) {
+        sideSelect.value = recording.side;
+    }
+    
+    startExerciseTracking();
+    if (!exerciseActive) return;
+    
+    replayPlayer = new window.LandmarkPlayer(recording, processReplayFrame, {
+        speed: parseFloat(replaySpeed.value),
+        onEnd: stopReplay
+    });
+    replayPlayer.play();
+    
+    // Update UI
+    replayText.textContent = 'Stop Replay';
+    replaySpeed.disabled = true;
+    startBtn.disabled = true;
+    statusText.textContent = 'Replaying';
+    
+    console.log(`Replaying ${recording.frames.length} frames at ${replayPlayer.speed}x`);
+}
+
+// Draw and analyze one replayed frame
+function processReplayFrame(landmarks, worldLandmarks, timestamp) {
+    // Recordings from before frame sizes were saved are taken as 4:3
+    const recording = replayPlayer.recording;
+    updateVideoRect(recording.frameWidth || 4, recording.frameHeight || 3);
+    
+    canvasCtx.save();
+    canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
+    canvasCtx.fillStyle = '#111827';
+    canvasCtx.fillRect(videoRect.x, videoRect.y, videoRect.width, videoRect.height);
+    drawPose(landmarks);
+    canvasCtx.restore();
+    
+    updateLandmarkInfo(landmarks);
+    
+    if (exerciseActive) {
+        processExercise(landmarks, timestamp, worldLandmarks);
+    }
+}
+
+// End the replay and its exercise session
+function stopReplay() {
+    if (!replayPlayer) return;
+    
+    replayPlayer.stop();
+    replayPlayer = null;
+    
+    if (exerciseActive) {
+        stopExerciseTracking();
+    }
+    
+    // Update UI
+    canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
+    replayText.textContent = 'Replay';
+    replaySpeed.disabled = false;
+    startBtn.disabled = false;
+    statusText.textContent = 'Camera Off';
+}
+
+// Check if an exercise declares a range target that can be calibrated
+function supportsCalibration(exercise) {
+    return Boolean(exercise && exercise.analysis && exercise.analysis.calibration);
+}
+
+// "L 3 · R 2" - sides in the order they appear on screen: the patient's
+// left is on the left of a mirrored view and on the right otherwise
+function formatSides(left, right) {
+    const sides = [`L ${left}`, `R ${right}`];
+    return (cameraSettings.mirror ? sides : sides.reverse()).join(' · ');
+}
+
+// Format a calibrated range, e.g. "L 62° · R 88°"
+function formatRange(range) {
+    if (range.left || range.right) {
+        const side = (value) => (value ? `${value}°` : '--');
+        return formatSides(side(range.left), side(range.right));
+    }
+    return `${range.both}°`;
+}
+
+// Show the saved calibration for the selected exercise
+function updateCalibrationDisplay() {
+    const range = supportsCalibration(selectedExercise)
+        ? window.RomCalibration.load(selectedExercise.id)
+        : null;
+    
+    if (range) {
+        romText.textContent = `Range: ${formatRange(range)}`;
+        romInfo.classList.remove('hidden');
+    } else {
+        romInfo.classList.add('hidden');
+    }
+}
+
+// Start range of motion calibration
+function startCalibration() {
+    if (!supportsCalibration(selectedExercise) || exerciseActive) return;
+    
+    const analyzer = window.analyzerRegistry.create(selectedExercise);
+    romCalibration = new window.RomCalibration(analyzer);
+    
+    // Initialize audio feedback if not already done
+    if (!audioFeedback) {
+        audioFeedback = new window.AudioFeedback();
+    }
+    const spokenPrompts = analyzer.getSpokenPrompts();
+    audioFeedback.setSpokenPrompts(spokenPrompts);
+    audioFeedback.announceCalibrationStart();
+    
+    // Update UI
+    calibrateBtn.innerHTML = '<i class="fas fa-times"></i> Cancel';
+    startExerciseBtn.disabled = true;
+    setupPanel.classList.add('hidden');
+    overlayTitle.textContent = `${selectedExercise.name} - Calibration`;
+    overlayInstructions.textContent = spokenPrompts.prompts.calibrate;
+    exerciseAnimation.classList.add('hidden');
+    exerciseOverlay.classList.remove('hidden');
+    
+    console.log('Range of motion calibration started:', selectedExercise.name);
+}
+
+// Feed a frame to the active calibration
+function processCalibration(landmarks, timestamp = Date.now(), worldLandmarks = null) {
+    const done = romCalibration.update(landmarks, timestamp, worldLandmarks);
+    
+    // Show the best range reached so far
+    const peaks = {};
+    Object.entries(romCalibration.peaks).forEach(([key, value]) => {
+        peaks[key] = Math.round(value);
+    });
+    const visibility = romCalibration.visibility;
+    if (visibility && !visibility.ok && visibility.hint) {
+        overlayInstructions.textContent = romCalibration.analyzer.describeVisibility(visibility.hint);
+    } else {
+        overlayInstructions.textContent = `${audioFeedback.prompts.calibrate} Max: ${formatRange(peaks)}`;
+    }
+    
+    if (done) {
+        finishCalibration();
+    }
+}
+
+// Save the measured range and leave calibration
+function finishCalibration() {
+    const range = romCalibration.isValid() ? romCalibration.getRange() : null;
+    
+    if (range) {
+        window.RomCalibration.save(selectedExercise.id, range);
+        console.log('Range of motion calibrated:', range);
+    }
+    
+    if (audioFeedback) {
+        audioFeedback.announceCalibrationComplete(range);
+    }
+    
+    endCalibration();
+}
+
+// Leave calibration mode and restore the controls
+function endCalibration() {
+    romCalibration = null;
+    
+    calibrateBtn.innerHTML = '<i class="fas fa-ruler-combined"></i> Calibrate';
+    updateStartExerciseButton();
+    exerciseOverlay.classList.add('hidden');
+    setupPanel.classList.toggle('hidden', !cameraSetup);
+    updateCalibrationDisplay();
+}
+
+// Exercise name in the current language, for announcements
+function getSpokenName(exercise) {
+    return window.i18n.exerciseText(exercise.id, 'name', exercise.name);
+}
+
+// Overlay title and first instruction for the running exercise
+function updateExerciseOverlayText() {
+    const name = getSpokenName(selectedExercise);
+    const programSet = programRunner ? programRunner.getCurrent() : null;
+    overlayTitle.textContent = programSet
+        ? window.i18n.t('panel.setTitle', { name: name, set: programSet.setNumber, total: programSet.totalSets })
+        : name;
+    overlayInstructions.textContent = window.i18n.exerciseText(selectedExercise.id, 'instructions.0', selectedExercise.instructions[0]);
+}
+
+// Fill the language picker from the registered locales
+function renderLanguageOptions() {
+    languageSelect.innerHTML = Object.entries(window.LOCALES)
+        .map(([language, locale]) => `<option value="${language}">${locale.name}</option>`)
+        .join('');
+    languageSelect.value = window.i18n.language;
+}
+
+// Text direction and voice command hints for the current language
+function applyLanguage() {
+    const direction = window.i18n.getDirection();
+    feedbackText.dir = direction;
+    overlayInstructions.dir = direction;
+    
+    const phrases = window.i18n.getCommandPhrases();
+    const quote = (type) => `"${phrases[type][0]}"`;
+    voiceHelpCamera.textContent = `${quote('startCamera')}, ${quote('stopCamera')}`;
+    voiceHelpExercise.textContent = `${quote('startExercise')}, ${quote('stopExercise')}`;
+    voiceHelpMore.textContent = ['selectExercise', 'pause', 'repCount', 'formScore', 'nextExercise'].map(quote).join(', ');
+    
+    const wake = window.i18n.getVoiceVocabulary().wake || [];
+    wakePhraseText.textContent = wake.length ? `"${wake[0]}"` : '';
+}
+
+// Speak the answer to a voice command
+function speakAnswer(text) {
+    if (!audioFeedback) {
+        audioFeedback = new window.AudioFeedback();
+    }
+    audioFeedback.speak(text, 'high', { key: 'answer' });
+}
+
+// Exercise named in a voice command, e.g. "squats" - the one sharing the
+// most words with its English or translated name
+function findExerciseByName(name) {
+    const words = (text) => text.toLowerCase().split(/[\s-]+/).filter(Boolean).map(word => word.replace(/s$/, ''));
+    const wanted = words(name);
+    
+    let best = null;
+    let bestScore = 0;
+    getAvailableExercises().forEach(exercise => {
+        const names = words(`${exercise.name} ${getSpokenName(exercise)}`);
+        const score = wanted.filter(word => names.includes(word)).length;
+        if (score > bestScore) {
+            best = exercise;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+// Select an exercise without a click, showing its card
+function selectExerciseByVoice(exercise) {
+    categoryFilter.value = 'all';
+    renderExerciseCards();
+    selectExercise(exercise, exerciseCardsContainer.querySelector(`[data-exercise-id="${exercise.id}"]`));
+    speakAnswer(window.i18n.t('voice.selected', { name: getSpokenName(exercise) }));
+}
+
+// Hold the running exercise - no frames are analyzed until it resumes
+function pauseExercise() {
+    if (!exerciseActive || exercisePaused) return;
+    
+    exercisePaused = true;
+    if (metronome) {
+        metronome.stop();
+    }
+    if (audioFeedback) {
+        audioFeedback.endExercise();
+    }
+    if (videoMode) {
+        videoElement.pause();
+    }
+    feedbackText.textContent = window.i18n.t('feedback.paused');
+    speakAnswer(window.i18n.t('voice.paused'));
+}
+
+// Continue a paused exercise
+function resumeExercise() {
+    if (!exerciseActive || !exercisePaused) return;
+    
+    exercisePaused = false;
+    if (metronome) {
+        metronome.resume();
+    }
+    if (videoMode) {
+        videoElement.play();
+    }
+    speakAnswer(window.i18n.t('voice.resumed'));
+}
+
+// Move on: the program's next exercise, or the next one on offer
+function nextExercise() {
+    if (programRunner) {
+        if (exerciseActive) {
+            stopExerciseTracking(false);
+        }
+        programRunner.skipExercise();
+        return;
+    }
+    
+    if (exerciseActive) {
+        speakAnswer(window.i18n.t('voice.busy'));
+        return;
+    }
+    const exercises = getAvailableExercises();
+    const index = exercises.indexOf(selectedExercise);
+    selectExerciseByVoice(exercises[(index + 1) % exercises.length]);
+}
+
+// Step the speech volume up or down and say where it is now
+function changeVolume(step) {
+    if (!audioFeedback) {
+        audioFeedback = new window.AudioFeedback();
+    }
+    audioFeedback.setVolume(audioFeedback.volume + step);
+    speakAnswer(window.i18n.t('voice.volume', { percent: Math.round(audioFeedback.volume * 100) }));
+}
+
+// Mute or unmute spoken feedback and beeps
+function toggleAudio() {
+    if (!audioFeedback) {
+        audioFeedback = new window.AudioFeedback();
+    }
+    
+    const isEnabled = audioFeedback.toggle();
+    
+    // Update icon
+    if (isEnabled) {
+        audioIcon.className = 'fas fa-volume-up text-gray-700';
+        audioToggle.title = 'Mute Audio';
+    } else {
+        audioIcon.className = 'fas fa-volume-mute text-gray-400';
+        audioToggle.title = 'Unmute Audio';
+    }
+}
+
+// Start camera and pose detection
+async function startCamera() {
+    try {
+        // Only one input at a time
+        if (replayPlayer) {
+            stopReplay();
+        }
+        if (videoMode) {
+            stopCamera();
+        }
+        
+        // Show loading indicator
+        loadingIndicator.classList.remove('hidden');
+        statusText.textContent = 'Initializing...';
+        
+        // Disable start button
+        startBtn.disabled = true;
+        
+        // Initialize pose if not already done
+        if (!pose) {
+            initializePose();
+        }
+        
+        // Set canvas size based on video container
+        const container = document.querySelector('.video-container');
+        const containerRect = container.getBoundingClientRect();
+        canvasElement.width = containerRect.width;
+        canvasElement.height = containerRect.height;
+        
+        // Open the chosen camera
+        camera = createCamera();
+        await camera.start();
+        
+        isRunning = true;
+        startSetup();
+        
+        // Device names are only available once access is granted
+        renderCameraOptions();
+        console.log('Camera started:', camera.getActualSettings());
+        
+        // Update UI
+        loadingIndicator.classList.add('hidden');
+        startBtn.classList.add('hidden');
+        stopBtn.classList.remove('hidden');
+        recordBtn.classList.remove('hidden');
+        sourceControls.classList.add('hidden');
+        
+        // Update status indicator
+        statusDot.classList.remove('inactive');
+        statusDot.classList.add('active');
+        statusText.textContent = 'Camera Active';
+        
+        // Enable exercise button if exercise is selected
+        if (selectedExercise) {
+            updateStartExerciseButton();
+            startExerciseBtn.classList.remove('hidden');
+            calibrateBtn.classList.toggle('hidden', !supportsCalibration(selectedExercise));
+        }
+        
+    } catch (error) {
+        console.error('Error starting camera:', error);
+        loadingIndicator.classList.add('hidden');
+        startBtn.disabled = false;
+        statusText.textContent = 'Camera Error';
+        alert(`Error: ${error.message || 'Failed to start camera'}`);
+    }
+}
+
+// Camera source for the chosen settings, feeding pose one frame at a time
+function createCamera() {
+    return new window.CameraSource(videoElement, cameraSettings, async () => {
+        if (pose && isRunning) {
+            await sendToPose();
+        }
+    });
+}
+
+// Hand the current video frame to pose - a frame it fails on (a graph
+// error, or a video not ready yet after a camera switch) is logged and
+// skipped so the frame loop keeps going
+async function sendToPose() {
+    try {
+        await pose.send({ image: videoElement });
+    } catch (error) {
+        console.error('Pose detection failed on a frame:', error);
+    }
+}
+
+// Reopen the running camera with changed settings - checking the setup
+// again, as the picture has changed
+async function restartCamera() {
+    if (!camera) return;
+    
+    camera.stop();
+    camera = createCamera();
+    try {
+        await camera.start();
+        console.log('Camera restarted:', camera.getActualSettings());
+    } catch (error) {
+        console.error('Error restarting camera:', error);
+        alert(`Error: ${error.message || 'Failed to start camera'}`);
+        stopCamera();
+        return;
+    }
+    
+    if (!exerciseActive && !romCalibration) {
+        startSetup();
+    }
+}
+
+// Fill the camera, resolution and frame rate choices
+async function renderCameraOptions() {
+    resolutionSelect.innerHTML = Object.entries(window.CAMERA_RESOLUTIONS)
+        .map(([id, resolution]) => `<option value="${id}">${resolution.label}</option>`)
+        .join('');
+    frameRateSelect.innerHTML = window.CAMERA_FRAME_RATES
+        .map(rate => `<option value="${rate}">${rate} fps</option>`)
+        .join('');
+    
+    // Devices only have ids once camera access has been granted. Labels
+    // come from the system, so they are set as text rather than markup
+    const devices = (await window.CameraSource.listDevices()).filter(device => device.deviceId);
+    const option = (value, label) => {
+        const element = document.createElement('option');
+        element.value = value;
+        element.textContent = label;
+        return element;
+    };
+    cameraSelect.replaceChildren(
+        option('', window.i18n.t('camera.front')),
+        ...devices.map(device => option(device.deviceId, device.label))
+    );
+    
+    // A remembered camera that is no longer plugged in falls back to the default
+    if (devices.length > 0 && !devices.some(device => device.deviceId === cameraSettings.deviceId)) {
+        cameraSettings.deviceId = '';
+    }
+    cameraSelect.value = cameraSettings.deviceId;
+    resolutionSelect.value = cameraSettings.resolution;
+    frameRateSelect.value = cameraSettings.frameRate;
+    mirrorToggle.checked = cameraSettings.mirror;
+}
+
+// Remember a camera setting and apply it to the running camera
+function changeCameraSetting(name, value) {
+    cameraSettings[name] = value;
+    window.CameraSource.saveSettings(cameraSettings);
+    
+    if (name === 'mirror') {
+        // Side-by-side labels follow the view
+        updateCalibrationDisplay();
+    } else if (camera) {
+        restartCamera();
+    }
+}
+
+// Stop camera (or uploaded video) and pose detection
+function stopCamera() {
+    if (camera) {
+        camera.stop();
+        camera = null;
+    }
+    if (videoMode) {
+        closeVideo();
+    }
+    
+    isRunning = false;
+    cameraSetup = null;
+    setupPanel.classList.add('hidden');
+    
+    // Save any landmark recording in progress
+    if (landmarkRecorder) {
+        toggleRecording();
+    }
+    
+    // Stop a running program
+    if (programRunner) {
+        endProgram();
+    }
+    
+    // Stop exercise or calibration if active
     if (exerciseActive) {
         stopExerciseTracking();
+    }
+    if (romCalibration) {
+        endCalibration();
+    }
+    
+    // Clear canvas
+    canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
+    
+    // Update UI
+    startBtn.classList.remove('hidden');
+    startBtn.disabled = false;
+    stopBtn.classList.add('hidden');
+    recordBtn.classList.add('hidden');
+    sourceControls.classList.remove('hidden');
+    startExerciseBtn.classList.add('hidden');
+    calibrateBtn.classList.add('hidden');
+    
+    // Update status indicator
+    statusDot.classList.remove('active');
+    statusDot.classList.add('inactive');
+    statusText.textContent = 'Camera Off';
+    
+    // Reset info displays
+    landmarkCount.textContent = '--';
+    visibilityScore.textContent = '--';
+    fpsCounter.textContent = '--';
+}
+
+// Load a local video file as the input instead of the camera
+async function startVideo(file) {
+    if (replayPlayer) {
+        stopReplay();
+    }
+    if (isRunning) {
+        stopCamera();
+    }
+    
+    try {
+        loadingIndicator.classList.remove('hidden');
+        statusText.textContent = 'Loading video...';
+        
+        if (!pose) {
+            initializePose();
+        }
+        
+        const container = document.querySelector('.video-container');
+        const containerRect = container.getBoundingClientRect();
+        canvasElement.width = containerRect.width;
+        canvasElement.height = containerRect.height;
+        
+        // Load the file into the (hidden) input video element
+        videoElement.srcObject = null;
+        videoElement.src = URL.createObjectURL(file);
+        videoElement.muted = true;
+        videoElement.playsInline = true;
+        await new Promise((resolve, reject) => {
+            videoElement.onloadeddata = resolve;
+            videoElement.onerror = () => reject(new Error('This video format is not supported'));
+        });
+        
+        videoMode = true;
+        isRunning = true;
+        videoClockBase = Date.now();
+        videoFrameTime = -1;
+        
+        // Update UI
+        loadingIndicator.classList.add('hidden');
+        sourceControls.classList.add('hidden');
+        recordBtn.classList.remove('hidden');
+        videoControls.classList.remove('hidden');
+        videoScrubber.max = videoElement.duration;
+        videoScrubber.value = 0;
+        updateVideoControls();
+        
+        statusDot.classList.remove('inactive');
+        statusDot.classList.add('active');
+        statusText.textContent = `Video: ${file.name}`;
+        
+        if (selectedExercise) {
+            updateStartExerciseButton();
+            startExerciseBtn.classList.remove('hidden');
+            calibrateBtn.classList.toggle('hidden', !supportsCalibration(selectedExercise));
+        }
+        
+        // Process frames as they are presented
+        processVideoFrame();
+        
+        console.log('Video loaded:', file.name);
+    } catch (error) {
+        console.error('Error loading video:', error);
+        loadingIndicator.classList.add('hidden');
+        statusText.textContent = 'Video Error';
+        videoElement.removeAttribute('src');
+        alert(`Error: ${error.message || 'Failed to load video'}`);
+    }
+}
+
+// Send the current video frame to pose, then wait for the next one
+async function processVideoFrame() {
+    if (!videoMode) return;
+    
+    // Skip frames already analyzed (e.g. while paused)
+    if (videoElement.currentTime !== videoFrameTime) {
+        videoFrameTime = videoElement.currentTime;
+        await sendToPose();
+        updateVideoControls();
+    }
+    
+    if (!videoMode) return;
+    if (videoElement.requestVideoFrameCallback) {
+        videoElement.requestVideoFrameCallback(processVideoFrame);
+    } else {
+        requestAnimationFrame(processVideoFrame);
+    }
+}
+
+// Sync the play button, scrubber and time display with the video
+function updateVideoControls() {
+    const formatTime = (seconds) => {
+        const s = Math.floor(seconds || 0);
+        return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+    };
+    
+    videoPlayIcon.className = `fas ${videoElement.paused ? 'fa-play' : 'fa-pause'} text-gray-700`;
+    if (document.activeElement !== videoScrubber) {
+        videoScrubber.value = videoElement.currentTime;
+    }
+    videoTime.textContent = `${formatTime(videoElement.currentTime)} / ${formatTime(videoElement.duration)}`;
+}
+
+// Restart the analysis after scrubbing so reps and timings stay consistent
+function restartVideoAnalysis() {
+    if (!exerciseActive) return;
+    
+    exerciseAnalyzer.reset();
+    sessionRecorder = createSessionRecorder(videoClockBase + videoElement.currentTime * 1000);
+    repCount = 0;
+    repCountElement.textContent = '0';
+    if (audioFeedback) {
+        audioFeedback.reset();
+    }
+}
+
+// Release the uploaded video
+function closeVideo() {
+    videoMode = false;
+    videoElement.pause();
+    
+    if (videoElement.src) {
+        URL.revokeObjectURL(videoElement.src);
+    }
+    videoElement.removeAttribute('src');
+    videoElement.load();
+    
+    videoControls.classList.add('hidden');
+}
+
+// Event Listeners
+startBtn.addEventListener('click', startCamera);
+stopBtn.addEventListener('click', stopCamera);
+startExerciseBtn.addEventListener('click', () => {
+    if (programRunner && programRunner.isResting) {
+        programRunner.endRest();
+    } else if (exerciseActive) {
+        if (programRunner) {
+            endProgram();
+        } else {
+            stopExerciseTracking();
+        }
+    } else if (programSelect.value) {
+        startProgram();
     } else {
         startExerciseTracking();
     }
 });
 
+programSelect.addEventListener('change', selectProgram);
+
+endProgramBtn.addEventListener('click', endProgram);
+
+importPlanBtn.addEventListener('click', () => planFileInput.click());
+
+planFileInput.addEventListener('change', () => {
+    const file = planFileInput.files[0];
+    planFileInput.value = '';
+    if (file) {
+        importPrescription(file);
+    }
+});
+
+copyPlanLinkBtn.addEventListener('click', copyPrescriptionLink);
+clearPlanBtn.addEventListener('click', clearPrescription);
+
+// Prescription links opened while the app is already running
+window.addEventListener('hashchange', importPrescriptionFromUrl);
+
+calibrateBtn.addEventListener('click', () => {
+    if (romCalibration) {
+        endCalibration();
+    } else {
+        startCalibration();
+    }
+});
+
+recordBtn.addEventListener('click', toggleRecording);
+
+cameraSelect.addEventListener('change', () => changeCameraSetting('deviceId', cameraSelect.value));
+resolutionSelect.addEventListener('change', () => changeCameraSetting('resolution', resolutionSelect.value));
+frameRateSelect.addEventListener('change', () => changeCameraSetting('frameRate', parseInt(frameRateSelect.value, 10)));
+mirrorToggle.addEventListener('change', () => changeCameraSetting('mirror', mirrorToggle.checked));
+
+// Cameras plugged in or out
+if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+    navigator.mediaDevices.addEventListener('devicechange', renderCameraOptions);
+}
+
+videoBtn.addEventListener('click', () => videoFileInput.click());
+
+videoFileInput.addEventListener('change', () => {
+    const file = videoFileInput.files[0];
+    videoFileInput.value = ''; // Allow the same file to be chosen again
+    if (file) {
+        startVideo(file);
+    }
+});
+
+videoPlayBtn.addEventListener('click', () => {
+    if (videoElement.paused) {
+        videoElement.play();
+    } else {
+        videoElement.pause();
+    }
+});
+
+videoScrubber.addEventListener('input', () => {
+    videoElement.currentTime = parseFloat(videoScrubber.value);
+});
+
+videoElement.addEventListener('seeked', () => {
+    if (videoMode) {
+        restartVideoAnalysis();
+        updateVideoControls();
+    }
+});
+
+videoElement.addEventListener('play', updateVideoControls);
+videoElement.addEventListener('pause', updateVideoControls);
+
+// The session ends with the video
+videoElement.addEventListener('ended', () => {
+    if (videoMode && programRunner) {
+        endProgram();
+    } else if (videoMode && exerciseActive) {
+        stopExerciseTracking();
+    }
+});
+
+closeVideoBtn.addEventListener('click', stopCamera);
+
+replayBtn.addEventListener('click', () => {
+    if (replayPlayer) {
+        stopReplay();
+    } else {
+        replayFileInput.click();
+    }
+});
+
+replayFileInput.addEventListener('change', () => {
+    const file = replayFileInput.files[0];
+    replayFileInput.value = ''; // Allow the same file to be chosen again
+    if (file) {
+        startReplay(file);
+    }
+});
+
+clearRomBtn.addEventListener('click', () => {
+    if (selectedExercise) {
+        window.RomCalibration.clear(selectedExercise.id);
+        updateCalibrationDisplay();
+    }
+});
+
+historyBtn.addEventListener('click', () => {
+    if (!historyView) {
+        alert('Session history is not supported in this browser');
+        return;
+    }
+    historyView.open(selectedExercise ? selectedExercise.id : 'all');
+});
+
+summaryHistoryBtn.addEventListener('click', () => {
+    summaryView.close();
+    historyBtn.click();
+});
+
 categoryFilter.addEventListener('change', (e) => {
     renderExerciseCards(e.target.value);
 });
 
-// Audio toggle button
-audioToggle.addEventListener('click', () => {
+// Language for spoken prompts, feedback and voice commands
+languageSelect.addEventListener('change', (e) => {
+    window.i18n.setLanguage(e.target.value);
+});
+
+verbositySelect.addEventListener('change', (e) => {
     if (!audioFeedback) {
         audioFeedback = new window.AudioFeedback();
     }
+    audioFeedback.setVerbosity(e.target.value);
+});
+
+window.i18n.onChange(() => {
+    applyLanguage();
+    renderCameraOptions();
+    updateProgramPanel();
+    updateVoiceStateText();
+    if (cameraSetup) {
+        updateStartExerciseButton();
+    }
     
-    const isEnabled = audioFeedback.toggle();
+    // Cards, selection, start button and overlay
+    renderExerciseCards(categoryFilter.value);
+    if (selectedExercise) {
+        selectedExerciseText.textContent = window.i18n.t('panel.selected', { name: getSpokenName(selectedExercise) });
+    }
+    setStartButtonLabel(startExerciseBtn.dataset.label || 'start');
+    if (exerciseActive) {
+        updateExerciseOverlayText();
+    }
     
-    // Update icon
-    if (isEnabled) {
-        audioIcon.className = 'fas fa-volume-up text-gray-700';
-        audioToggle.title = 'Mute Audio';
-    } else {
-        audioIcon.className = 'fas fa-volume-mute text-gray-400';
-        audioToggle.title = 'Unmute Audio';
+    // Switch the running exercise's prompts over to the new language
+    if (exerciseActive && exerciseAnalyzer && audioFeedback) {
+        audioFeedback.setSpokenPrompts(exerciseAnalyzer.getSpokenPrompts());
     }
 });
 
+// Audio toggle button
+audioToggle.addEventListener('click', toggleAudio);
+
+// Application actions behind the voice commands - questions are answered aloud
+const voiceActions = {
+    startCamera() {
+        if (!isRunning) {
+            startCamera();
+        }
+    },
+    stopCamera() {
+        if (isRunning) {
+            stopCamera();
+        }
+    },
+    startExercise() {
+        if (programRunner && programRunner.isResting) {
+            programRunner.endRest();
+        } else if (cameraSetup) {
+            speakAnswer(window.i18n.t('setup.notReady'));
+        } else if (!exerciseActive && isRunning && selectedExercise && !romCalibration) {
+            if (programSelect.value) {
+                startProgram();
+            } else {
+                startExerciseTracking();
+            }
+        }
+    },
+    stopExercise() {
+        if (!exerciseActive) return;
+        if (programRunner) {
+            endProgram();
+        } else {
+            stopExerciseTracking();
+        }
+    },
+    selectExercise({ exercise = '' }) {
+        if (exerciseActive || programRunner) {
+            speakAnswer(window.i18n.t('voice.busy'));
+            return;
+        }
+        const match = findExerciseByName(exercise);
+        if (match) {
+            selectExerciseByVoice(match);
+        } else {
+            speakAnswer(window.i18n.t('voice.unknownExercise', { name: exercise }));
+        }
+    },
+    pause: pauseExercise,
+    resume: resumeExercise,
+    repeatInstructions() {
+        if (!selectedExercise || !selectedExercise.analysis) return;
+        const spoken = selectedExercise.analysis.spoken || {};
+        speakAnswer(['start', 'begin']
+            .filter(key => spoken[key])
+            .map(key => window.i18n.exerciseText(selectedExercise.id, `spoken.${key}`, spoken[key]))
+            .join(' '));
+    },
+    repCount() {
+        if (!exerciseActive) {
+            speakAnswer(window.i18n.t('voice.noExercise'));
+        } else if (targetReps) {
+            speakAnswer(window.i18n.t('voice.repsOfTarget', { count: repCount, target: targetReps }));
+        } else {
+            speakAnswer(window.i18n.t('voice.reps', { count: repCount }));
+        }
+    },
+    formScore() {
+        if (!exerciseActive) {
+            speakAnswer(window.i18n.t('voice.noExercise'));
+            return;
+        }
+        speakAnswer(window.i18n.t('voice.score', { score: Math.round(exerciseAnalyzer.formScore) }));
+    },
+    volumeUp: () => changeVolume(0.2),
+    volumeDown: () => changeVolume(-0.2),
+    mute() {
+        if (!audioFeedback || audioFeedback.enabled) {
+            toggleAudio();
+        }
+    },
+    unmute() {
+        if (audioFeedback && !audioFeedback.enabled) {
+            toggleAudio();
+        }
+    },
+    nextExercise: nextExercise,
+    setReps({ number }) {
+        if (exerciseActive || programRunner) {
+            speakAnswer(window.i18n.t('voice.busy'));
+            return;
+        }
+        repTargetInput.value = number;
+        speakAnswer(window.i18n.t('voice.repTarget', { count: number }));
+    }
+};
+
 // Voice toggle button
 voiceToggle.addEventListener('click', () => {
     if (!voiceCommands) {
@@ -555,22 +2271,59 @@ voiceToggle.addEventListener('click', () => {
         return;
     }
     
-    const wasListening = voiceCommands.getListeningState();
+    // The header follows through renderVoiceState
     voiceCommands.toggleListening();
+});
+
+// Header indicator per listening state - dot style, label, and whether
+// voice control counts as on
+// Texts are `voice.states.<state>` in the locale files
+const VOICE_STATES = {
+    off: { dot: 'bg-gray-400', on: false },
+    starting: { dot: 'bg-yellow-400 animate-pulse', on: true },
+    listening: { dot: 'bg-green-500 animate-pulse', on: true },
+    restarting: { dot: 'bg-yellow-400', on: true },
+    error: { dot: 'bg-red-500', on: false },
+    denied: { dot: 'bg-red-500', on: false }
+};
+
+// Last listening state, to redraw it in another language
+let voiceStatus = { state: 'off', detail: {} };
+
+// Show the voice command listening state
+function renderVoiceState(state, detail = {}) {
+    voiceStatus = { state: state, detail: detail };
+    const view = VOICE_STATES[state] || VOICE_STATES.off;
+    voiceStatusDot.className = `w-2 h-2 ${view.dot} rounded-full`;
+    voiceIcon.className = view.on ? 'fas fa-microphone text-green-600' : 'fas fa-microphone-slash text-gray-400';
+    voiceHelp.classList.toggle('hidden', !view.on);
+    updateVoiceStateText();
     
-    // Update icon - the voice command system will update status via callback
-    setTimeout(() => {
-        const isListening = voiceCommands.getListeningState();
-        if (isListening) {
-            voiceIcon.className = 'fas fa-microphone text-green-600';
-            voiceToggle.title = 'Turn Off Voice Commands';
-            voiceHelp.classList.remove('hidden');
-        } else {
-            voiceIcon.className = 'fas fa-microphone-slash text-gray-400';
-            voiceToggle.title = 'Turn On Voice Commands';
-            voiceHelp.classList.add('hidden');
-        }
-    }, 100);
+    if (state === 'denied') {
+        alert(window.i18n.t('voice.deniedAlert'));
+    }
+}
+
+// Status text and toggle tooltip for the current listening state
+function updateVoiceStateText() {
+    const { state, detail } = voiceStatus;
+    const view = VOICE_STATES[state] || VOICE_STATES.off;
+    voiceStatusText.textContent = window.i18n.t(`voice.states.${VOICE_STATES[state] ? state : 'off'}`);
+    
+    if (state === 'denied') {
+        voiceToggle.title = window.i18n.t('voice.blocked');
+    } else if (state === 'error') {
+        voiceToggle.title = window.i18n.t('voice.stopped', { error: detail.error || 'unknown' });
+    } else {
+        voiceToggle.title = window.i18n.t(view.on ? 'voice.turnOff' : 'voice.turnOn');
+    }
+}
+
+// Wake phrase toggle - commands only count after "hey coach"
+wakeWordToggle.addEventListener('change', () => {
+    if (voiceCommands) {
+        voiceCommands.setWakeWordEnabled(wakeWordToggle.checked);
+    }
 });
 
 // Handle page unload
@@ -589,8 +2342,18 @@ document.addEventListener('DOMContentLoaded', () => {
         alert('Error: Your browser does not support camera access');
     }
     
-    // Load exercise cards
-    renderExerciseCards();
+    renderLanguageOptions();
+    applyLanguage();
+    renderCameraOptions();
+    updateVoiceStateText();
+    setStartButtonLabel('start');
+    verbositySelect.value = window.AudioFeedback.savedVerbosity();
+    
+    // Load exercise cards and programs, around a shared or saved prescription
+    if (!importPrescriptionFromUrl()) {
+        prescription = window.Prescription.load();
+        renderPrescription();
+    }
     
     // Set initial canvas size
     const resizeCanvas = () => {
@@ -605,10 +2368,31 @@ document.addEventListener('DOMContentLoaded', () => {
     resizeCanvas();
     window.addEventListener('resize', resizeCanvas);
     
+    summaryView = new window.SessionSummaryView();
+    
+    // Initialize session history storage
+    if (window.SessionStore) {
+        sessionStore = new window.SessionStore();
+        if (sessionStore.isSupported) {
+            historyView = new window.HistoryView(sessionStore, (session) => summaryView.show(session));
+        } else {
+            sessionStore = null;
+        }
+    }
+    
     // Initialize voice commands
     if (window.VoiceCommands) {
-        voiceCommands = new window.VoiceCommands();
-        voiceCommands.setStatusElements(voiceStatusDot, voiceStatusText);
+        voiceCommands = new window.VoiceCommands(voiceActions, {
+            onPrompt: speakAnswer,
+            onWake: () => {
+                if (audioFeedback) {
+                    audioFeedback.playBeep(880, 120);
+                }
+            },
+            getRecentSpeech: () => audioFeedback ? audioFeedback.getRecentSpeech() : null
+        });
+        voiceCommands.onStateChange(renderVoiceState);
+        wakeWordToggle.checked = voiceCommands.wakeWordEnabled;
         
         if (!voiceCommands.isVoiceSupported()) {
             voiceToggle.disabled = true;
@@ -0,0 +1,208 @@
+/**
+ * Tempo Metronome
+ * Paces a timed exercise with one beat per second through Web Audio
+ * ("up-2-3, hold-2-3, down-2-3, rest"), exposes where in the cycle the beat
+ * is for the on-screen arc and scores how closely the patient's phase
+ * changes land on it
+ */
+
+// Beats are scheduled this far ahead of the audio clock (s), topped up every SCHEDULE_INTERVAL ms
+const SCHEDULE_AHEAD = 0.1;
+const SCHEDULE_INTERVAL = 25;
+
+// Count-in before the first movement (s)
+const LEAD_IN = 3;
+
+// A phase change within this of its beat counts as on the beat (ms)
+const ON_BEAT_WINDOW = 500;
+
+// Beat pitch per phase role - the first beat of a phase is accented
+const BEAT_FREQUENCIES = { out: 660, target: 880, back: 520, rest: 440 };
+
+class Metronome {
+    constructor(audioFeedback, tempo, phases = {}) {
+        // Beeps go through AudioFeedback's context and follow its mute setting
+        this.audioFeedback = audioFeedback;
+        this.audioContext = audioFeedback ? audioFeedback.audioContext : null;
+        
+        // The exercise's phase names per role ({ rest, out, target, back })
+        this.phases = phases;
+        this.lastPhase = null;
+        
+        // One cycle of the movement, zero-length phases left out
+        this.segments = [
+            { role: 'out', seconds: tempo.raise },
+            { role: 'target', seconds: tempo.hold },
+            { role: 'back', seconds: tempo.lower },
+            { role: 'rest', seconds: tempo.rest !== undefined ? tempo.rest : 1 }
+        ].filter(segment => segment.seconds > 0);
+        
+        let offset = 0;
+        this.segments.forEach(segment => {
+            segment.offset = offset;
+            offset += segment.seconds;
+        });
+        this.cycleLength = offset;
+        
+        this.startTime = 0;
+        this.nextBeat = 0;
+        this.timer = null;
+        this.transitions = [];
+    }
+    
+    /**
+     * Current time on the beat clock (s)
+     */
+    now() {
+        return this.audioContext ? this.audioContext.currentTime : performance.now() / 1000;
+    }
+    
+    /**
+     * Count in and start beating
+     */
+    start() {
+        if (this.timer) return;
+        
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+        
+        this.startTime = this.now() + LEAD_IN;
+        this.nextBeat = this.startTime - LEAD_IN;
+        this.transitions = [];
+        this.lastPhase = null;
+        this.schedule();
+        this.timer = setInterval(() => this.schedule(), SCHEDULE_INTERVAL);
+    }
+    
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+    
+    /**
+     * Start again after stop() with a fresh lead-in, keeping the
+     * transitions scored so far
+     */
+    resume() {
+        const transitions = this.transitions;
+        this.start();
+        this.transitions = transitions;
+    }
+    
+    /**
+     * Queue the beats that fall inside the look-ahead window
+     */
+    schedule() {
+        while (this.nextBeat < this.now() + SCHEDULE_AHEAD) {
+            const state = this.getState(this.nextBeat);
+            const accent = state.beat === 1;
+            const frequency = state.role === 'lead-in' ? BEAT_FREQUENCIES.rest : BEAT_FREQUENCIES[state.role];
+            this.playBeat(this.nextBeat, accent ? frequency * 1.5 : frequency, accent ? 0.35 : 0.2);
+            this.nextBeat += 1;
+        }
+    }
+    
+    /**
+     * Short tone at an exact time on the audio clock
+     */
+    playBeat(time, frequency, volume) {
+        if (!this.audioContext || (this.audioFeedback && !this.audioFeedback.enabled)) return;
+        
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        oscillator.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+        
+        oscillator.frequency.value = frequency;
+        oscillator.type = 'sine';
+        gainNode.gain.setValueAtTime(volume, time);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, time + 0.08);
+        
+        oscillator.start(time);
+        oscillator.stop(time + 0.08);
+    }
+    
+    /**
+     * Where the beat is at a time (default now): { role, phase (the
+     * exercise's name for it), beat (1-based within the phase), beats,
+     * progress (0-1 within the phase) }
+     */
+    getState(time = this.now()) {
+        const elapsed = time - this.startTime;
+        if (elapsed < 0) {
+            return {
+                role: 'lead-in',
+                phase: 'ready',
+                beat: LEAD_IN - Math.ceil(-elapsed - 1e-6) + 1,
+                beats: LEAD_IN,
+                progress: 1 + elapsed / LEAD_IN
+            };
+        }
+        
+        // (nudged so a beat exactly on a phase boundary starts the new phase)
+        const position = (elapsed + 1e-6) % this.cycleLength;
+        const segment = this.segments.find(s => position < s.offset + s.seconds) || this.segments[this.segments.length - 1];
+        const inSegment = position - segment.offset;
+        return {
+            role: segment.role,
+            phase: this.phases[segment.role] || segment.role,
+            beat: Math.floor(inSegment) + 1,
+            beats: segment.seconds,
+            progress: inSegment / segment.seconds
+        };
+    }
+    
+    /**
+     * Follow the patient's detected phase, scoring each change
+     */
+    recordPhase(phase, time = this.now()) {
+        if (phase === this.lastPhase) return;
+        
+        this.lastPhase = phase;
+        const role = Object.keys(this.phases).find(key => this.phases[key] === phase);
+        if (role) {
+            this.recordTransition(role, time);
+        }
+    }
+    
+    /**
+     * Score a detected phase change against the beat
+     *
+     * Only reaching the target and leaving it are scored - those are the
+     * phase boundaries the analyzer detects where the movement really turns.
+     * Leaving and returning to rest are detected part-way through the movement
+     */
+    recordTransition(role, time = this.now()) {
+        if (role !== 'target' && role !== 'back') return;
+        if (time < this.startTime) return;
+        
+        const segment = this.segments.find(s => s.role === role);
+        if (!segment) return;
+        
+        // Distance to the nearest start of that phase
+        const cycles = Math.round((time - this.startTime - segment.offset) / this.cycleLength);
+        const expected = this.startTime + segment.offset + cycles * this.cycleLength;
+        this.transitions.push({ role, offset: Math.round((time - expected) * 1000) });
+    }
+    
+    /**
+     * Tempo adherence for the session report
+     * { transitions, onBeat, adherence (%), averageOffset (ms, + = late) }
+     */
+    getAdherence() {
+        const count = this.transitions.length;
+        if (count === 0) return null;
+        
+        const onBeat = this.transitions.filter(t => Math.abs(t.offset) <= ON_BEAT_WINDOW).length;
+        return {
+            transitions: count,
+            onBeat: onBeat,
+            adherence: Math.round(onBeat / count * 100),
+            averageOffset: Math.round(this.transitions.reduce((sum, t) => sum + t.offset, 0) / count)
+        };
+    }
+}
+
+// Export for use in main.js
+window.Metronome = Metronome;
@@ -0,0 +1,67 @@
+/**
+ * One Euro Filter
+ * Time-based low-pass filter for noisy pose signals (Casiez et al., 2012):
+ * smooths hard while a value is still and follows quickly once it moves.
+ * Works from timestamps rather than frame counts, so it behaves the same
+ * at 15 and 60 FPS, and tracks the value's speed on the way:
+ *
+ *   const filter = new OneEuroFilter({ smoothingMs: 150, beta: 0.05 });
+ *   filter.filter(42, timestamp); // -> smoothed value
+ *   filter.speed;                 // -> smoothed change per second
+ */
+
+class OneEuroFilter {
+    /**
+     * smoothingMs: time constant at rest - the lag a still value is
+     * smoothed over. beta: how much faster the filter gets per unit/s of
+     * speed. speedSmoothingMs: time constant of the speed estimate
+     */
+    constructor({ smoothingMs = 150, beta = 0.05, speedSmoothingMs = 150 } = {}) {
+        this.minCutoff = 1000 / (2 * Math.PI * smoothingMs);
+        this.beta = beta;
+        this.speedCutoff = 1000 / (2 * Math.PI * speedSmoothingMs);
+        this.reset();
+    }
+    
+    /**
+     * Add a sample taken at `timestamp` (ms) - returns the smoothed value
+     */
+    filter(value, timestamp) {
+        if (this.value === null) {
+            this.value = value;
+            this.speed = 0;
+            this.lastTime = timestamp;
+            return value;
+        }
+        
+        // Repeated or out-of-order timestamps carry no timing - keep the estimate
+        const seconds = (timestamp - this.lastTime) / 1000;
+        if (seconds <= 0) return this.value;
+        this.lastTime = timestamp;
+        
+        const rawSpeed = (value - this.value) / seconds;
+        this.speed += smoothingFactor(this.speedCutoff, seconds) * (rawSpeed - this.speed);
+        
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.speed);
+        this.value += smoothingFactor(cutoff, seconds) * (value - this.value);
+        return this.value;
+    }
+    
+    reset() {
+        this.value = null;
+        this.speed = 0;
+        this.lastTime = 0;
+    }
+}
+
+/**
+ * Exponential smoothing weight of a new sample for a cutoff frequency (Hz)
+ * and the seconds since the previous sample
+ */
+function smoothingFactor(cutoff, seconds) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / seconds);
+}
+
+// Export for use in the analyzers
+window.OneEuroFilter = OneEuroFilter;
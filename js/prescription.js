@@ -0,0 +1,223 @@
+/**
+ * Therapist Prescriptions
+ * A per-patient plan of exercises with sets, reps, target angles, holds,
+ * tempo and notes. Plans are shared as a JSON file or a `#plan=` URL fragment, checked
+ * against PRESCRIPTION_SCHEMA, remembered locally and run as a program
+ */
+
+const PRESCRIPTION_FORMAT = 'physiotherapy-ai-prescription';
+const PRESCRIPTION_VERSION = 1;
+const PRESCRIPTION_STORAGE_KEY = 'physioai.prescription';
+const PRESCRIPTION_URL_PARAM = 'plan';
+
+/**
+ * Accepted fields - anything not listed here is rejected
+ */
+const PRESCRIPTION_SCHEMA = {
+    plan: {
+        format: { type: 'string', required: true, enum: [PRESCRIPTION_FORMAT] },
+        version: { type: 'integer', required: true, min: 1, max: PRESCRIPTION_VERSION },
+        patientName: { type: 'string', maxLength: 100 },
+        therapist: { type: 'string', maxLength: 100 },
+        notes: { type: 'string', maxLength: 1000 },
+        createdAt: { type: 'string', maxLength: 40 },
+        exercises: { type: 'array', required: true, minItems: 1, maxItems: 20 }
+    },
+    exercise: {
+        exerciseId: { type: 'string', required: true },
+        sets: { type: 'integer', min: 1, max: 10, default: 1 },
+        reps: { type: 'integer', required: true, min: 1, max: 100 },
+        restSeconds: { type: 'integer', min: 0, max: 600, default: 60 },
+        side: { type: 'string', enum: ['both', 'left', 'right', 'alternating'] },
+        targetAngle: { type: 'number', min: 10, max: 180 },
+        holdSeconds: { type: 'number', min: 0, max: 60 },
+        tempo: { type: 'string', pattern: /^\d+(\.\d+)?-\d+(\.\d+)?-\d+(\.\d+)?$/, example: '3-2-3' },
+        notes: { type: 'string', maxLength: 500 }
+    }
+};
+
+class Prescription {
+    /**
+     * Check a parsed plan against the schema and the known exercises
+     *
+     * Returns a normalized copy (defaults filled in) or throws an Error
+     * listing every problem found
+     */
+    static validate(plan) {
+        if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+            throw new Error('Prescription must be a JSON object');
+        }
+        
+        const problems = [];
+        const normalized = checkFields(plan, PRESCRIPTION_SCHEMA.plan, '', problems);
+        
+        if (Array.isArray(plan.exercises)) {
+            normalized.exercises = plan.exercises.map((entry, index) => {
+                const path = `exercises[${index}].`;
+                if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                    problems.push(`${path.slice(0, -1)} must be an object`);
+                    return null;
+                }
+                
+                const item = checkFields(entry, PRESCRIPTION_SCHEMA.exercise, path, problems);
+                const exercise = window.EXERCISES.find(ex => ex.id === entry.exerciseId);
+                if (typeof entry.exerciseId === 'string' && !exercise) {
+                    problems.push(`${path}exerciseId "${entry.exerciseId}" is not a known exercise`);
+                }
+                if (exercise && item.side && item.side !== 'both' && !(exercise.analysis && exercise.analysis.sides)) {
+                    problems.push(`${path}side "${item.side}" is not available for ${exercise.name}`);
+                }
+                return item;
+            });
+        }
+        
+        if (problems.length) {
+            throw new Error(`Invalid prescription:\n- ${problems.join('\n- ')}`);
+        }
+        return normalized;
+    }
+    
+    /**
+     * Parse and validate a plan file's text
+     */
+    static parse(text) {
+        let plan;
+        try {
+            plan = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Prescription is not valid JSON');
+        }
+        return Prescription.validate(plan);
+    }
+    
+    /**
+     * Plan encoded in a URL hash such as "#plan=eyJmb3Jt..." (null if none)
+     */
+    static fromHash(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const encoded = params.get(PRESCRIPTION_URL_PARAM);
+        if (!encoded) return null;
+        
+        let text;
+        try {
+            const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+            text = new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+        } catch (e) {
+            throw new Error('Prescription link is damaged or incomplete');
+        }
+        return Prescription.parse(text);
+    }
+    
+    /**
+     * Shareable link to this app with the plan in the URL fragment
+     */
+    static toUrl(plan, baseUrl = window.location.href) {
+        const bytes = new TextEncoder().encode(JSON.stringify(plan));
+        const encoded = btoa(String.fromCharCode(...bytes))
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return `${baseUrl.split('#')[0]}#${PRESCRIPTION_URL_PARAM}=${encoded}`;
+    }
+    
+    /**
+     * The plan as a workout program for ProgramRunner
+     */
+    static toProgram(plan) {
+        return {
+            id: 'prescription',
+            name: plan.patientName ? `${plan.patientName}'s Prescription` : 'Prescribed Plan',
+            description: plan.notes || (plan.therapist ? `Prescribed by ${plan.therapist}` : ''),
+            steps: plan.exercises.map(entry => ({ ...entry }))
+        };
+    }
+    
+    /**
+     * Prescribed settings for one exercise (the first entry if listed twice)
+     */
+    static getEntry(plan, exerciseId) {
+        return plan ? plan.exercises.find(entry => entry.exerciseId === exerciseId) || null : null;
+    }
+    
+    /**
+     * Load the remembered plan (revalidated, since exercises may have changed)
+     */
+    static load() {
+        try {
+            const saved = localStorage.getItem(PRESCRIPTION_STORAGE_KEY);
+            return saved ? Prescription.parse(saved) : null;
+        } catch (e) {
+            console.warn('Could not load saved prescription:', e);
+            return null;
+        }
+    }
+    
+    static save(plan) {
+        try {
+            localStorage.setItem(PRESCRIPTION_STORAGE_KEY, JSON.stringify(plan));
+        } catch (e) {
+            console.warn('Could not save prescription:', e);
+        }
+    }
+    
+    static clear() {
+        localStorage.removeItem(PRESCRIPTION_STORAGE_KEY);
+    }
+}
+
+/**
+ * Check an object's fields against a schema section, collecting problems
+ * Returns the known fields with defaults applied
+ */
+function checkFields(object, schema, path, problems) {
+    const result = {};
+    
+    Object.keys(object).forEach(key => {
+        if (!(key in schema)) {
+            problems.push(`${path}${key} is not a recognised field`);
+        }
+    });
+    
+    Object.entries(schema).forEach(([key, rule]) => {
+        const value = object[key];
+        const name = path + key;
+        
+        if (value === undefined || value === null) {
+            if (rule.required) {
+                problems.push(`${name} is required`);
+            } else if (rule.default !== undefined) {
+                result[key] = rule.default;
+            }
+            return;
+        }
+        
+        const typeOk = rule.type === 'integer' ? Number.isInteger(value)
+            : rule.type === 'number' ? typeof value === 'number' && isFinite(value)
+            : rule.type === 'array' ? Array.isArray(value)
+            : typeof value === rule.type;
+        if (!typeOk) {
+            problems.push(`${name} must be ${rule.type === 'integer' ? 'an' : 'a'} ${rule.type}`);
+            return;
+        }
+        
+        if (rule.enum && !rule.enum.includes(value)) {
+            problems.push(`${name} must be one of: ${rule.enum.join(', ')}`);
+        } else if (rule.min !== undefined && value < rule.min) {
+            problems.push(`${name} must be at least ${rule.min}`);
+        } else if (rule.max !== undefined && value > rule.max) {
+            problems.push(`${name} must be at most ${rule.max}`);
+        } else if (rule.pattern && !rule.pattern.test(value)) {
+            problems.push(`${name} must look like "${rule.example}"`);
+        } else if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            problems.push(`${name} must be at most ${rule.maxLength} characters`);
+        } else if (rule.minItems !== undefined && value.length < rule.minItems) {
+            problems.push(`${name} must list at least ${rule.minItems} item(s)`);
+        } else if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+            problems.push(`${name} must list at most ${rule.maxItems} items`);
+        }
+        result[key] = value;
+    });
+    
+    return result;
+}
+
+// Export for use in main.js
+window.Prescription = Prescription;
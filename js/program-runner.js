@@ -0,0 +1,155 @@
+/**
+ * Program Runner
+ * Walks a patient through a workout program: counts sets, runs rest
+ * countdowns between them and advances to the next exercise
+ */
+
+class ProgramRunner {
+    constructor(program, callbacks = {}) {
+        this.program = program;
+        
+        // Event callbacks - onRestStart(seconds, next), onRestTick(secondsLeft, next),
+        // onRestEnd(next) and onComplete()
+        this.onRestStart = callbacks.onRestStart || null;
+        this.onRestTick = callbacks.onRestTick || null;
+        this.onRestEnd = callbacks.onRestEnd || null;
+        this.onComplete = callbacks.onComplete || null;
+        
+        this.stepIndex = 0;
+        this.setNumber = 1;
+        this.isResting = false;
+        this.isComplete = false;
+        this.restTimer = null;
+        this.restRemaining = 0;
+    }
+    
+    /**
+     * The set to perform now (or next, while resting)
+     */
+    getCurrent() {
+        const step = this.program.steps[this.stepIndex];
+        return {
+            step: step,
+            stepIndex: this.stepIndex,
+            stepCount: this.program.steps.length,
+            exercise: window.EXERCISES.find(exercise => exercise.id === step.exerciseId),
+            setNumber: this.setNumber,
+            totalSets: step.sets,
+            reps: step.reps
+        };
+    }
+    
+    /**
+     * Mark the current set done and move on - rests before the next set
+     * or exercise, or completes the program after the last one
+     */
+    completeSet() {
+        const step = this.program.steps[this.stepIndex];
+        
+        if (this.setNumber < step.sets) {
+            this.setNumber++;
+        } else if (this.stepIndex < this.program.steps.length - 1) {
+            this.stepIndex++;
+            this.setNumber = 1;
+        } else {
+            this.isComplete = true;
+            if (this.onComplete) {
+                this.onComplete();
+            }
+            return;
+        }
+        
+        // Rest time belongs to the set just finished
+        this.startRest(step.restSeconds || 0);
+    }
+    
+    /**
+     * Skip the remaining sets of the current exercise and start the next
+     * one straight away, or complete the program after the last one
+     */
+    skipExercise() {
+        clearInterval(this.restTimer);
+        this.restTimer = null;
+        this.isResting = false;
+        
+        if (this.stepIndex >= this.program.steps.length - 1) {
+            this.isComplete = true;
+            if (this.onComplete) {
+                this.onComplete();
+            }
+            return;
+        }
+        
+        this.stepIndex++;
+        this.setNumber = 1;
+        if (this.onRestEnd) {
+            this.onRestEnd(this.getCurrent());
+        }
+    }
+    
+    /**
+     * Count down a rest period, once per second
+     */
+    startRest(seconds) {
+        this.isResting = true;
+        this.restRemaining = seconds;
+        
+        if (this.onRestStart) {
+            this.onRestStart(seconds, this.getCurrent());
+        }
+        
+        if (seconds <= 0) {
+            this.endRest();
+            return;
+        }
+        
+        this.restTimer = setInterval(() => {
+            this.restRemaining--;
+            if (this.restRemaining <= 0) {
+                this.endRest();
+            } else if (this.onRestTick) {
+                this.onRestTick(this.restRemaining, this.getCurrent());
+            }
+        }, 1000);
+    }
+    
+    /**
+     * Finish resting now
+     */
+    endRest() {
+        clearInterval(this.restTimer);
+        this.restTimer = null;
+        
+        if (!this.isResting) return;
+        this.isResting = false;
+        
+        if (this.onRestEnd) {
+            this.onRestEnd(this.getCurrent());
+        }
+    }
+    
+    /**
+     * Abandon the program
+     */
+    stop() {
+        clearInterval(this.restTimer);
+        this.restTimer = null;
+        this.isResting = false;
+    }
+    
+    /**
+     * Progress label, e.g. "Exercise 1/2 · Set 2/3"
+     */
+    getProgressLabel() {
+        const current = this.getCurrent();
+        return window.i18n.t('program.progress', {
+            step: current.stepIndex + 1,
+            steps: current.stepCount,
+            set: current.setNumber,
+            sets: current.totalSets
+        });
+    }
+}
+
+// Export for use in main.js
+window.ProgramRunner = ProgramRunner;
@@ -0,0 +1,39 @@
+/**
+ * Workout Programs
+ * Routines of exercises with sets, rep targets and rest periods, walked
+ * through step by step by ProgramRunner (js/program-runner.js)
+ *
+ * Each step names an EXERCISES id. `side`, `targetAngle` and `tempo`
+ * ("raise-hold-lower" seconds) are optional session settings applied to
+ * that exercise.
+ */
+
+const PROGRAMS = [
+  {
+    id: "shoulder-mobility",
+    name: "Shoulder Mobility",
+    description: "Three sets of lateral arm raises with a minute of rest",
+    steps: [{ exerciseId: "lateral-arm-raises", sets: 3, reps: 12, restSeconds: 60 }],
+  },
+  {
+    id: "single-arm-rehab",
+    name: "Single Arm Rehab",
+    description: "Arm raises one side at a time, starting with the left arm",
+    steps: [
+      { exerciseId: "lateral-arm-raises", side: "left", sets: 2, reps: 10, restSeconds: 45, tempo: "3-2-3" },
+      { exerciseId: "lateral-arm-raises", side: "right", sets: 2, reps: 10, restSeconds: 45, tempo: "3-2-3" },
+    ],
+  },
+  {
+    id: "full-body-starter",
+    name: "Full Body Starter",
+    description: "Arm raises followed by bodyweight squats",
+    steps: [
+      { exerciseId: "lateral-arm-raises", sets: 3, reps: 12, restSeconds: 60 },
+      { exerciseId: "bodyweight-squat", sets: 2, reps: 10, restSeconds: 60 },
+    ],
+  },
+];
+
+// Export for use in main.js
+window.PROGRAMS = PROGRAMS;
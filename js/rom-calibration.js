@@ -0,0 +1,163 @@
+/**
+ * Range of Motion Calibration
+ * Records a patient's achievable range during one slow maximal movement so
+ * analyzer thresholds can be scaled to what the patient can actually do
+ */
+
+const ROM_STORAGE_PREFIX = 'physioai.rom.';
+
+class RomCalibration {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.spec = analyzer.spec;
+        
+        // Metric measured for each range key: per side when the exercise has sides
+        this.metrics = { both: this.spec.phases.metric };
+        if (this.spec.sides) {
+            this.metrics.left = this.spec.sides.left.metric;
+            this.metrics.right = this.spec.sides.right.metric;
+        }
+        
+        // Movement smaller than this above the patient's own resting angle
+        // is treated as "not attempted" - small on purpose, as calibration
+        // exists for patients with little range
+        this.minMovement = 10;
+        this.timeout = 20000; // Give up after 20 seconds
+        
+        this.reset();
+    }
+    
+    /**
+     * Feed one frame - returns true once the calibration movement is complete
+     */
+    update(landmarks, timestamp = Date.now(), worldLandmarks = null) {
+        if (this.done || !landmarks || landmarks.length < 33) return this.done;
+        
+        if (this.startTime === 0) {
+            this.startTime = timestamp;
+        }
+        
+        // Joints out of view would record a range the patient never reached
+        this.visibility = this.analyzer.checkVisibility(landmarks);
+        if (!this.visibility.ok) {
+            this.checkTimeout(timestamp);
+            return this.done;
+        }
+        
+        const angles = this.analyzer.calculateMetrics(landmarks, worldLandmarks);
+        
+        // Smooth each metric so a single noisy frame can't set the maximum.
+        // The lowest value seen is where this patient rests
+        Object.entries(this.metrics).forEach(([key, metric]) => {
+            const smoothed = this.filters[key].filter(angles[metric], timestamp);
+            this.baselines[key] = Math.min(this.baselines[key], smoothed);
+            this.peaks[key] = Math.max(this.peaks[key], smoothed);
+            this.current[key] = smoothed;
+        });
+        
+        // Complete once the patient has moved and come back down to within
+        // a quarter of their movement from rest. A side that never moved only
+        // holds jitter, so it has nothing to come back from
+        const movedKeys = Object.keys(this.metrics).filter(key => this.hasMoved(key));
+        const returned = movedKeys.every(key => {
+            const baseline = this.baselines[key];
+            return this.current[key] <= baseline + (this.peaks[key] - baseline) / 4;
+        });
+        
+        if (movedKeys.length > 0 && returned) {
+            this.done = true;
+        }
+        this.checkTimeout(timestamp);
+        
+        return this.done;
+    }
+    
+    /**
+     * Give up once the calibration has run too long
+     */
+    checkTimeout(timestamp) {
+        if (timestamp - this.startTime > this.timeout) {
+            this.done = true;
+        }
+    }
+    
+    /**
+     * Whether a key's metric rose clearly above its resting value
+     */
+    hasMoved(key) {
+        return this.peaks[key] >= this.baselines[key] + this.minMovement;
+    }
+    
+    /**
+     * Achievable range per key (null for sides that were not moved)
+     */
+    getRange() {
+        const range = {};
+        
+        Object.entries(this.peaks).forEach(([key, peak]) => {
+            range[key] = this.hasMoved(key) ? Math.round(peak) : null;
+        });
+        
+        return range;
+    }
+    
+    /**
+     * True if at least one side produced a usable measurement
+     */
+    isValid() {
+        return Object.values(this.getRange()).some(value => value !== null);
+    }
+    
+    reset() {
+        this.startTime = 0;
+        this.done = false;
+        this.visibility = null;
+        this.filters = {};
+        this.baselines = {};
+        this.peaks = {};
+        this.current = {};
+        Object.keys(this.metrics).forEach(key => {
+            this.filters[key] = new OneEuroFilter({ smoothingMs: this.spec.phases.smoothingMs });
+            this.baselines[key] = Infinity;
+            this.peaks[key] = 0;
+            this.current[key] = 0;
+        });
+    }
+    
+    /**
+     * Load the saved range for an exercise
+     */
+    static load(exerciseId) {
+        try {
+            const saved = localStorage.getItem(ROM_STORAGE_PREFIX + exerciseId);
+            return saved ? JSON.parse(saved) : null;
+        } catch (e) {
+            console.warn('Could not load range of motion calibration:', e);
+            return null;
+        }
+    }
+    
+    /**
+     * Save a measured range for an exercise
+     */
+    static save(exerciseId, range) {
+        try {
+            localStorage.setItem(ROM_STORAGE_PREFIX + exerciseId, JSON.stringify({
+                ...range,
+                calibratedAt: new Date().toISOString()
+            }));
+        } catch (e) {
+            console.warn('Could not save range of motion calibration:', e);
+        }
+    }
+    
+    /**
+     * Forget the saved range for an exercise
+     */
+    static clear(exerciseId) {
+        localStorage.removeItem(ROM_STORAGE_PREFIX + exerciseId);
+    }
+}
+
+// Export for use in main.js
+window.RomCalibration = RomCalibration;
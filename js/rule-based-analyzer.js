@@ -0,0 +1,857 @@
+/**
+ * Rule-Based Exercise Analyzer
+ * Generic analyzer driven by the `analysis` block of an exercise definition.
+ * The definition declares the joints and angle metrics to compute, the phase
+ * boundaries, the error rules with their penalties and the feedback texts -
+ * this file only executes them. See js/exercises.js for an annotated example.
+ */
+
+/**
+ * Metric calculators available to exercise definitions
+ *
+ * Each calculator receives the metric spec, a point resolver and the metrics
+ * computed so far (metrics are evaluated in declaration order, so derived
+ * metrics must be declared after the ones they use), then the resting
+ * baseline and a resolver into the world landmarks - metric 3D positions
+ * relative to the hips, null when the pose model gave none. Image points
+ * are flattened by the camera's view, so angles that depend on depth use
+ * the world points when they can.
+ */
+const METRIC_TYPES = {
+    /**
+     * Segment angle from straight down: 0° = down, 90° = horizontal, 180° = up
+     */
+    elevation(spec, point) {
+        const from = point(spec.from);
+        const to = point(spec.to);
+        const deltaX = Math.abs(to.x - from.x);
+        const deltaY = Math.abs(to.y - from.y);
+        
+        let angle;
+        if (to.y > from.y) {
+            // Segment points below its origin
+            angle = Math.atan2(deltaX, deltaY) * 180 / Math.PI;
+        } else {
+            // Segment is at or above its origin
+            angle = 90 + Math.atan2(deltaY, deltaX) * 180 / Math.PI;
+        }
+        
+        return Math.max(0, Math.min(180, angle));
+    },
+    
+    /**
+     * Inner angle at the middle point (180° = fully straight) - in 3D when
+     * world landmarks are available
+     */
+    joint(spec, point, metrics, baseline, world) {
+        if (world) {
+            const [a, b, c] = spec.points.map(world);
+            return vecAngle(vecSubtract(a, b), vecSubtract(c, b));
+        }
+        
+        const [a, b, c] = spec.points.map(point);
+        const radians = Math.atan2(c.y - b.y, c.x - b.x) - Math.atan2(a.y - b.y, a.x - b.x);
+        let angle = Math.abs(radians * 180.0 / Math.PI);
+        if (angle > 180.0) {
+            angle = 360 - angle;
+        }
+        return angle;
+    },
+    
+    /**
+     * Upward movement of a joint since the resting baseline, in frame heights
+     */
+    rise(spec, point, metrics, baseline) {
+        if (!baseline) return 0;
+        return baseline(spec.joint).y - point(spec.joint).y;
+    },
+    
+    /**
+     * Bend of the middle joint (0° = fully straight)
+     */
+    flexion(spec, point, metrics, baseline, world) {
+        return 180 - METRIC_TYPES.joint(spec, point, metrics, baseline, world);
+    },
+    
+    /**
+     * Segment angle from the trunk's downward axis, in whatever plane it
+     * moves: 0° = along the side of the body, 90° = straight out, 180° =
+     * overhead. Follows the trunk when the patient leans or stands at an
+     * angle to the camera; uses the image when there are no world landmarks
+     */
+    trunkAngle(spec, point, metrics, baseline, world) {
+        const resolve = world || imagePlane(point);
+        const trunk = trunkFrame(resolve);
+        return vecAngle(vecSubtract(resolve(spec.to), resolve(spec.from)), trunk.down);
+    },
+    
+    /**
+     * Plane a segment is raised in, around the trunk's downward axis: 0° =
+     * out to the side (abduction), 90° = straight forward (flexion),
+     * negative = behind the body. Sides come from the `to` joint's name.
+     * Null without world landmarks - the image can't tell forward from
+     * sideways - and while the segment hangs too close to the trunk to
+     * have a plane
+     */
+    elevationPlane(spec, point, metrics, baseline, world) {
+        if (!world) return null;
+        
+        const trunk = trunkFrame(world);
+        const segment = vecSubtract(world(spec.to), world(spec.from));
+        if (vecAngle(segment, trunk.down) < PLANE_MIN_ELEVATION) return null;
+        
+        const outward = String(spec.to).startsWith('RIGHT_') ? vecScale(trunk.left, -1) : trunk.left;
+        return Math.atan2(vecDot(segment, trunk.forward), vecDot(segment, outward)) * 180 / Math.PI;
+    },
+    
+    /**
+     * Segment tilt away from vertical (0° = upright), direction ignored -
+     * in 3D when world landmarks are available, so a lean towards or away
+     * from a camera at an angle still shows
+     */
+    inclination(spec, point, metrics, baseline, world) {
+        const resolve = world || imagePlane(point);
+        const segment = vecSubtract(resolve(spec.to), resolve(spec.from));
+        return Math.atan2(Math.hypot(segment.x, segment.z), Math.abs(segment.y)) * 180 / Math.PI;
+    },
+    
+    /**
+     * Horizontal distance between two joints, in frame widths
+     */
+    width(spec, point) {
+        return Math.abs(point(spec.between[0]).x - point(spec.between[1]).x);
+    },
+    
+    /**
+     * Mean of other metrics
+     */
+    average(spec, point, metrics) {
+        return spec.of.reduce((sum, name) => sum + metrics[name], 0) / spec.of.length;
+    },
+    
+    /**
+     * Absolute difference between two metrics
+     */
+    difference(spec, point, metrics) {
+        return Math.abs(metrics[spec.of[0]] - metrics[spec.of[1]]);
+    },
+    
+    /**
+     * First metric divided by the second
+     */
+    ratio(spec, point, metrics) {
+        const divisor = metrics[spec.of[1]];
+        return divisor ? metrics[spec.of[0]] / divisor : 0;
+    }
+};
+
+// Joints the trunk axis runs between, for metrics measured against the trunk
+const TRUNK_JOINTS = { top: ['LEFT_SHOULDER', 'RIGHT_SHOULDER'], bottom: ['LEFT_HIP', 'RIGHT_HIP'] };
+const TRUNK_METRIC_TYPES = ['trunkAngle', 'elevationPlane'];
+
+// Segment angle from the trunk below which elevationPlane gives no plane (°)
+const PLANE_MIN_ELEVATION = 30;
+
+// How much faster the phase metric's filter follows per °/s of movement
+const PHASE_FILTER_BETA = 0.05;
+
+/**
+ * Directions of the trunk, as unit vectors: `down` from mid-shoulder to
+ * mid-hip, `left` towards the patient's left shoulder and `forward` out
+ * of their chest. World landmarks share the image's axes (x right, y
+ * down, z away from the camera), so forward = down × left
+ */
+function trunkFrame(resolve) {
+    const down = vecNormalize(vecSubtract(resolve(TRUNK_JOINTS.bottom), resolve(TRUNK_JOINTS.top)));
+    const across = vecSubtract(resolve('LEFT_SHOULDER'), resolve('RIGHT_SHOULDER'));
+    const left = vecNormalize(vecSubtract(across, vecScale(down, vecDot(across, down))));
+    return { down: down, left: left, forward: vecCross(down, left) };
+}
+
+/**
+ * Point resolver limited to the image plane - image z is only a rough
+ * depth guess, on a different scale from x and y
+ */
+function imagePlane(point) {
+    return (joint) => {
+        const p = point(joint);
+        return { x: p.x, y: p.y, z: 0 };
+    };
+}
+
+// 3D vector helpers - vectors are { x, y, z } like landmarks
+function vecSubtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: (a.z || 0) - (b.z || 0) };
+}
+
+function vecScale(v, factor) {
+    return { x: v.x * factor, y: v.y * factor, z: v.z * factor };
+}
+
+function vecDot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function vecCross(a, b) {
+    return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
+
+function vecNormalize(v) {
+    const length = Math.sqrt(vecDot(v, v));
+    return length ? vecScale(v, 1 / length) : v;
+}
+
+/**
+ * Angle between two vectors (0-180°), 0 when either has no length
+ */
+function vecAngle(a, b) {
+    const lengths = Math.sqrt(vecDot(a, a) * vecDot(b, b));
+    if (!lengths) return 0;
+    return Math.acos(Math.max(-1, Math.min(1, vecDot(a, b) / lengths))) * 180 / Math.PI;
+}
+
+/**
+ * Whole milliseconds, as fractional frame timestamps leave float noise
+ * (1599.9999999999854) - null stays null for times never measured
+ */
+function roundTime(ms) {
+    return ms === null ? null : Math.round(ms);
+}
+
+/**
+ * Movement phase state machine for a single metric
+ *
+ * Cycles rest -> out -> target -> back -> rest using the boundaries in the
+ * phase spec and keeps timing/peak information for the rep in progress.
+ * The metric is smoothed over time (see OneEuroFilter), a phase is only
+ * left once the value is `hysteresis` past its boundary, and between the
+ * rest and target zones the direction of movement decides out or back.
+ */
+class PhaseTracker {
+    constructor(spec) {
+        this.spec = spec;
+        this.names = spec.names;
+        this.scale = spec.scale || 1;
+        this.filter = new OneEuroFilter({ smoothingMs: spec.smoothingMs, beta: PHASE_FILTER_BETA });
+        this.reset();
+    }
+    
+    /**
+     * Fresh record for the rep in progress
+     */
+    createRep() {
+        return {
+            startTime: 0,
+            raiseTime: null,
+            lowerTime: null,
+            peakAngle: 0,
+            holdStartTime: 0,
+            holdDuration: 0,
+            holdComplete: false,
+            lowerStartTime: 0,
+            peakAngles: {}, // Per-side peaks, see `repPeaks`
+            errors: []
+        };
+    }
+    
+    /**
+     * Advance the state machine with a new metric value
+     */
+    update(value, timestamp) {
+        this.completedRep = null;
+        
+        // Start a fresh record once the previous rep has been evaluated
+        if (this.repFinished) {
+            this.currentRep = this.createRep();
+            this.repFinished = false;
+        }
+        
+        const smoothed = this.filter.filter(value, timestamp);
+        this.value = smoothed;
+        this.speed = this.filter.speed;
+        
+        const { rest, out, target, back } = this.names;
+        const { restBelow, targetMin, targetMax, hysteresis = 0, minSpeed = 0 } = this.spec;
+        const current = this.currentPhase;
+        
+        // Zones widen by the hysteresis band while the phase is in them
+        const inRest = smoothed < restBelow + (current === rest ? hysteresis : 0);
+        const atTarget = smoothed >= targetMin - (current === target ? hysteresis : 0);
+        const inTargetWindow = smoothed >= targetMin - hysteresis && smoothed <= targetMax + hysteresis;
+        
+        let phase;
+        if (inRest) {
+            phase = rest;
+        } else if (atTarget) {
+            // Past the window still counts as reaching the target, but the
+            // hold is only timed inside it
+            phase = target;
+        } else if (current === target) {
+            // Dropping out of the target zone is always on the way back
+            phase = back;
+        } else if (this.speed > 0 && this.speed >= minSpeed) {
+            phase = out;
+        } else if (this.speed < 0 && this.speed <= -minSpeed) {
+            phase = back;
+        } else {
+            // Too slow to tell - keep going the way the movement went
+            phase = current === rest ? out : current;
+        }
+        
+        this.previousPhase = current;
+        this.currentPhase = phase;
+        
+        if (phase === out && current === rest) {
+            this.currentRep.startTime = timestamp;
+        }
+        
+        if (phase === target) {
+            // Raise time is measured when the target is first reached
+            if (this.currentRep.holdStartTime === 0) {
+                this.currentRep.holdStartTime = timestamp;
+                if (this.currentRep.startTime > 0) {
+                    this.currentRep.raiseTime = timestamp - this.currentRep.startTime;
+                }
+            } else if (inTargetWindow && this.lastTime) {
+                this.currentRep.holdDuration += timestamp - this.lastTime;
+            }
+            
+            if (this.currentRep.holdDuration >= this.spec.holdDuration) {
+                this.currentRep.holdComplete = true;
+            }
+        }
+        this.lastTime = timestamp;
+        
+        // Track peak angle for this rep
+        if (phase !== rest && smoothed > this.currentRep.peakAngle) {
+            this.currentRep.peakAngle = smoothed;
+        }
+        
+        // Time the return movement from when the target was left
+        if (this.justEntered(back, target)) {
+            this.currentRep.lowerStartTime = timestamp;
+        }
+        
+        // Count rep when returning to rest after a complete movement. The rep
+        // record stays readable for this frame's error rules, even when the
+        // movement was abandoned before reaching the target
+        if (phase === rest && (this.previousPhase === back || this.previousPhase === out)) {
+            if (this.currentRep.lowerStartTime > 0 && this.currentRep.peakAngle >= this.spec.minPeak) {
+                this.currentRep.lowerTime = timestamp - this.currentRep.lowerStartTime;
+                this.repCount++;
+                this.completedRep = this.currentRep;
+            }
+            this.repFinished = true;
+        }
+        
+        return phase;
+    }
+    
+    /**
+     * Phase transition check for the current frame - `fromPhase` may be
+     * a phase or a list of them
+     */
+    justEntered(phase, fromPhase = null) {
+        return this.currentPhase === phase &&
+            this.previousPhase !== phase &&
+            (fromPhase === null || [].concat(fromPhase).includes(this.previousPhase));
+    }
+    
+    reset() {
+        this.currentPhase = this.names.rest;
+        this.previousPhase = this.names.rest;
+        this.repCount = 0;
+        this.currentRep = this.createRep();
+        this.completedRep = null;
+        this.repFinished = false;
+        this.filter.reset();
+        this.value = 0;
+        this.speed = 0;
+        this.lastTime = 0;
+    }
+}
+
+class RuleBasedAnalyzer extends ExerciseAnalyzer {
+    constructor(exercise, options = {}) {
+        super(exercise, options);
+        
+        this.spec = exercise.analysis;
+        this.restPhase = this.spec.phases.names.rest;
+        this.targetPhase = this.spec.phases.names.target;
+        
+        // Declared tempo, with any prescribed phase durations on top
+        this.tempo = { ...this.spec.tempo, ...options.tempo };
+        this.holdTime = (this.tempo.hold || 0) * 1000;
+        
+        // Side(s) worked this session - only for exercises that declare `sides`
+        this.side = this.spec.sides && options.side ? options.side : 'both';
+        
+        // Only enabled rules for the worked side(s) take part in detection and scoring
+        this.declaredRules = this.spec.errors.map(rule => this.resolveTempoRule(rule));
+        this.rules = this.declaredRules.filter(rule => rule.enabled !== false && this.appliesToSide(rule));
+        
+        // One phase tracker per tracked side; `tracker` is the one currently moving
+        this.trackers = this.createTrackers();
+        this.tracker = Object.values(this.trackers)[0];
+        this.currentErrors = new Set();
+        
+        // Joint positions captured at the first resting frame
+        this.baseline = null;
+        
+        // Joints behind the phase metrics and active rules - frames that
+        // do not show them all are left out of the analysis
+        const metrics = [
+            ...Object.values(this.trackers).map(tracker => tracker.spec.metric),
+            ...this.rules.map(rule => rule.metric).filter(metric => metric !== undefined)
+        ];
+        this.requiredLandmarks = this.collectJoints(metrics);
+    }
+    
+    getRequiredLandmarks() {
+        return this.requiredLandmarks;
+    }
+    
+    /**
+     * POSE_LANDMARKS names the given metrics are computed from, following
+     * derived metrics (`of`) down to the joints they use
+     */
+    collectJoints(metrics, joints = new Set()) {
+        metrics.forEach(name => {
+            const spec = this.spec.metrics[name];
+            if (!spec) return;
+            const trunk = TRUNK_METRIC_TYPES.includes(spec.type) ? Object.values(TRUNK_JOINTS) : [];
+            [spec.from, spec.to, spec.joint, spec.points, spec.between, trunk]
+                .flat(2)
+                .filter(Boolean)
+                .forEach(joint => joints.add(joint));
+            if (spec.of) {
+                this.collectJoints(spec.of, joints);
+            }
+        });
+        return Array.from(joints);
+    }
+    
+    /**
+     * Main analysis function - processes each frame. World landmarks
+     * (metric 3D, optional) make depth-dependent angles exact
+     */
+    analyze(landmarks, timestamp = Date.now(), worldLandmarks = null) {
+        if (!landmarks || landmarks.length < 33) return null;
+        
+        const visibility = this.checkVisibility(landmarks);
+        if (!visibility.ok) {
+            return this.createHiddenResult(visibility);
+        }
+        
+        const angles = this.calculateMetrics(landmarks, worldLandmarks);
+        
+        Object.values(this.trackers).forEach(tracker => {
+            tracker.update(angles[tracker.spec.metric], timestamp);
+        });
+        this.tracker = this.selectActiveTracker();
+        const phase = this.tracker.currentPhase;
+        
+        // Capture resting joint positions once per session
+        if (phase === this.restPhase && !this.baseline) {
+            this.baseline = landmarks.map(landmark => ({ x: landmark.x, y: landmark.y, z: landmark.z }));
+        }
+        
+        const errors = this.detectErrors(angles);
+        const formScore = this.calculateFormScore(errors);
+        
+        const repsBySide = {};
+        const completedReps = [];
+        Object.entries(this.trackers).forEach(([side, tracker]) => {
+            this.recordRepFrame(tracker, angles, errors);
+            repsBySide[side] = tracker.repCount;
+            if (tracker.completedRep) {
+                completedReps.push(this.createRepRecord(side, tracker.completedRep, timestamp));
+            }
+        });
+        this.repCount = Object.values(repsBySide).reduce((a, b) => a + b, 0);
+        
+        return {
+            phase: phase,
+            angles: angles,
+            errors: Array.from(errors),
+            repCount: this.repCount,
+            repsBySide: repsBySide,
+            completedReps: completedReps,
+            formScore: formScore,
+            feedback: this.generateFeedback(errors, phase),
+            holdDuration: this.tracker.currentRep.holdDuration,
+            holdComplete: this.tracker.currentRep.holdComplete,
+            visibility: visibility
+        };
+    }
+    
+    /**
+     * Result for a frame without the required joints - progress so far,
+     * nothing measured, and a hint to get back into view as feedback
+     */
+    createHiddenResult(visibility) {
+        const repsBySide = {};
+        Object.entries(this.trackers).forEach(([side, tracker]) => {
+            repsBySide[side] = tracker.repCount;
+        });
+        
+        return {
+            phase: this.tracker.currentPhase,
+            angles: null,
+            errors: [],
+            repCount: this.repCount,
+            repsBySide: repsBySide,
+            completedReps: [],
+            formScore: this.formScore,
+            feedback: this.describeVisibility(visibility.hint),
+            holdDuration: this.tracker.currentRep.holdDuration,
+            holdComplete: this.tracker.currentRep.holdComplete,
+            visibility: visibility
+        };
+    }
+    
+    /**
+     * Accumulate this frame into a tracker's rep in progress
+     */
+    recordRepFrame(tracker, angles, errors) {
+        // Nothing to record between reps (the completing frame still counts)
+        if (tracker.currentPhase === this.restPhase && !tracker.completedRep) return;
+        
+        // Per-side peaks - a single-side tracker only records its own side
+        const rep = tracker.currentRep;
+        Object.entries(this.spec.repPeaks || {}).forEach(([key, metric]) => {
+            if (tracker === this.trackers.both || tracker === this.trackers[key]) {
+                rep.peakAngles[key] = Math.max(rep.peakAngles[key] || 0, angles[metric]);
+            }
+        });
+        
+        // Errors belong to the side driving feedback
+        if (tracker !== this.tracker) return;
+        
+        errors.forEach(error => {
+            if (!rep.errors.includes(error)) {
+                rep.errors.push(error);
+            }
+        });
+    }
+    
+    /**
+     * Summary of a completed rep for session records
+     */
+    createRepRecord(side, rep, timestamp) {
+        const peakAngles = {};
+        Object.entries(rep.peakAngles).forEach(([key, value]) => {
+            peakAngles[key] = Math.round(value);
+        });
+        
+        return {
+            side: side,
+            peakAngle: Math.round(rep.peakAngle),
+            peakAngles: peakAngles,
+            raiseTime: roundTime(rep.raiseTime),
+            holdTime: roundTime(rep.holdDuration),
+            lowerTime: roundTime(rep.lowerTime),
+            duration: roundTime(timestamp - rep.startTime),
+            errors: rep.errors.slice(),
+            // Each error the rep showed costs its penalty once, however
+            // many frames it lasted - one-frame tempo checks count in full
+            formScore: this.scoreErrors(new Set(rep.errors))
+        };
+    }
+    
+    /**
+     * Phase trackers for the session's side setting
+     */
+    createTrackers() {
+        const sides = this.side === 'alternating' ? ['left', 'right'] : [this.side];
+        const trackers = {};
+        
+        sides.forEach(side => {
+            // Unilateral sides follow their own metric instead of the combined one
+            const metric = side === 'both' ? this.spec.phases.metric : this.spec.sides[side].metric;
+            const scale = this.getRangeScale(side);
+            const targetMin = this.spec.phases.targetMin * scale;
+            
+            trackers[side] = new PhaseTracker({
+                ...this.spec.phases,
+                metric,
+                scale,
+                targetMin,
+                targetMax: this.spec.phases.targetMax * scale,
+                minPeak: this.spec.phases.minPeak * scale,
+                // Keep the rest zone clear of a small personal target window
+                restBelow: Math.min(this.spec.phases.restBelow, targetMin / 2),
+                holdDuration: this.holdTime
+            });
+        });
+        
+        return trackers;
+    }
+    
+    /**
+     * Threshold scale for a side (1 = thresholds as declared)
+     *
+     * The declared thresholds are tuned for `calibration.target`. They scale to
+     * the prescribed target angle, capped by the patient's calibrated range.
+     */
+    getRangeScale(side) {
+        const nominal = this.spec.calibration && this.spec.calibration.target;
+        if (!nominal) return 1;
+        
+        const range = this.options.range || {};
+        let personal = range[side];
+        if (!personal && side === 'both' && range.left && range.right) {
+            personal = (range.left + range.right) / 2;
+        }
+        
+        const target = Math.min(this.options.targetAngle || nominal, personal || Infinity);
+        return target / nominal;
+    }
+    
+    /**
+     * Pick the tracker that drives phase, hold and feedback this frame
+     */
+    selectActiveTracker() {
+        const moving = Object.values(this.trackers).filter(tracker => tracker.currentPhase !== this.restPhase);
+        if (moving.length === 0) {
+            return this.tracker;
+        }
+        return moving.reduce((a, b) => (b.value > a.value ? b : a));
+    }
+    
+    /**
+     * Attach this session's tempo to a rule's `belowTempo` / `aboveTempo`
+     * phase - the seconds fill {seconds} in the rule's texts. Phases
+     * without a tempo disable the rule
+     */
+    resolveTempoRule(rule) {
+        const key = rule.belowTempo || rule.aboveTempo;
+        if (!key) return rule;
+        
+        const seconds = this.tempo[key];
+        if (!seconds) {
+            return { ...rule, enabled: false };
+        }
+        return { ...rule, tempoKey: key, tempoSeconds: seconds };
+    }
+    
+    /**
+     * Thresholds (ms) of a tempo rule for one tracker: { above, below }
+     *
+     * Raise and lower times run between the tracker's rest and target
+     * boundaries, so the expected time is the share of the movement between
+     * them - taken from the scaled boundaries, so a calibrated range keeps
+     * the prescribed tempo
+     */
+    getTempoLimits(rule, tracker) {
+        const { restBelow, targetMin } = tracker.spec;
+        const share = rule.tempoKey === 'hold' ? 1 : (targetMin - restBelow) / targetMin;
+        const expected = rule.tempoSeconds * 1000 * share;
+        const tolerance = this.tempo.tolerance !== undefined ? this.tempo.tolerance : 0.4;
+        return {
+            below: rule.belowTempo ? expected * (1 - tolerance) : rule.below,
+            above: rule.aboveTempo ? expected * (1 + tolerance) : rule.above
+        };
+    }
+    
+    /**
+     * Check if a rule is relevant for the session's side setting
+     */
+    appliesToSide(rule) {
+        if (rule.bilateral) {
+            return this.side === 'both';
+        }
+        if (rule.side && this.side !== 'both' && this.side !== 'alternating') {
+            return rule.side === this.side;
+        }
+        return true;
+    }
+    
+    /**
+     * Compute every declared metric for this frame - from the world
+     * landmarks too where a metric supports them
+     */
+    calculateMetrics(landmarks, worldLandmarks = null) {
+        const point = (joint) => this.resolvePoint(landmarks, joint);
+        const baseline = this.baseline ? (joint) => this.resolvePoint(this.baseline, joint) : null;
+        const world = worldLandmarks && worldLandmarks.length >= 33
+            ? (joint) => this.resolvePoint(worldLandmarks, joint)
+            : null;
+        const metrics = {};
+        
+        for (const [name, spec] of Object.entries(this.spec.metrics)) {
+            const calculate = METRIC_TYPES[spec.type];
+            if (!calculate) {
+                throw new Error(`Unknown metric type "${spec.type}" for metric "${name}"`);
+            }
+            metrics[name] = calculate(spec, point, metrics, baseline, world);
+        }
+        
+        return metrics;
+    }
+    
+    /**
+     * Resolve a joint name (or list of names, averaged) to a landmark position
+     */
+    resolvePoint(landmarks, joint) {
+        if (Array.isArray(joint)) {
+            const points = joint.map(name => landmarks[POSE_LANDMARKS[name]]);
+            return {
+                x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+                y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+                z: points.reduce((sum, p) => sum + (p.z || 0), 0) / points.length
+            };
+        }
+        return landmarks[POSE_LANDMARKS[joint]];
+    }
+    
+    /**
+     * Evaluate the declared error rules
+     */
+    detectErrors(angles) {
+        const errors = new Set();
+        
+        this.rules.forEach(rule => {
+            // Side-specific rules follow their own side's tracker when it has one
+            const tracker = (rule.side && this.trackers[rule.side]) || this.tracker;
+            const phase = tracker.currentPhase;
+            
+            if (rule.phases && !rule.phases.includes(phase)) return;
+            if (rule.enteredFrom && !tracker.justEntered(phase, rule.enteredFrom)) return;
+            
+            // Value comes either from a frame metric or from the rep in progress
+            const value = rule.metric !== undefined ? angles[rule.metric] : tracker.currentRep[rule.rep];
+            if (value === null || value === undefined) return;
+            
+            // Range-dependent thresholds follow the side's personal scale
+            const scale = rule.scaleWithRange ? tracker.scale : 1;
+            const { above, below } = rule.tempoKey ? this.getTempoLimits(rule, tracker) : rule;
+            
+            if ((above !== undefined && value > above * scale) ||
+                (below !== undefined && value < below * scale)) {
+                errors.add(rule.id);
+            }
+        });
+        
+        this.currentErrors = errors;
+        return errors;
+    }
+    
+    /**
+     * Calculate form score based on rule penalties
+     */
+    calculateFormScore(errors) {
+        this.formScore = this.scoreErrors(errors);
+        return this.formScore;
+    }
+    
+    /**
+     * 100 minus the penalties of the given error ids, at least 0
+     */
+    scoreErrors(errors) {
+        let score = 100;
+        
+        this.rules.forEach(rule => {
+            if (errors.has(rule.id)) {
+                score -= rule.penalty !== undefined ? rule.penalty : 10;
+            }
+        });
+        
+        return Math.max(0, score);
+    }
+    
+    /**
+     * Generate helpful feedback messages
+     */
+    generateFeedback(errors, phase) {
+        // Phase-specific encouragement when form is good
+        if (errors.size === 0) {
+            const message = this.spec.feedback[phase];
+            if (!message) return window.i18n.t('feedback.excellent');
+            return this.text(`feedback.${phase}`, message, { angle: this.tracker.value.toFixed(0) });
+        }
+        
+        // Rules are declared in priority order
+        const rule = this.rules.find(rule => errors.has(rule.id));
+        return rule && rule.feedback ? `⚠️ ${this.ruleText(rule, 'feedback')}` : window.i18n.t('feedback.adjust');
+    }
+    
+    /**
+     * Exercise text in the current language, falling back to the English
+     * declared in the exercise definition
+     */
+    text(path, fallback, params = {}) {
+        return window.i18n.exerciseText(this.exercise.id, path, fallback, params);
+    }
+    
+    /**
+     * A rule's `feedback` or `spoken` text in the current language
+     */
+    ruleText(rule, field) {
+        return this.text(`errors.${rule.id}.${field}`, rule[field], { seconds: rule.tempoSeconds });
+    }
+    
+    /**
+     * Spoken prompts and error corrections (in priority order)
+     */
+    getSpokenPrompts() {
+        const errors = {};
+        this.rules.forEach(rule => {
+            if (rule.spoken) {
+                errors[rule.id] = this.ruleText(rule, 'spoken');
+            }
+        });
+        const prompts = {};
+        Object.entries(this.spec.spoken || {}).forEach(([key, prompt]) => {
+            prompts[key] = this.text(`spoken.${key}`, prompt);
+        });
+        return {
+            phases: this.spec.phases.names,
+            prompts: prompts,
+            errors: errors,
+            holdTime: this.holdTime
+        };
+    }
+    
+    /**
+     * On-screen text for each error id
+     */
+    getErrorLabels() {
+        const labels = {};
+        this.declaredRules.forEach(rule => {
+            labels[rule.id] = rule.feedback ? this.ruleText(rule, 'feedback') : rule.id;
+        });
+        return labels;
+    }
+    
+    /**
+     * Human readable label for a movement phase
+     */
+    getPhaseLabel(phase) {
+        return this.spec.labels[phase] ? this.text(`labels.${phase}`, this.spec.labels[phase]) : phase;
+    }
+    
+    /**
+     * Short angle readout, e.g. "L: 85° | R: 88°"
+     */
+    formatAngles(angles) {
+        return Object.entries(this.spec.angleReadout || {})
+            .map(([metric, label]) => `${label}: ${angles[metric].toFixed(0)}°`)
+            .join(' | ');
+    }
+    
+    /**
+     * Reset analyzer for new session
+     */
+    reset() {
+        super.reset();
+        Object.values(this.trackers).forEach(tracker => tracker.reset());
+        this.tracker = Object.values(this.trackers)[0];
+        this.currentErrors = new Set();
+        this.baseline = null;
+    }
+}
+
+// Export for use in exercise analyzers and main.js
+window.RuleBasedAnalyzer = RuleBasedAnalyzer;
+window.analyzerRegistry.register('rule-based', RuleBasedAnalyzer);
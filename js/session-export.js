@@ -0,0 +1,218 @@
+/**
+ * Session Export
+ * Client-side exports of a session record for clinicians: per-rep CSV,
+ * full JSON timeline and a printable HTML report
+ */
+
+class SessionExport {
+    /**
+     * Per-rep metrics as CSV
+     */
+    static toCSV(session) {
+        const peakKeys = Array.from(new Set(session.reps.flatMap(rep => Object.keys(rep.peakAngles || {}))));
+        const header = [
+            'rep', 'side', 'peak_angle',
+            ...peakKeys.map(key => `peak_${key}`),
+            'raise_ms', 'hold_ms', 'lower_ms', 'duration_ms', 'completed_at_ms', 'form_score', 'errors'
+        ];
+        
+        const rows = session.reps.map(rep => [
+            rep.number,
+            rep.side,
+            rep.peakAngle,
+            ...peakKeys.map(key => rep.peakAngles[key]),
+            rep.raiseTime,
+            rep.holdTime,
+            rep.lowerTime,
+            rep.duration,
+            rep.completedAt,
+            rep.formScore,
+            rep.errors.join(';')
+        ]);
+        
+        return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+    }
+    
+    /**
+     * Full session record, including the frame timeline, as JSON
+     */
+    static toJSON(session, patientName = '') {
+        return JSON.stringify({
+            format: 'physiotherapy-ai-session',
+            version: 1,
+            patientName: patientName,
+            exportedAt: new Date().toISOString(),
+            session: session
+        }, null, 2);
+    }
+    
+    /**
+     * Standalone printable report document
+     */
+    static toReportHTML(session, patientName = '') {
+        const escape = window.Charts.escape;
+        const summary = session.summary;
+        const label = (error) => escape((session.errorLabels && session.errorLabels[error]) || error);
+        const angle = (value) => (typeof value === 'number' ? `${value}°` : '--');
+        const seconds = (ms) => (typeof ms === 'number' ? `${(ms / 1000).toFixed(1)} s` : '--');
+        const tempo = window.ExerciseAnalyzer.formatTempo(session.tempo);
+        
+        // Peak angle per rep, one series per recorded side
+        const repLabels = session.reps.map(rep => `#${rep.number}`);
+        const peakKeys = Object.keys(summary.peakAngles);
+        const romSeries = peakKeys.length
+            ? peakKeys.map(key => ({
+                name: key.charAt(0).toUpperCase() + key.slice(1),
+                values: session.reps.map(rep => (key in rep.peakAngles ? rep.peakAngles[key] : null))
+            }))
+            : [{ name: 'Peak angle', values: session.reps.map(rep => rep.peakAngle) }];
+        const romChart = window.Charts.lineChart(repLabels, romSeries, { unit: '°' });
+        const formChart = window.Charts.lineChart(repLabels, [
+            { name: 'Form score', values: session.reps.map(rep => rep.formScore), color: '#10b981' }
+        ], { unit: '%', yMin: 0, yMax: 100 });
+        
+        const romRows = peakKeys.map(key => {
+            const values = session.reps.map(rep => rep.peakAngles[key]).filter(value => typeof value === 'number');
+            return `<tr><td class="capitalize">${escape(key)}</td><td>${angle(summary.peakAngles[key])}</td><td>${angle(Math.max(...values))}</td></tr>`;
+        }).join('');
+        
+        const errorIds = Array.from(new Set([...Object.keys(session.errorCounts), ...Object.keys(summary.repErrors)]));
+        const errorRows = errorIds.map(error => `
+            <tr><td>${label(error)}</td><td>${summary.repErrors[error] || 0}</td><td>${session.errorCounts[error] || 0}</td></tr>
+        `).join('');
+        
+        const repRows = session.reps.map(rep => `
+            <tr>
+                <td>${rep.number}</td>
+                <td class="capitalize">${escape(rep.side)}</td>
+                <td>${angle(rep.peakAngle)}</td>
+                <td>${seconds(rep.raiseTime)}</td>
+                <td>${seconds(rep.holdTime)}</td>
+                <td>${seconds(rep.lowerTime)}</td>
+                <td>${rep.formScore}%</td>
+                <td>${rep.errors.map(label).join(', ') || '--'}</td>
+            </tr>
+        `).join('');
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${escape(session.exerciseName)} - Session Report</title>
+<style>
+    body { font-family: Arial, sans-serif; color: #1f2937; margin: 32px; font-size: 13px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    h2 { font-size: 15px; margin: 24px 0 8px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #f3f4f6; }
+    th { color: #6b7280; font-weight: 600; font-size: 11px; text-transform: uppercase; }
+    .meta td:first-child { color: #6b7280; width: 180px; }
+    .capitalize { text-transform: capitalize; }
+    .charts { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+    @media print { body { margin: 12mm; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+    <h1>${escape(session.exerciseName)} - Session Report</h1>
+    <div>Generated ${escape(new Date().toLocaleString())}</div>
+    
+    <h2>Session</h2>
+    <table class="meta">
+        <tr><td>Patient</td><td>${escape(patientName) || '--'}</td></tr>
+        <tr><td>Date</td><td>${escape(new Date(session.startedAt).toLocaleString())}</td></tr>
+        <tr><td>Duration</td><td>${seconds(session.durationMs)}</td></tr>
+        <tr><td>Side</td><td class="capitalize">${escape(session.side)}</td></tr>
+        <tr><td>Prescribed reps</td><td>${escape(session.prescribedReps || '--')}</td></tr>
+        <tr><td>Completed reps</td><td>${session.repCount} (${summary.cleanReps} without form issues)</td></tr>
+        <tr><td>Average form score</td><td>${session.averageFormScore}%</td></tr>
+        <tr><td>Average timing</td><td>raise ${seconds(summary.raiseTime)}, hold ${seconds(summary.holdTime)}, lower ${seconds(summary.lowerTime)}</td></tr>
+        <tr><td>Target tempo</td><td>${tempo ? `${escape(tempo)} s (raise-hold-lower)` : '--'}</td></tr>
+        <tr><td>Tempo adherence</td><td>${session.pacing ? escape(formatPacing(session.pacing)) : 'Not paced'}</td></tr>
+    </table>
+    
+    <h2>Range of Motion</h2>
+    <table>
+        <tr><th>Side</th><th>Average peak</th><th>Best peak</th></tr>
+        ${romRows || `<tr><td>Overall</td><td>${angle(summary.peakAngle)}</td><td>${angle(summary.bestPeakAngle)}</td></tr>`}
+    </table>
+    
+    <div class="charts">
+        <div><h2>Peak Angle per Rep</h2>${romChart}</div>
+        <div><h2>Form Score per Rep</h2>${formChart}</div>
+    </div>
+    
+    <h2>Form Issues</h2>
+    ${errorRows ? `<table><tr><th>Issue</th><th>Reps affected</th><th>Occurrences</th></tr>${errorRows}</table>` : '<p>No form issues detected.</p>'}
+    
+    <h2>Reps</h2>
+    <table>
+        <tr><th>#</th><th>Side</th><th>Peak</th><th>Raise</th><th>Hold</th><th>Lower</th><th>Score</th><th>Errors</th></tr>
+        ${repRows}
+    </table>
+</body>
+</html>`;
+    }
+    
+    /**
+     * Base file name, e.g. "lateral-arm-raises-2024-05-01-1430"
+     */
+    static getFileName(session, patientName = '') {
+        const date = new Date(session.startedAt);
+        const pad = (value) => String(value).padStart(2, '0');
+        const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+        const patient = patientName.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        
+        return [patient, session.exerciseId, stamp].filter(Boolean).join('-');
+    }
+    
+    /**
+     * Save text content as a file
+     */
+    static download(content, fileName, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    static downloadCSV(session, patientName = '') {
+        SessionExport.download(SessionExport.toCSV(session), `${SessionExport.getFileName(session, patientName)}.csv`, 'text/csv');
+    }
+    
+    static downloadJSON(session, patientName = '') {
+        SessionExport.download(SessionExport.toJSON(session, patientName), `${SessionExport.getFileName(session, patientName)}.json`, 'application/json');
+    }
+    
+    /**
+     * Open the report in a new window and bring up the print dialog
+     * (save as PDF from there)
+     */
+    static printReport(session, patientName = '') {
+        const reportWindow = window.open('', '_blank');
+        if (!reportWindow) {
+            alert('Please allow pop-ups to open the printable report');
+            return;
+        }
+        
+        reportWindow.document.write(SessionExport.toReportHTML(session, patientName));
+        reportWindow.document.close();
+        reportWindow.focus();
+        reportWindow.print();
+    }
+}
+
+/**
+ * Quote a CSV cell when needed
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Export for use in the session summary
+window.SessionExport = SessionExport;
@@ -0,0 +1,168 @@
+/**
+ * Session Recorder
+ * Collects analyzer results during an exercise into a session record
+ * suitable for SessionStore and the history view
+ */
+
+class SessionRecorder {
+    constructor(exercise, options = {}) {
+        this.exercise = exercise;
+        this.options = options;
+        
+        this.startTime = options.startTime || Date.now();
+        this.reps = [];
+        
+        // Error counts by id - each continuous occurrence counts once
+        this.errorCounts = {};
+        this.previousErrors = new Set();
+        
+        // Running form score average over analyzed frames
+        this.frameCount = 0;
+        this.formScoreTotal = 0;
+        
+        // Frame samples for the exported timeline, at most one per interval
+        this.timeline = [];
+        this.timelineInterval = options.timelineInterval || 100; // ms
+        this.lastSampleTime = -Infinity;
+        this.lastTimestamp = 0;
+        
+        // Metronome adherence, when the session was paced
+        this.pacing = null;
+    }
+    
+    /**
+     * Attach metronome adherence (see Metronome.getAdherence)
+     */
+    setPacing(pacing) {
+        this.pacing = pacing;
+    }
+    
+    /**
+     * Record one analyzer result
+     */
+    recordFrame(analysis, timestamp = Date.now()) {
+        this.lastTimestamp = timestamp;
+        this.frameCount++;
+        this.formScoreTotal += analysis.formScore;
+        
+        analysis.errors.forEach(error => {
+            if (!this.previousErrors.has(error)) {
+                this.errorCounts[error] = (this.errorCounts[error] || 0) + 1;
+            }
+        });
+        this.previousErrors = new Set(analysis.errors);
+        
+        if (timestamp - this.lastSampleTime >= this.timelineInterval) {
+            this.timeline.push(this.createSample(analysis, timestamp));
+            this.lastSampleTime = timestamp;
+        }
+        
+        (analysis.completedReps || []).forEach(rep => {
+            this.reps.push({
+                number: this.reps.length + 1,
+                ...rep,
+                completedAt: timestamp - this.startTime
+            });
+        });
+    }
+    
+    /**
+     * Compact timeline entry - metrics rounded to 3 decimals (some are ratios)
+     */
+    createSample(analysis, timestamp) {
+        const angles = {};
+        Object.entries(analysis.angles).forEach(([name, value]) => {
+            angles[name] = Math.round(value * 1000) / 1000;
+        });
+        
+        return {
+            t: timestamp - this.startTime,
+            phase: analysis.phase,
+            angles: angles,
+            errors: analysis.errors,
+            formScore: analysis.formScore,
+            repCount: analysis.repCount
+        };
+    }
+    
+    /**
+     * Average form score - over completed reps, or all frames before the first rep
+     */
+    getAverageFormScore() {
+        if (this.reps.length > 0) {
+            return SessionRecorder.average(this.reps.map(rep => rep.formScore));
+        }
+        return this.frameCount > 0 ? Math.round(this.formScoreTotal / this.frameCount) : 0;
+    }
+    
+    /**
+     * Session averages computed from the completed reps
+     */
+    summarizeReps() {
+        const average = SessionRecorder.average;
+        const reps = this.reps;
+        
+        const peakAngles = {};
+        reps.forEach(rep => {
+            Object.keys(rep.peakAngles || {}).forEach(key => {
+                peakAngles[key] = average(reps.map(r => r.peakAngles[key]));
+            });
+        });
+        
+        // Error ids by the number of reps they appeared in
+        const repErrors = {};
+        reps.forEach(rep => {
+            rep.errors.forEach(error => {
+                repErrors[error] = (repErrors[error] || 0) + 1;
+            });
+        });
+        
+        return {
+            peakAngle: average(reps.map(rep => rep.peakAngle)),
+            bestPeakAngle: reps.length ? Math.max(...reps.map(rep => rep.peakAngle)) : null,
+            peakAngles: peakAngles,
+            raiseTime: average(reps.map(rep => rep.raiseTime)),
+            holdTime: average(reps.map(rep => rep.holdTime)),
+            lowerTime: average(reps.map(rep => rep.lowerTime)),
+            cleanReps: reps.filter(rep => rep.errors.length === 0).length,
+            repErrors: repErrors
+        };
+    }
+    
+    /**
+     * Build the session record
+     * (replayed frames can run ahead of the clock, so never end before the last frame)
+     */
+    finish(endTime = Math.max(Date.now(), this.lastTimestamp)) {
+        return {
+            exerciseId: this.exercise.id,
+            exerciseName: this.exercise.name,
+            side: this.options.side || 'both',
+            prescribedReps: this.options.prescribedReps || this.exercise.reps || null,
+            program: this.options.program || null,
+            tempo: this.options.tempo || null,
+            pacing: this.pacing,
+            startedAt: new Date(this.startTime).toISOString(),
+            endedAt: new Date(endTime).toISOString(),
+            durationMs: endTime - this.startTime,
+            repCount: this.reps.length,
+            reps: this.reps,
+            errorCounts: this.errorCounts,
+            errorLabels: this.options.errorLabels || {},
+            averageFormScore: this.getAverageFormScore(),
+            summary: this.summarizeReps(),
+            timeline: this.timeline
+        };
+    }
+    
+    /**
+     * Rounded mean of the numeric values, or null if there are none
+     */
+    static average(values) {
+        const present = values.filter(value => typeof value === 'number');
+        return present.length ? Math.round(present.reduce((a, b) => a + b, 0) / present.length) : null;
+    }
+}
+
+// Export for use in main.js
+window.SessionRecorder = SessionRecorder;
@@ -0,0 +1,89 @@
+/**
+ * Session Store
+ * Persists completed exercise sessions locally in IndexedDB
+ */
+
+const SESSION_DB_NAME = 'physiotherapy-ai';
+const SESSION_DB_VERSION = 1;
+const SESSION_STORE = 'sessions';
+
+class SessionStore {
+    constructor() {
+        this.isSupported = 'indexedDB' in window;
+        this.dbPromise = null;
+    }
+    
+    /**
+     * Open (and create on first use) the database
+     */
+    open() {
+        if (!this.isSupported) {
+            return Promise.reject(new Error('IndexedDB is not supported in this browser'));
+        }
+        
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+                
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(SESSION_STORE)) {
+                        const store = db.createObjectStore(SESSION_STORE, { keyPath: 'id', autoIncrement: true });
+                        store.createIndex('exerciseId', 'exerciseId');
+                        store.createIndex('startedAt', 'startedAt');
+                    }
+                };
+                
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    // Allow a later retry
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        
+        return this.dbPromise;
+    }
+    
+    /**
+     * Run a request against the sessions store and resolve with its result
+     */
+    async request(mode, makeRequest) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(SESSION_STORE, mode);
+            const request = makeRequest(transaction.objectStore(SESSION_STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Save a session record - resolves with its new id
+     */
+    saveSession(session) {
+        return this.request('readwrite', store => store.add(session));
+    }
+    
+    /**
+     * All sessions (optionally for one exercise), oldest first
+     */
+    async getSessions(exerciseId = null) {
+        const sessions = await this.request('readonly', store => (
+            exerciseId ? store.index('exerciseId').getAll(exerciseId) : store.getAll()
+        ));
+        return sessions.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+    }
+    
+    /**
+     * Delete a session by id
+     */
+    deleteSession(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
+}
+
+// Export for use in main.js
+window.SessionStore = SessionStore;
@@ -0,0 +1,148 @@
+/**
+ * Session Summary Panel
+ * End-of-session breakdown built from the per-rep records of a session
+ */
+
+const PATIENT_NAME_KEY = 'physioai.patientName';
+
+class SessionSummaryView {
+    constructor() {
+        // DOM Elements
+        this.modal = document.getElementById('summaryModal');
+        this.title = document.getElementById('summaryTitle');
+        this.stats = document.getElementById('summaryStats');
+        this.details = document.getElementById('summaryDetails');
+        this.tableBody = document.getElementById('summaryTableBody');
+        this.patientNameInput = document.getElementById('patientNameInput');
+        
+        // Session currently shown, for the export buttons
+        this.session = null;
+        
+        // Remember the patient name between sessions
+        this.patientNameInput.value = localStorage.getItem(PATIENT_NAME_KEY) || '';
+        this.patientNameInput.addEventListener('change', () => {
+            localStorage.setItem(PATIENT_NAME_KEY, this.patientNameInput.value.trim());
+        });
+        
+        document.getElementById('exportCsvBtn').addEventListener('click', () => {
+            window.SessionExport.downloadCSV(this.session, this.getPatientName());
+        });
+        document.getElementById('exportJsonBtn').addEventListener('click', () => {
+            window.SessionExport.downloadJSON(this.session, this.getPatientName());
+        });
+        document.getElementById('exportReportBtn').addEventListener('click', () => {
+            window.SessionExport.printReport(this.session, this.getPatientName());
+        });
+        
+        document.getElementById('closeSummaryBtn').addEventListener('click', () => this.close());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
+            }
+        });
+    }
+    
+    /**
+     * Show the summary for a finished session record
+     */
+    show(session) {
+        this.session = session;
+        
+        const escape = window.Charts.escape;
+        const summary = session.summary;
+        
+        this.title.textContent = `${session.exerciseName} - Session Summary`;
+        
+        const stats = [
+            ['Reps', session.repCount],
+            ['Avg Form Score', `${session.averageFormScore}%`],
+            ['Clean Reps', `${summary.cleanReps}/${session.repCount}`],
+            ['Duration', formatDuration(session.durationMs)]
+        ];
+        this.stats.innerHTML = stats.map(([label, value]) => `
+            <div class="bg-gray-50 rounded-lg p-3 text-center">
+                <div class="text-xs text-gray-500">${label}</div>
+                <div class="text-xl font-bold text-gray-800">${value}</div>
+            </div>
+        `).join('');
+        
+        // Range of motion, timings and the most common errors
+        const peaks = Object.entries(summary.peakAngles)
+            .map(([side, value]) => `<span class="capitalize">${escape(side)}</span> ${formatAngle(value)}`)
+            .join(' · ');
+        // Without completed reps, list the issues seen during the attempts
+        const counted = session.repCount > 0;
+        const errors = Object.entries(counted ? summary.repErrors : session.errorCounts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([error, count]) => `<li>${escape(this.getErrorLabel(session, error))} - ${counted ? `${count} of ${session.repCount} reps` : `${count}×`}</li>`)
+            .join('');
+        const noIssues = counted
+            ? '<p class="mt-2 text-green-600">No form issues detected - great work!</p>'
+            : '<p class="mt-2 text-gray-600">No reps were counted this session.</p>';
+        
+        this.details.innerHTML = `
+            <p><span class="font-medium">Peak angle:</span> average ${formatAngle(summary.peakAngle)}, best ${formatAngle(summary.bestPeakAngle)}${peaks ? ` (${peaks})` : ''}</p>
+            <p><span class="font-medium">Average timing:</span> raise ${formatSeconds(summary.raiseTime)}, hold ${formatSeconds(summary.holdTime)}, lower ${formatSeconds(summary.lowerTime)}${formatTempo(session.tempo)}</p>
+            ${session.pacing ? `<p><span class="font-medium">Tempo adherence:</span> ${formatPacing(session.pacing)}</p>` : ''}
+            ${errors ? `<p class="font-medium mt-2">Form issues</p><ul class="list-disc list-inside">${errors}</ul>` : noIssues}
+        `;
+        
+        this.tableBody.innerHTML = session.reps.map(rep => `
+            <tr class="border-t border-gray-100">
+                <td class="py-2 pr-4">${rep.number}</td>
+                <td class="py-2 pr-4 capitalize">${escape(rep.side)}</td>
+                <td class="py-2 pr-4">${formatAngle(rep.peakAngle)}</td>
+                <td class="py-2 pr-4">${formatAngle(rep.peakAngles.left)} / ${formatAngle(rep.peakAngles.right)}</td>
+                <td class="py-2 pr-4">${formatSeconds(rep.raiseTime)}</td>
+                <td class="py-2 pr-4">${formatSeconds(rep.holdTime)}</td>
+                <td class="py-2 pr-4">${formatSeconds(rep.lowerTime)}</td>
+                <td class="py-2 pr-4">${rep.formScore}%</td>
+                <td class="py-2">${rep.errors.map(error => escape(this.getErrorLabel(session, error))).join(', ') || '--'}</td>
+            </tr>
+        `).join('');
+        
+        this.modal.classList.remove('hidden');
+    }
+    
+    close() {
+        this.modal.classList.add('hidden');
+    }
+    
+    getPatientName() {
+        return this.patientNameInput.value.trim();
+    }
+    
+    getErrorLabel(session, error) {
+        return (session.errorLabels && session.errorLabels[error]) || error;
+    }
+}
+
+/**
+ * Format helpers - '--' for missing values
+ */
+function formatAngle(value) {
+    return typeof value === 'number' ? `${value}°` : '--';
+}
+
+function formatSeconds(ms) {
+    return typeof ms === 'number' ? `${(ms / 1000).toFixed(1)}s` : '--';
+}
+
+function formatTempo(tempo) {
+    const text = window.ExerciseAnalyzer.formatTempo(tempo);
+    return text ? ` (target ${text} s)` : '';
+}
+
+function formatPacing(pacing) {
+    const offset = pacing.averageOffset;
+    const timing = offset === 0 ? 'on time' : `${formatSeconds(Math.abs(offset))} ${offset > 0 ? 'late' : 'early'}`;
+    return `${pacing.adherence}% of phase changes on the beat (${pacing.onBeat}/${pacing.transitions}), on average ${timing}`;
+}
+
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Export for use in main.js
+window.SessionSummaryView = SessionSummaryView;
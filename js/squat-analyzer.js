@@ -0,0 +1,14 @@
+/**
+ * Squat Movement Analyzer
+ * Knee/hip angle tracking for bodyweight squats with knee valgus, heel lift
+ * and forward lean detection
+ *
+ * Thresholds, error rules and feedback come from the exercise's `analysis`
+ * block in js/exercises.js and are executed by RuleBasedAnalyzer.
+ */
+
+class SquatAnalyzer extends RuleBasedAnalyzer {}
+
+// Export for use in main.js
+window.SquatAnalyzer = SquatAnalyzer;
+window.analyzerRegistry.register('squat', SquatAnalyzer);
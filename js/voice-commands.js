@@ -1,19 +1,86 @@
 /**
  * Voice Commands System for Physiotherapy AI Motion Tracking
  * Provides voice control for camera and exercise functionality
+ *
+ * Recognized phrases are matched by IntentMatcher and routed to the
+ * application's actions, one per command type in the locale's `commands`
+ * table, e.g. { startCamera(), selectExercise({ exercise }), repCount(), ... }
+ *
+ * Listening is a small state machine, reported to onStateChange listeners:
+ *   off -> starting -> listening -> restarting -> starting -> ...
+ * Browsers end recognition sessions on their own (silence, network hiccups),
+ * so while the user wants voice control every end is followed by a restart,
+ * backing off while sessions keep failing. It ends in 'error' when restarts
+ * keep failing, or 'denied' when microphone access is refused
  */
 
+// How long a "did you mean ...?" question waits for a yes or no (ms)
+const CONFIRMATION_TIMEOUT = 8000;
+
+// After the wake phrase on its own, commands are accepted for this long (ms)
+const WAKE_WINDOW = 6000;
+const WAKE_WORD_STORAGE_KEY = 'physioai.wakeWord';
+
+// Results finished within this long after the app stopped speaking are its
+// own voice picked up by the microphone (ms)
+const ECHO_TAIL = 1000;
+
+// Later results echo the app when most of their words (ECHO_OVERLAP) repeat
+// something it finished saying within ECHO_WINDOW ms - only for results of
+// ECHO_MIN_WORDS or more, so a short command the app just suggested still works
+const ECHO_WINDOW = 5000;
+const ECHO_OVERLAP = 0.7;
+const ECHO_MIN_WORDS = 3;
+
+// Restart delay after a session ends, doubling per failed session up to the max (ms)
+const RESTART_DELAY = 250;
+const MAX_RESTART_DELAY = 10000;
+
+// Give up after this many sessions in a row fail
+const MAX_RESTART_ATTEMPTS = 8;
+
+// A session that listened this long without an error did not fail (ms)
+const STABLE_SESSION = 5000;
+
+// Recognition errors that restarting will not fix, and the state they end in
+const FATAL_ERRORS = {
+    'not-allowed': 'denied',
+    'service-not-allowed': 'denied',
+    'language-not-supported': 'error',
+    'bad-grammar': 'error'
+};
+
 class VoiceCommands {
-    constructor() {
+    constructor(actions = {}, callbacks = {}) {
+        this.actions = actions;
+        
+        // onPrompt(text) - asks the user a question, e.g. "Did you mean ...?"
+        // onWake() - the wake phrase was heard on its own
+        // getRecentSpeech() - what the app is saying or said lately, as
+        // AudioFeedback.getRecentSpeech(), so its own voice is not taken for commands
+        this.onPrompt = callbacks.onPrompt || null;
+        this.onWake = callbacks.onWake || null;
+        this.getRecentSpeech = callbacks.getRecentSpeech || null;
+        
         this.recognition = null;
-        this.isListening = false;
         this.isSupported = false;
-        this.commands = {};
-        this.confidenceThreshold = 0.7;
         
-        // Voice status indicator elements
-        this.voiceStatusDot = null;
-        this.voiceStatusText = null;
+        // Listening state (see above) and whether the user wants voice control on
+        this.state = 'off';
+        this.wantListening = false;
+        this.stateListeners = [];
+        this.restartAttempts = 0; // Failed sessions in a row
+        this.restartTimer = null;
+        this.sessionStarted = 0;
+        this.sessionError = null; // Last error of the current session
+        
+        this.matcher = null; // Command phrases of the current language
+        this.confirmMatcher = null; // Yes / no answers
+        this.pendingIntent = null; // Intent awaiting confirmation, with its expiry
+        this.restartPending = false; // Restart after a language change
+        this.wakePhrases = [];
+        this.wakeWordEnabled = localStorage.getItem(WAKE_WORD_STORAGE_KEY) === 'true';
+        this.awakeUntil = 0; // Commands accepted without the wake phrase until then
         
         this.init();
     }
@@ -26,6 +93,7 @@ class VoiceCommands {
             this.recognition = new SpeechRecognition();
             this.setupRecognition();
             this.setupCommands();
+            window.i18n.onChange(() => this.changeLanguage());
             console.log('Voice commands system initialized');
         } else {
             console.warn('Speech recognition not supported in this browser');
@@ -38,60 +106,136 @@ class VoiceCommands {
         // Configure recognition settings
         this.recognition.continuous = true;
         this.recognition.interimResults = false;
-        this.recognition.lang = 'en-US';
+        this.recognition.lang = window.i18n.getSpeechLang();
         this.recognition.maxAlternatives = 3;
         
         // Event listeners
         this.recognition.onstart = () => {
-            this.isListening = true;
-            this.updateVoiceStatus('listening', 'Listening...');
+            this.sessionStarted = Date.now();
+            this.sessionError = null;
+            this.setState('listening');
             console.log('Voice recognition started');
         };
         
         this.recognition.onend = () => {
-            this.isListening = false;
-            this.updateVoiceStatus('stopped', 'Voice Off');
             console.log('Voice recognition ended');
+            this.handleSessionEnd();
         };
         
         this.recognition.onerror = (event) => {
-            console.error('Voice recognition error:', event.error);
-            this.updateVoiceStatus('error', 'Voice Error');
+            // Routine - the session just ends and restarts
+            if (event.error === 'no-speech' || event.error === 'aborted') return;
             
-            // Auto-restart on some errors
-            if (event.error === 'no-speech' || event.error === 'audio-capture') {
-                setTimeout(() => {
-                    if (this.isListening) {
-                        this.startListening();
-                    }
-                }, 1000);
-            }
+            console.error('Voice recognition error:', event.error);
+            this.sessionError = event.error;
         };
         
         this.recognition.onresult = (event) => {
+            this.restartAttempts = 0;
             this.processVoiceInput(event);
         };
     }
     
+    /**
+     * Listen for state changes - listener(state, detail), where detail
+     * holds the error for 'error' and 'denied' and the delay for 'restarting'
+     */
+    onStateChange(listener) {
+        this.stateListeners.push(listener);
+    }
+    
+    setState(state, detail = {}) {
+        this.state = state;
+        this.stateListeners.forEach(listener => listener(state, detail));
+    }
+    
+    /**
+     * Start a recognition session
+     */
+    beginSession() {
+        this.restartTimer = null;
+        this.setState('starting');
+        try {
+            this.recognition.start();
+        } catch (error) {
+            // Not startable right now - counts as a failed session
+            console.error('Failed to start voice recognition:', error);
+            this.sessionStarted = 0;
+            this.sessionError = error.name;
+            this.handleSessionEnd();
+        }
+    }
+    
+    /**
+     * A session ended - stop, give up, or start another one (soon after a
+     * session that ran fine, later and later while they keep failing)
+     */
+    handleSessionEnd() {
+        if (this.restartPending) {
+            this.restartPending = false;
+            this.beginSession();
+            return;
+        }
+        if (!this.wantListening) {
+            this.setState('off');
+            return;
+        }
+        
+        const fatal = FATAL_ERRORS[this.sessionError];
+        if (fatal) {
+            this.wantListening = false;
+            this.setState(fatal, { error: this.sessionError });
+            return;
+        }
+        
+        const stable = this.sessionStarted && !this.sessionError && Date.now() - this.sessionStarted >= STABLE_SESSION;
+        this.restartAttempts = stable ? 0 : this.restartAttempts + 1;
+        if (this.restartAttempts > MAX_RESTART_ATTEMPTS) {
+            this.wantListening = false;
+            this.setState('error', { error: this.sessionError });
+            return;
+        }
+        
+        const delay = Math.min(RESTART_DELAY * 2 ** Math.max(0, this.restartAttempts - 1), MAX_RESTART_DELAY);
+        this.setState('restarting', { delay: delay, error: this.sessionError });
+        this.sessionStarted = 0;
+        this.restartTimer = setTimeout(() => this.beginSession(), delay);
+    }
+    
     setupCommands() {
-        // Define voice commands and their actions
-        this.commands = {
-            // Camera commands
-            'start camera': () => this.executeCommand('startCamera'),
-            'stop camera': () => this.executeCommand('stopCamera'),
-            'camera on': () => this.executeCommand('startCamera'),
-            'camera off': () => this.executeCommand('stopCamera'),
-            'turn on camera': () => this.executeCommand('startCamera'),
-            'turn off camera': () => this.executeCommand('stopCamera'),
-            
-            // Exercise commands
-            'start exercise': () => this.executeCommand('startExercise'),
-            'stop exercise': () => this.executeCommand('stopExercise'),
-            'begin exercise': () => this.executeCommand('startExercise'),
-            'end exercise': () => this.executeCommand('stopExercise'),
-            'start workout': () => this.executeCommand('startExercise'),
-            'stop workout': () => this.executeCommand('stopExercise')
-        };
+        // Match against the current language's phrases and word lists
+        const vocabulary = window.i18n.getVoiceVocabulary();
+        this.matcher = new window.IntentMatcher(window.i18n.getCommandPhrases(), vocabulary);
+        this.confirmMatcher = new window.IntentMatcher(vocabulary.confirm, vocabulary);
+        this.wakePhrases = vocabulary.wake || [];
+        this.pendingIntent = null;
+    }
+    
+    /**
+     * Only accept commands after the wake phrase ("hey coach, pause")
+     */
+    setWakeWordEnabled(enabled) {
+        this.wakeWordEnabled = enabled;
+        this.awakeUntil = 0;
+        localStorage.setItem(WAKE_WORD_STORAGE_KEY, String(enabled));
+    }
+    
+    getWakePhrase() {
+        return this.wakePhrases[0] || '';
+    }
+    
+    /**
+     * Recognize the new language - a running session is restarted, since
+     * recognition only picks up `lang` when it starts
+     */
+    changeLanguage() {
+        this.recognition.lang = window.i18n.getSpeechLang();
+        this.setupCommands();
+        
+        if (this.state === 'starting' || this.state === 'listening') {
+            this.restartPending = true;
+            this.recognition.stop();
+        }
     }
     
     processVoiceInput(event) {
@@ -99,94 +243,149 @@ class VoiceCommands {
         const lastResult = results[results.length - 1];
         
         if (lastResult.isFinal) {
-            // Process all alternatives to find the best match
-            for (let i = 0; i < lastResult.length; i++) {
-                const alternative = lastResult[i];
-                const transcript = alternative.transcript.toLowerCase().trim();
-                const confidence = alternative.confidence;
-                
-                console.log(`Voice input: "${transcript}" (confidence: ${confidence})`);
-                
-                // Check if confidence is above threshold
-                if (confidence >= this.confidenceThreshold) {
-                    this.matchCommand(transcript);
-                    break;
-                } else if (i === lastResult.length - 1) {
-                    // If no high-confidence match, try with the most likely transcript
-                    this.matchCommand(transcript);
-                }
-            }
+            // Score every alternative - the most likely one may not be a command
+            const alternatives = Array.from(lastResult, alternative => ({
+                transcript: alternative.transcript.trim(),
+                confidence: alternative.confidence
+            }));
+            
+            console.log('Voice input:', alternatives.map(a => `"${a.transcript}" (${a.confidence})`).join(', '));
+            this.handleAlternatives(alternatives);
         }
     }
     
-    matchCommand(transcript) {
-        // Try exact matches first
-        if (this.commands[transcript]) {
-            console.log(`Executing command: ${transcript}`);
-            this.commands[transcript]();
-            this.showVoiceCommandFeedback(transcript);
+    /**
+     * Run the command the alternatives match, answer a pending question,
+     * or ask which command was meant when the match is not clear
+     */
+    handleAlternatives(alternatives) {
+        const awaitingAnswer = this.pendingIntent && Date.now() < this.pendingIntent.expires;
+        
+        // The app never says the wake phrase, so it may interrupt the app speaking
+        const woken = this.wakeWordEnabled ? this.stripWakePhrase(alternatives) : null;
+        if (!woken && this.isEcho(alternatives)) {
+            console.log(`Ignored the app's own voice: "${alternatives.length ? alternatives[0].transcript : ''}"`);
             return;
         }
         
-        // Try partial matches for flexibility
-        for (const [command, action] of Object.entries(this.commands)) {
-            if (transcript.includes(command) || command.includes(transcript)) {
-                console.log(`Executing partial match: ${command} for "${transcript}"`);
-                action();
-                this.showVoiceCommandFeedback(command);
+        if (woken) {
+            this.awakeUntil = Date.now() + WAKE_WINDOW;
+            if (woken.length === 0) {
+                this.showVoiceCommandFeedback(this.getWakePhrase());
+                if (this.onWake) {
+                    this.onWake();
+                }
                 return;
             }
+            alternatives = woken;
+        } else if (this.wakeWordEnabled && Date.now() > this.awakeUntil && !awaitingAnswer) {
+            console.log('Ignored voice input without the wake phrase');
+            return;
         }
         
-        console.log(`No command match found for: "${transcript}"`);
+        if (awaitingAnswer) {
+            const answer = this.confirmMatcher.match(alternatives);
+            if (answer.status === 'matched') {
+                const intent = this.pendingIntent.intent;
+                this.pendingIntent = null;
+                if (answer.intent.commandType === 'yes') {
+                    this.runIntent(intent);
+                } else {
+                    this.prompt(window.i18n.t('voice.cancelled'));
+                }
+                return;
+            }
+        }
+        this.pendingIntent = null;
+        
+        const result = this.matcher.match(alternatives);
+        if (result.status === 'matched') {
+            this.runIntent(result.intent);
+        } else if (result.status === 'ambiguous') {
+            // "Yes" confirms the first suggestion
+            this.pendingIntent = { intent: result.intent, expires: Date.now() + CONFIRMATION_TIMEOUT };
+            const options = result.candidates.map(candidate => this.matcher.describe(candidate));
+            this.prompt(window.i18n.t('voice.didYouMean', { options: options.join(window.i18n.t('voice.or')) }));
+        } else {
+            console.log(`No command match found for: "${alternatives.length ? alternatives[0].transcript : ''}"`);
+        }
     }
     
-    executeCommand(commandType) {
-        switch (commandType) {
-            case 'startCamera':
-                // Trigger the existing start camera button
-                const startBtn = document.getElementById('startBtn');
-                if (startBtn && !startBtn.disabled && !startBtn.classList.contains('hidden')) {
-                    startBtn.click();
-                }
-                break;
-                
-            case 'stopCamera':
-                // Trigger the existing stop camera button
-                const stopBtn = document.getElementById('stopBtn');
-                if (stopBtn && !stopBtn.disabled && !stopBtn.classList.contains('hidden')) {
-                    stopBtn.click();
-                }
-                break;
-                
-            case 'startExercise':
-                // Trigger the existing start exercise button
-                const startExerciseBtn = document.getElementById('startExerciseBtn');
-                if (startExerciseBtn && !startExerciseBtn.disabled && !startExerciseBtn.classList.contains('hidden')) {
-                    startExerciseBtn.click();
-                }
-                break;
-                
-            case 'stopExercise':
-                // Stop exercise by clicking start exercise button again (toggle behavior)
-                const exerciseBtn = document.getElementById('startExerciseBtn');
-                if (exerciseBtn && exerciseBtn.textContent.includes('Stop')) {
-                    exerciseBtn.click();
-                }
-                break;
+    /**
+     * The alternatives that start with the wake phrase, with it removed -
+     * empty when it was said on its own, null when it was not said
+     */
+    stripWakePhrase(alternatives) {
+        const woken = [];
+        let wakeOnly = false;
+        alternatives.forEach(alternative => {
+            const rest = this.matcher.stripPhrase(alternative.transcript, this.wakePhrases);
+            if (rest === null) return;
+            if (rest) {
+                woken.push({ transcript: rest, confidence: alternative.confidence });
+            } else {
+                wakeOnly = true;
+            }
+        });
+        
+        if (woken.length === 0 && !wakeOnly) return null;
+        return woken;
+    }
+    
+    /**
+     * Whether a result is the app's own voice rather than the user's
+     */
+    isEcho(alternatives) {
+        const speech = this.getRecentSpeech ? this.getRecentSpeech() : null;
+        if (!speech) return false;
+        if (speech.speaking || Date.now() - speech.endedAt < ECHO_TAIL) return true;
+        
+        const recent = speech.utterances.filter(utterance => Date.now() - utterance.endedAt < ECHO_WINDOW);
+        return alternatives.some(({ transcript }) =>
+            this.matcher.tokenize(transcript).length >= ECHO_MIN_WORDS &&
+            recent.some(utterance => this.matcher.overlap(transcript, utterance.text) >= ECHO_OVERLAP));
+    }
+    
+    runIntent(intent) {
+        this.awakeUntil = 0;
+        console.log(`Executing command: ${intent.commandType} (${intent.score.toFixed(2)}) for "${intent.transcript}"`);
+        this.executeCommand(intent.commandType, intent.slots);
+        this.showVoiceCommandFeedback(this.matcher.describe(intent));
+    }
+    
+    prompt(text) {
+        if (this.onPrompt) {
+            this.onPrompt(text);
         }
     }
     
+    /**
+     * Run the application's action for a command type
+     */
+    executeCommand(commandType, slots = {}) {
+        const action = this.actions[commandType];
+        if (!action) {
+            console.warn(`No action for voice command: ${commandType}`);
+            return;
+        }
+        action(slots);
+    }
+    
     showVoiceCommandFeedback(command) {
         // Create a temporary feedback notification
         const feedback = document.createElement('div');
         feedback.className = 'fixed top-20 right-4 bg-blue-500 text-white px-4 py-2 rounded-lg shadow-lg z-50 transition-all duration-300';
-        feedback.innerHTML = `
-            <div class="flex items-center gap-2">
-                <i class="fas fa-microphone"></i>
-                <span>Voice: "${command}"</span>
-            </div>
-        `;
+        
+        // The command holds words from the transcript - set as text, never as HTML
+        const row = document.createElement('div');
+        row.className = 'flex items-center gap-2';
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-microphone';
+        const text = document.createElement('span');
+        text.dir = 'auto';
+        text.textContent = `Voice: "${command}"`;
+        row.append(icon, text);
+        feedback.appendChild(row);
         
         document.body.appendChild(feedback);
         
@@ -208,61 +407,45 @@ class VoiceCommands {
             return false;
         }
         
-        if (!this.isListening) {
-            try {
-                this.recognition.start();
-                return true;
-            } catch (error) {
-                console.error('Failed to start voice recognition:', error);
-                this.updateVoiceStatus('error', 'Voice Error');
-                return false;
-            }
+        this.wantListening = true;
+        this.restartAttempts = 0;
+        if (this.state === 'off' || this.state === 'error' || this.state === 'denied') {
+            this.beginSession();
         }
         return true;
     }
     
     stopListening() {
-        if (this.recognition && this.isListening) {
+        this.wantListening = false;
+        this.restartPending = false;
+        
+        if (this.restartTimer) {
+            clearTimeout(this.restartTimer);
+            this.restartTimer = null;
+            this.setState('off');
+        } else if (this.state === 'starting' || this.state === 'listening') {
+            // onend reports 'off'
             this.recognition.stop();
         }
     }
     
     toggleListening() {
-        if (this.isListening) {
+        if (this.wantListening) {
             this.stopListening();
         } else {
             this.startListening();
         }
     }
     
-    updateVoiceStatus(status, text) {
-        if (this.voiceStatusDot && this.voiceStatusText) {
-            switch (status) {
-                case 'listening':
-                    this.voiceStatusDot.className = 'w-2 h-2 bg-green-500 rounded-full animate-pulse';
-                    break;
-                case 'stopped':
-                    this.voiceStatusDot.className = 'w-2 h-2 bg-gray-400 rounded-full';
-                    break;
-                case 'error':
-                    this.voiceStatusDot.className = 'w-2 h-2 bg-red-500 rounded-full';
-                    break;
-            }
-            this.voiceStatusText.textContent = text;
-        }
-    }
-    
-    setStatusElements(dotElement, textElement) {
-        this.voiceStatusDot = dotElement;
-        this.voiceStatusText = textElement;
-    }
-    
     isVoiceSupported() {
         return this.isSupported;
     }
     
+    /**
+     * Current listening state: off, starting, listening, restarting, error or denied
+     */
     getListeningState() {
-        return this.isListening;
+        return this.state;
     }
 }
 
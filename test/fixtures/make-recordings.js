@@ -0,0 +1,223 @@
+/**
+ * Landmark Recording Fixtures
+ * Writes the recordings the replay tests run through the analyzers. Each
+ * one is scripted joint motion (keyframed arm elevation, knee flexion and
+ * trunk lean) posed on a simple body model, with seeded landmark jitter and
+ * frame timing, and saved through LandmarkRecorder exactly as the in-app
+ * recorder saves a webcam session. Recordings made with the app's "Record
+ * landmarks" button can sit next to them and be asserted the same way.
+ *
+ * Regenerate with: node test/fixtures/make-recordings.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadScripts } = require('../helpers/load-scripts');
+
+const window = loadScripts(['js/exercise-analyzer.js', 'js/landmark-recording.js']);
+
+const FPS = 15;
+
+// Body segment lengths (m)
+const UPPER_ARM = 0.3;
+const FOREARM = 0.27;
+const SHIN = 0.42;
+const THIGH = 0.42;
+const TRUNK = 0.55;
+
+/**
+ * Small seeded random generator (mulberry32) so fixtures are reproducible
+ */
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+const scale = (v, k) => ({ x: v.x * k, y: v.y * k, z: v.z * k });
+
+/**
+ * Joint positions in a floor-anchored frame: x to the patient's left (image
+ * right), y down, z away from the camera - the patient faces the camera
+ *
+ * pose: { leftArm, rightArm } elevation from the side (°), { kneeFlexion,
+ * trunkLean } (°)
+ */
+function poseJoints({ leftArm = 0, rightArm = 0, kneeFlexion = 0, trunkLean = 0 }) {
+    const joints = {};
+    const rad = Math.PI / 180;
+    
+    // Shins lean forward for part of the knee bend, thighs back for the rest
+    const shinAngle = kneeFlexion * 0.45 * rad;
+    const thighAngle = kneeFlexion * 0.55 * rad;
+    const lean = trunkLean * rad;
+    const up = { x: 0, y: -Math.cos(lean), z: -Math.sin(lean) };
+    
+    [['LEFT', 1], ['RIGHT', -1]].forEach(([side, sign]) => {
+        const ankle = { x: sign * 0.13, y: -0.08, z: 0 };
+        const knee = add(ankle, scale({ x: 0, y: -Math.cos(shinAngle), z: -Math.sin(shinAngle) }, SHIN));
+        const hip = add(knee, { x: -sign * 0.03, y: -THIGH * Math.cos(thighAngle), z: THIGH * Math.sin(thighAngle) });
+        joints[`${side}_ANKLE`] = ankle;
+        joints[`${side}_HEEL`] = add(ankle, { x: 0, y: 0.05, z: 0.05 });
+        joints[`${side}_FOOT_INDEX`] = add(ankle, { x: sign * 0.02, y: 0.06, z: -0.15 });
+        joints[`${side}_KNEE`] = knee;
+        joints[`${side}_HIP`] = hip;
+    });
+    
+    const hipCenter = scale(add(joints.LEFT_HIP, joints.RIGHT_HIP), 0.5);
+    const shoulderCenter = add(hipCenter, scale(up, TRUNK));
+    const nose = add(add(shoulderCenter, scale(up, 0.2)), { x: 0, y: 0, z: -0.08 });
+    joints.NOSE = nose;
+    [['LEFT', 1], ['RIGHT', -1]].forEach(([side, sign]) => {
+        joints[`${side}_EYE_INNER`] = add(nose, { x: sign * 0.015, y: -0.03, z: 0.01 });
+        joints[`${side}_EYE`] = add(nose, { x: sign * 0.03, y: -0.03, z: 0.01 });
+        joints[`${side}_EYE_OUTER`] = add(nose, { x: sign * 0.045, y: -0.03, z: 0.015 });
+        joints[`${side}_EAR`] = add(nose, { x: sign * 0.075, y: -0.01, z: 0.08 });
+        joints[`MOUTH_${side}`] = add(nose, { x: sign * 0.025, y: 0.03, z: 0.01 });
+    });
+    
+    // Arms hang from the shoulders and rise out to the sides
+    [['LEFT', 1, leftArm], ['RIGHT', -1, rightArm]].forEach(([side, sign, elevation]) => {
+        const shoulder = add(shoulderCenter, { x: sign * 0.19, y: 0, z: 0 });
+        const direction = { x: sign * Math.sin(elevation * rad), y: Math.cos(elevation * rad), z: 0 };
+        const elbow = add(shoulder, scale(direction, UPPER_ARM));
+        const wrist = add(elbow, scale(direction, FOREARM));
+        joints[`${side}_SHOULDER`] = shoulder;
+        joints[`${side}_ELBOW`] = elbow;
+        joints[`${side}_WRIST`] = wrist;
+        joints[`${side}_PINKY`] = add(wrist, scale(direction, 0.08));
+        joints[`${side}_INDEX`] = add(wrist, scale(direction, 0.09));
+        joints[`${side}_THUMB`] = add(wrist, scale(direction, 0.06));
+    });
+    
+    return joints;
+}
+
+/**
+ * MediaPipe-style image landmarks and hip-centered world landmarks
+ */
+function toLandmarks(joints, random) {
+    const names = Object.keys(window.POSE_LANDMARKS).sort((a, b) => window.POSE_LANDMARKS[a] - window.POSE_LANDMARKS[b]);
+    const hipCenter = scale(add(joints.LEFT_HIP, joints.RIGHT_HIP), 0.5);
+    const jitter = (amount) => (random() - 0.5) * 2 * amount;
+    // Four decimals is well under a pixel and keeps the files small
+    const round = (value) => Math.round(value * 10000) / 10000;
+    
+    const landmarks = [];
+    const world = [];
+    names.forEach(name => {
+        const joint = joints[name];
+        const visibility = round(0.97 + jitter(0.02));
+        landmarks.push({
+            x: round(0.5 + joint.x * 0.5 + jitter(0.002)),
+            y: round(0.95 + joint.y * 0.5 + jitter(0.002)),
+            z: round(joint.z * 0.5 + jitter(0.004)),
+            visibility: visibility
+        });
+        world.push({
+            x: round(joint.x - hipCenter.x + jitter(0.004)),
+            y: round(joint.y - hipCenter.y + jitter(0.004)),
+            z: round(joint.z - hipCenter.z + jitter(0.006)),
+            visibility: visibility
+        });
+    });
+    
+    return { landmarks, world };
+}
+
+/**
+ * Pose at time t (ms) from keyframes [[durationMs, pose], ...], each moving
+ * linearly from the previous pose to its own
+ */
+function poseAt(keyframes, t) {
+    let start = 0;
+    let from = keyframes[0][1];
+    for (const [duration, to] of keyframes) {
+        const target = { ...from, ...to };
+        if (t < start + duration) {
+            const k = (t - start) / duration;
+            const pose = {};
+            Object.keys(target).forEach(key => {
+                const a = from[key] || 0;
+                pose[key] = a + (target[key] - a) * k;
+            });
+            return pose;
+        }
+        start += duration;
+        from = target;
+    }
+    return from;
+}
+
+/**
+ * Record the keyframed motion at FPS with slightly uneven frame spacing
+ */
+function record(meta, keyframes, seed) {
+    const random = createRandom(seed);
+    const recorder = new window.LandmarkRecorder(meta);
+    const duration = keyframes.reduce((total, [ms]) => total + ms, 0);
+    const startTime = Date.UTC(2025, 0, 15, 10, 0, 0);
+    
+    for (let t = 0; t <= duration; t += 1000 / FPS + (random() - 0.5) * 8) {
+        const { landmarks, world } = toLandmarks(poseJoints(poseAt(keyframes, t)), random);
+        recorder.addFrame(landmarks, world, startTime + Math.round(t));
+    }
+    
+    return recorder.finish();
+}
+
+const RECORDINGS = {
+    // Alternating arms: a clean left rep, a right rep raised in one second
+    // instead of three, then a left raise that stops short of shoulder height
+    'lateral-arm-raises-alternating.json': record(
+        { exerciseId: 'lateral-arm-raises', side: 'alternating', frameWidth: 640, frameHeight: 480 },
+        [
+            [1500, { leftArm: 3, rightArm: 3 }],
+            [3000, { leftArm: 90 }],
+            [3300, { leftArm: 90 }],
+            [3000, { leftArm: 3 }],
+            [1500, { leftArm: 3 }],
+            [1000, { rightArm: 90 }],
+            [3300, { rightArm: 90 }],
+            [3000, { rightArm: 3 }],
+            [1500, { rightArm: 3 }],
+            [2500, { leftArm: 55 }],
+            [2500, { leftArm: 3 }],
+            [1500, { leftArm: 3 }]
+        ],
+        9
+    ),
+    // Two clean squats, one with the chest dropping forward, then a squat
+    // abandoned well above parallel
+    'bodyweight-squat.json': record(
+        { exerciseId: 'bodyweight-squat', side: 'both', frameWidth: 640, frameHeight: 480 },
+        [
+            [1500, { kneeFlexion: 2, trunkLean: 2 }],
+            [2000, { kneeFlexion: 100, trunkLean: 30 }],
+            [300, { kneeFlexion: 100, trunkLean: 30 }],
+            [2000, { kneeFlexion: 2, trunkLean: 2 }],
+            [1200, { kneeFlexion: 2, trunkLean: 2 }],
+            [2000, { kneeFlexion: 100, trunkLean: 30 }],
+            [300, { kneeFlexion: 100, trunkLean: 30 }],
+            [2000, { kneeFlexion: 2, trunkLean: 2 }],
+            [1200, { kneeFlexion: 2, trunkLean: 2 }],
+            [2000, { kneeFlexion: 100, trunkLean: 55 }],
+            [300, { kneeFlexion: 100, trunkLean: 55 }],
+            [2000, { kneeFlexion: 2, trunkLean: 2 }],
+            [1200, { kneeFlexion: 2, trunkLean: 2 }],
+            [1500, { kneeFlexion: 50, trunkLean: 15 }],
+            [1500, { kneeFlexion: 2, trunkLean: 2 }],
+            [1200, { kneeFlexion: 2, trunkLean: 2 }]
+        ],
+        27
+    )
+};
+
+Object.entries(RECORDINGS).forEach(([file, recording]) => {
+    fs.writeFileSync(path.join(__dirname, file), JSON.stringify(recording) + '\n');
+    console.log(`${file}: ${recording.frames.length} frames`);
+});
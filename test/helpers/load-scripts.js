@@ -0,0 +1,53 @@
+/**
+ * Load browser scripts from js/ into a sandbox for Node tests
+ * The app has no build step: each script defines globals and exports them
+ * on `window`, so the scripts run in order in one context whose global
+ * object is also `window`, as they do when index.html loads them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Run the given scripts (paths relative to the repository root, in
+ * index.html order) and return the sandbox's `window`
+ */
+function loadScripts(files) {
+    const storage = new Map();
+    const sandbox = {
+        console: console,
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        }
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+    
+    files.forEach(file => {
+        const filename = path.join(ROOT, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), sandbox, { filename: filename });
+    });
+    
+    return sandbox;
+}
+
+/**
+ * Scripts the exercise analyzers need, in index.html order
+ */
+const ANALYZER_SCRIPTS = [
+    'js/exercises.js',
+    'js/i18n.js',
+    'js/locales/en.js',
+    'js/one-euro-filter.js',
+    'js/exercise-analyzer.js',
+    'js/rule-based-analyzer.js',
+    'js/arm-raises-analyzer.js',
+    'js/squat-analyzer.js'
+];
+
+module.exports = { loadScripts, ANALYZER_SCRIPTS };
@@ -0,0 +1,145 @@
+/**
+ * IntentMatcher against the English and Hindi voice command catalogs,
+ * driven with typed transcripts the way speech recognition reports them
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const window = loadScripts([
+    'js/i18n.js',
+    'js/locales/en.js',
+    'js/locales/ar.js',
+    'js/locales/hi.js',
+    'js/intent-matcher.js'
+]);
+
+function createMatcher(language = 'en') {
+    const locale = window.LOCALES[language];
+    return new window.IntentMatcher(locale.commands, locale.vocabulary);
+}
+
+/**
+ * Match one transcript heard with the given confidence
+ */
+function hear(matcher, transcript, confidence = 0.9) {
+    return matcher.match([{ transcript: transcript, confidence: confidence }]);
+}
+
+// Array.from makes a Node array from the sandbox's, for deepStrictEqual
+const commandTypes = (candidates) => Array.from(candidates, candidate => candidate.commandType);
+
+test('a clearly heard phrase is accepted', () => {
+    const result = hear(createMatcher(), 'start camera');
+    
+    assert.strictEqual(result.status, 'matched');
+    assert.strictEqual(result.intent.commandType, 'startCamera');
+});
+
+test('filler words, synonyms and misheard words still match', () => {
+    const matcher = createMatcher();
+    
+    assert.strictEqual(hear(matcher, 'begin the workout please').intent.commandType, 'startExercise');
+    assert.strictEqual(hear(matcher, 'stat camra').status, 'matched');
+    assert.strictEqual(hear(matcher, 'stat camra').intent.commandType, 'startCamera');
+});
+
+test('the accept threshold depends on how sure the recognizer was', () => {
+    const matcher = createMatcher();
+    
+    // An exact phrase scores 0.5 + confidence / 2 - accepted from 0.65
+    assert.strictEqual(hear(matcher, 'start camera', 0.32).status, 'matched');
+    
+    const unsure = hear(matcher, 'start camera', 0.28);
+    assert.strictEqual(unsure.status, 'ambiguous');
+    assert.deepStrictEqual(commandTypes(unsure.candidates), ['startCamera']);
+});
+
+test('a partial match is suggested for confirmation, a weaker one dropped', () => {
+    const matcher = createMatcher();
+    
+    // "hold" is half of "hold on" - worth asking about when heard clearly
+    const clear = hear(matcher, 'hold', 0.9);
+    assert.strictEqual(clear.status, 'ambiguous');
+    assert.strictEqual(clear.intent.commandType, 'pause');
+    
+    assert.strictEqual(hear(matcher, 'hold', 0.4).status, 'none');
+    assert.strictEqual(hear(matcher, 'banana').status, 'none');
+    assert.strictEqual(hear(matcher, '').status, 'none');
+});
+
+test('a word shared by two commands is ambiguous between them', () => {
+    const matcher = createMatcher();
+    
+    const start = hear(matcher, 'start');
+    assert.strictEqual(start.status, 'ambiguous');
+    assert.deepStrictEqual(commandTypes(start.candidates).sort(), ['startCamera', 'startExercise']);
+    
+    const volume = hear(matcher, 'volume');
+    assert.deepStrictEqual(commandTypes(volume.candidates).sort(), ['volumeDown', 'volumeUp']);
+});
+
+test('the best of several recognition alternatives wins', () => {
+    const result = createMatcher().match([
+        { transcript: 'paws', confidence: 0.9 },
+        { transcript: 'pause', confidence: 0.4 }
+    ]);
+    
+    assert.strictEqual(result.status, 'matched');
+    assert.strictEqual(result.intent.commandType, 'pause');
+    assert.strictEqual(result.intent.transcript, 'pause');
+});
+
+test('{number} slots take digits and number words', () => {
+    const matcher = createMatcher();
+    
+    const words = hear(matcher, 'twelve reps');
+    assert.strictEqual(words.intent.commandType, 'setReps');
+    assert.strictEqual(words.intent.slots.number, 12);
+    
+    assert.strictEqual(hear(matcher, 'set reps to 15').intent.slots.number, 15);
+    // "many" is not a number, so the reps cannot be set from it
+    assert.notStrictEqual(hear(matcher, 'set reps to many').intent.commandType, 'setReps');
+});
+
+test('{number} slots read Devanagari digits', () => {
+    const result = hear(createMatcher('hi'), '१२ बार');
+    
+    assert.strictEqual(result.status, 'matched');
+    assert.strictEqual(result.intent.commandType, 'setReps');
+    assert.strictEqual(result.intent.slots.number, 12);
+});
+
+test('{exercise} slots take the words said in their place', () => {
+    const matcher = createMatcher();
+    
+    const result = hear(matcher, 'switch to lateral arm raises');
+    assert.strictEqual(result.status, 'matched');
+    assert.strictEqual(result.intent.commandType, 'selectExercise');
+    assert.strictEqual(result.intent.slots.exercise, 'lateral arm raises');
+    assert.strictEqual(matcher.describe(result.intent), 'switch to lateral arm raises');
+    
+    // Nothing left over for the slot
+    assert.strictEqual(hear(matcher, 'select').status, 'none');
+});
+
+test('wake phrases are matched with their filler words', () => {
+    const matcher = createMatcher();
+    const wake = window.LOCALES.en.vocabulary.wake;
+    
+    assert.strictEqual(matcher.stripPhrase('ok coach, pause', wake), 'pause');
+    assert.strictEqual(matcher.stripPhrase('okay coach pause', wake), 'pause');
+    assert.strictEqual(matcher.stripPhrase('hey coach', wake), '');
+    // "ok" and "okay" are fillers in commands, but "coach" alone is not a wake phrase
+    assert.strictEqual(matcher.stripPhrase('coach pause', wake), null);
+    assert.strictEqual(matcher.stripPhrase('the coach said pause', wake), null);
+    
+    // Same for the Arabic "يا", a filler that is half of "يا مدرب"
+    const arabic = createMatcher('ar');
+    const arabicWake = window.LOCALES.ar.vocabulary.wake;
+    assert.strictEqual(arabic.stripPhrase('يا مدرب توقف', arabicWake), 'توقف');
+    assert.strictEqual(arabic.stripPhrase('مدرب توقف', arabicWake), null);
+});
@@ -0,0 +1,71 @@
+/**
+ * Replays recorded landmark sessions headlessly through the analyzers and
+ * checks the rep counts and errors they produce
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts, ANALYZER_SCRIPTS } = require('./helpers/load-scripts');
+
+const window = loadScripts([
+    ...ANALYZER_SCRIPTS,
+    'js/session-recorder.js',
+    'js/landmark-recording.js'
+]);
+
+/**
+ * Copy of a value from the sandbox as plain Node objects, so deepStrictEqual
+ * doesn't trip over the sandbox's own Array and Object prototypes
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Replay a recording from test/fixtures through its exercise's analyzer
+ */
+function replay(file) {
+    const text = fs.readFileSync(path.join(__dirname, 'fixtures', file), 'utf8');
+    const recording = window.LandmarkRecorder.parse(text);
+    const exercise = window.EXERCISES.find(e => e.id === recording.exerciseId);
+    return window.LandmarkPlayer.analyze(recording, exercise);
+}
+
+test('alternating lateral arm raises count one rep per side', () => {
+    const session = replay('lateral-arm-raises-alternating.json');
+    
+    assert.strictEqual(session.side, 'alternating');
+    assert.strictEqual(session.repCount, 2);
+    assert.deepStrictEqual(plain(session.repsBySide), { left: 1, right: 1 });
+    assert.deepStrictEqual(plain(session.reps.map(rep => rep.side)), ['left', 'right']);
+});
+
+test('lateral arm raises flag the rushed raise and the short raise', () => {
+    const session = replay('lateral-arm-raises-alternating.json');
+    
+    // Clean left rep, then a right arm raised in one second instead of three
+    assert.deepStrictEqual(plain(session.reps.map(rep => rep.errors)), [[], ['too_fast_raising']]);
+    // The last raise stopped short of shoulder height - flagged, not counted
+    assert.deepStrictEqual(Object.keys(session.errorCounts).sort(), ['insufficient_height', 'too_fast_raising']);
+    assert.ok(session.reps.every(rep => rep.holdTime >= 3000));
+});
+
+test('bodyweight squats count full-depth reps only', () => {
+    const session = replay('bodyweight-squat.json');
+    
+    assert.strictEqual(session.repCount, 3);
+    assert.deepStrictEqual(plain(session.repsBySide), { both: 3 });
+    assert.ok(session.reps.every(rep => rep.peakAngle >= 80));
+});
+
+test('bodyweight squats flag the forward lean and the shallow squat', () => {
+    const session = replay('bodyweight-squat.json');
+    
+    assert.deepStrictEqual(plain(session.reps.map(rep => rep.errors)), [[], [], ['forward_lean']]);
+    assert.deepStrictEqual(Object.keys(session.errorCounts).sort(), ['forward_lean', 'insufficient_depth']);
+    assert.deepStrictEqual(plain(session.reps.map(rep => rep.formScore)), [100, 100, 80]);
+});